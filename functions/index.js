@@ -0,0 +1,158 @@
+/**
+ * VT Shared Governance Tracker - Member management (Cloud Functions)
+ * Privileged account operations the browser can't do: creating Auth users,
+ * changing roles and disabling accounts. Callable from admin.html by admins only.
+ *
+ * Local testing (Functions talk to the Auth/Firestore emulators automatically):
+ *   cd functions && npm install
+ *   firebase emulators:start --only functions,firestore,auth
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+
+admin.initializeApp();
+
+const EMAIL_SUFFIX = '@vt.edu';
+const ROLES = ['senator', 'admin'];
+const PID_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+
+/**
+ * Normalizes "PID" or "PID@vt.edu" to the lowercase PID.
+ * @param {*} value - Raw PID from the request
+ * @returns {string}
+ */
+function normalizePid(value) {
+  const pid = String(value || '').trim().toLowerCase().split('@')[0];
+  if (!PID_PATTERN.test(pid)) {
+    throw new HttpsError('invalid-argument', 'Enter a valid PID (letters, numbers, dots, dashes).');
+  }
+  return pid;
+}
+
+function normalizeRole(value) {
+  if (!ROLES.includes(value)) {
+    throw new HttpsError('invalid-argument', `Role must be one of: ${ROLES.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Checks that the caller is a signed-in, enabled admin (same test as
+ * isAdmin() in firestore.rules).
+ * @returns {Promise<string>} The caller's PID
+ */
+async function requireAdmin(request) {
+  const email = request.auth && request.auth.token && request.auth.token.email;
+  if (!email) throw new HttpsError('unauthenticated', 'Sign in first.');
+  const callerPid = email.toLowerCase().split('@')[0];
+  const snap = await admin.firestore().collection('users').doc(callerPid).get();
+  if (!snap.exists || snap.data().role !== 'admin' || snap.data().disabled === true) {
+    throw new HttpsError('permission-denied', 'Only admins can manage members.');
+  }
+  return callerPid;
+}
+
+/**
+ * Writes a member change to users/{pid} together with its audit log entry
+ * (same shape as js/firebase-audit.js).
+ */
+async function commitMemberChange(callerPid, pid, action, before, after) {
+  const db = admin.firestore();
+  const batch = db.batch();
+  batch.set(db.collection('users').doc(pid), after);
+  batch.set(db.collection('auditLog').doc(), {
+    actor: callerPid,
+    timestamp: new Date().toISOString(),
+    entity: 'member',
+    entityId: pid,
+    action,
+    before,
+    after
+  });
+  await batch.commit();
+}
+
+async function getAuthUser(pid) {
+  try {
+    return await admin.auth().getUserByEmail(pid + EMAIL_SUFFIX);
+  } catch (e) {
+    if (e.code === 'auth/user-not-found') return null;
+    throw e;
+  }
+}
+
+/**
+ * Creates the Auth account (random password) and users/{pid} doc for a new
+ * member. The browser then sends a password reset email as the invitation.
+ * Re-inviting a PID whose Auth account exists without a users doc just adds the doc.
+ */
+exports.inviteMember = onCall(async (request) => {
+  const callerPid = await requireAdmin(request);
+  const pid = normalizePid(request.data && request.data.pid);
+  const role = normalizeRole((request.data && request.data.role) || 'senator');
+
+  const userRef = admin.firestore().collection('users').doc(pid);
+  if ((await userRef.get()).exists) {
+    throw new HttpsError('already-exists', `${pid} is already a member.`);
+  }
+  if (!(await getAuthUser(pid))) {
+    await admin.auth().createUser({
+      email: pid + EMAIL_SUFFIX,
+      password: crypto.randomBytes(24).toString('base64'),
+      emailVerified: false,
+      displayName: pid
+    });
+  }
+  const member = {
+    pid,
+    role,
+    disabled: false,
+    invitedBy: callerPid,
+    invitedAt: new Date().toISOString()
+  };
+  await commitMemberChange(callerPid, pid, 'create', null, member);
+  return member;
+});
+
+/**
+ * Switches a member between senator and admin. Admins can't change their own
+ * role so the last admin can't lock everyone out.
+ */
+exports.setMemberRole = onCall(async (request) => {
+  const callerPid = await requireAdmin(request);
+  const pid = normalizePid(request.data && request.data.pid);
+  const role = normalizeRole(request.data && request.data.role);
+  if (pid === callerPid) {
+    throw new HttpsError('failed-precondition', 'You cannot change your own role.');
+  }
+
+  const snap = await admin.firestore().collection('users').doc(pid).get();
+  if (!snap.exists) throw new HttpsError('not-found', `${pid} is not a member.`);
+  await commitMemberChange(callerPid, pid, 'update', snap.data(), { ...snap.data(), role });
+  return { pid, role };
+});
+
+/**
+ * Disables or re-enables a member's sign-in. Disabling also revokes refresh
+ * tokens so open sessions end within the hour.
+ */
+exports.setMemberDisabled = onCall(async (request) => {
+  const callerPid = await requireAdmin(request);
+  const pid = normalizePid(request.data && request.data.pid);
+  const disabled = request.data && request.data.disabled === true;
+  if (pid === callerPid) {
+    throw new HttpsError('failed-precondition', 'You cannot disable your own account.');
+  }
+
+  const snap = await admin.firestore().collection('users').doc(pid).get();
+  if (!snap.exists) throw new HttpsError('not-found', `${pid} is not a member.`);
+  const authUser = await getAuthUser(pid);
+  if (authUser) {
+    await admin.auth().updateUser(authUser.uid, { disabled });
+    if (disabled) await admin.auth().revokeRefreshTokens(authUser.uid);
+  }
+  await commitMemberChange(callerPid, pid, 'update', snap.data(), { ...snap.data(), disabled });
+  return { pid, disabled };
+});
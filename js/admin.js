@@ -124,15 +124,48 @@ function initCustomDropdowns(container) {
   });
 }
 
+/**
+ * Runs an admin save (meetings/assignments) and alerts on failure so edits
+ * rejected by Firestore rules aren't silently lost.
+ * @param {Function} saveFn - Async save function
+ * @returns {Promise<boolean>} True if saved
+ */
+async function persistAdminChange(saveFn) {
+  try {
+    await saveFn();
+    refreshHistorySection();
+    return true;
+  } catch (e) {
+    console.error('Admin save failed:', e);
+    alert(e.code === 'stale-data' ? e.message : 'Failed to save changes. Check your connection and admin permissions, then try again.');
+    return false;
+  }
+}
+
+/**
+ * Copies assignments (and their committee lists) so an in-place edit can be
+ * undone when saving it fails.
+ * @param {Array} assignments - Senator assignments
+ * @returns {Array}
+ */
+function copyAssignments(assignments) {
+  return assignments.map(a => ({ ...a, committees: [...(a.committees || [])] }));
+}
+
 /**
  * Combines actual submissions with missing ones (senators assigned to meetings that passed without submission).
+ * Cancelled and rescheduled meetings never count as missing. When a substitute
+ * was accepted, the report is owed by the substitute instead. Every row gets
+ * an `attendance` status (attended, excused, absent or missing).
  * @param {Array} submissions - Actual submissions from localStorage
  * @param {Array} assignments - Senator assignments
  * @param {Array} meetings - All meetings
+ * @param {Array} substitutions - Substitute requests (getSubstitutions)
+ * @param {Array} absences - Absence requests (getAbsences)
  * @returns {Array} Combined list
  */
-function getCombinedSubmissions(submissions, assignments = [], meetings = []) {
-  let combined = [...submissions];
+function getCombinedSubmissions(submissions, assignments = [], meetings = [], substitutions = [], absences = []) {
+  let combined = submissions.map(s => ({ ...s, attendance: attendanceStatus(s, absenceFor(absences, s.pid, s.meetingId)) }));
   
   if (assignments.length && meetings.length) {
     const today = new Date().toISOString().split('T')[0];
@@ -142,24 +175,29 @@ function getCombinedSubmissions(submissions, assignments = [], meetings = []) {
       senatorCommittees.forEach(committeeName => {
         const committeeMeetings = meetings.filter(m => m.committee === committeeName);
         committeeMeetings.forEach(meeting => {
-          // If meeting date has passed
-          if (meeting.date < today) {
-            // Check if this senator has a submission for this meeting
+          // If meeting date has passed and a report was expected
+          if (meeting.date < today && meetingExpectsReport(meeting)) {
+            const substitution = acceptedSubstitution(substitutions, assign.pid, meeting.id);
+            const reporterPid = substitution ? substitution.substitutePid : assign.pid;
+            // Check if this senator (or their substitute) has a submission for this meeting
             const hasSubmission = submissions.some(s => 
-              String(s.pid) === String(assign.pid) && 
+              String(s.pid) === String(reporterPid) && 
               String(s.meetingId) === String(meeting.id)
             );
             
             if (!hasSubmission) {
+              const absence = absenceFor(absences, reporterPid, meeting.id);
               combined.push({
-                pid: assign.pid,
+                pid: reporterPid,
                 committeeName: meeting.committee,
                 meetingDate: meeting.date,
                 meetingId: meeting.id,
                 timestamp: null,
                 attendanceConfirmed: false,
-                notes: 'MISSING: No submission provided.',
-                isMissing: true
+                notes: absence ? `ABSENCE (${absence.status}): ${absence.reason}` : 'MISSING: No submission provided.',
+                isMissing: true,
+                attendance: attendanceStatus(null, absence),
+                ...(substitution ? { substituteFor: assign.pid } : {})
               });
             }
           }
@@ -179,21 +217,81 @@ function getCombinedSubmissions(submissions, assignments = [], meetings = []) {
   return combined;
 }
 
+const SUBMISSIONS_PAGE_SIZE = 50;
+let submissionsTableLoad = 0;
+
 /**
- * Renders the submissions table with filter controls.
- * Uses debounced filtering for responsive performance.
- * @param {Array} submissions - All submissions
+ * Reads the submissions table filter controls. Attendance isn't part of the
+ * query: missing rows are worked out from the unfiltered page, so the
+ * attendance status is matched afterwards (renderSubmissionsTable).
+ * @returns {Object} {pid, committee, attendance, from, to}
+ */
+function readSubmissionFilters() {
+  const value = id => (document.getElementById(id) || {}).value || '';
+  return {
+    pid: value('filterPid'),
+    committee: value('filterCommittee'),
+    attendance: value('filterAttendance'),
+    from: value('filterFrom'),
+    to: value('filterTo')
+  };
+}
+
+/**
+ * Narrows the filter date range to a term's start and end.
+ * @param {Object} filters - From readSubmissionFilters
+ * @param {Object} term - Selected term (null = no limit)
+ * @returns {Object} Filters to query with
+ */
+function termSubmissionFilters(filters, term) {
+  if (!term) return filters;
+  return {
+    ...filters,
+    from: filters.from > term.start ? filters.from : term.start,
+    to: filters.to && filters.to < term.end ? filters.to : term.end
+  };
+}
+
+/**
+ * Queries the first page of submissions for the current filters and renders
+ * the table. Results of an older, slower query are dropped.
+ * @param {Array} assignments - Senator assignments of the term (for missing submissions)
+ * @param {Array} meetings - Meetings of the term (for missing submissions)
+ * @param {Object} reviews - Admin reviews keyed by "<pid>_<meetingId>"
+ * @param {Object} term - Selected term; only its submissions are listed
+ * @param {Array} substitutions - Substitute requests (for missing submissions)
+ * @param {Array} absences - Absence requests (for attendance)
+ */
+async function loadSubmissionsTable(assignments = [], meetings = [], reviews = {}, term = null, substitutions = [], absences = []) {
+  const load = ++submissionsTableLoad;
+  const page = await querySubmissions(termSubmissionFilters(readSubmissionFilters(), term), { pageSize: SUBMISSIONS_PAGE_SIZE });
+  if (load !== submissionsTableLoad) return;
+  renderSubmissionsTable(page, assignments, meetings, reviews, term, substitutions, absences);
+}
+
+/**
+ * Renders the submissions table with filter controls. Filters run as a
+ * paged query (see loadSubmissionsTable); "Load more" appends the next page.
+ * @param {Object} page - {submissions, cursor, hasMore} from querySubmissions
  * @param {Array} assignments - Optional: Senator assignments to calculate missing submissions
  * @param {Array} meetings - Optional: All meetings to calculate missing submissions
+ * @param {Object} reviews - Optional: Admin reviews keyed by "<pid>_<meetingId>"
+ * @param {Object} term - Optional: Selected term
+ * @param {Array} substitutions - Optional: Substitute requests
+ * @param {Array} absences - Optional: Absence requests
  */
-function renderSubmissionsTable(submissions, assignments = [], meetings = []) {
+function renderSubmissionsTable(page, assignments = [], meetings = [], reviews = {}, term = null, substitutions = [], absences = []) {
   const container = document.getElementById('submissionsSection');
   if (!container) return;
 
-  const filterPid = (document.getElementById('filterPid') || {}).value || '';
-  const filterCommittee = (document.getElementById('filterCommittee') || {}).value || '';
-  const filterAttended = (document.getElementById('filterAttended') || {}).value || '';
-  const displaySubmissions = getCombinedSubmissions(submissions, assignments, meetings);
+  const filters = readSubmissionFilters();
+  const queryFilters = termSubmissionFilters(filters, term);
+  const submissions = page.submissions;
+  // Pages are ordered by meeting date, so missing reports are only known for
+  // meetings after the oldest one loaded so far
+  const oldestLoaded = page.hasMore && submissions.length ? submissions[submissions.length - 1].meetingDate : '';
+  const missingMeetings = oldestLoaded ? meetings.filter(m => m.date > oldestLoaded) : meetings;
+  const displaySubmissions = getCombinedSubmissions(submissions, assignments, missingMeetings, substitutions, absences);
 
   const committeesFromSubmissions = [...new Set(displaySubmissions.map(s => s.committeeName).filter(Boolean))];
   const committeesFromMeetings = meetings ? [...new Set(meetings.map(m => m.committee).filter(Boolean))] : [];
@@ -202,40 +300,34 @@ function renderSubmissionsTable(submissions, assignments = [], meetings = []) {
   const pidsFromAssignments = assignments ? assignments.map(a => a.pid).filter(Boolean) : [];
   const pids = [...new Set([...pidsFromSubmissions, ...pidsFromAssignments])].sort();
 
-  let filtered = displaySubmissions;
-  if (filterPid) {
-    filtered = filtered.filter(s => String(s.pid) === filterPid);
-  }
-  if (filterCommittee) {
-    filtered = filtered.filter(s => String(s.committeeName || '') === filterCommittee);
-  }
-  if (filterAttended === 'yes') {
-    filtered = filtered.filter(s => s.attendanceConfirmed === true);
-  } else if (filterAttended === 'no') {
-    filtered = filtered.filter(s => s.attendanceConfirmed !== true);
-  }
+  const filtered = displaySubmissions.filter(s => submissionMatchesFilters(s, queryFilters) &&
+    (!filters.attendance || s.attendance === filters.attendance));
 
   const pidOptions = [{ value: '', label: 'All PIDs' }, ...pids.map(pid => ({ value: pid, label: pid }))];
   const committeeOptions = [{ value: '', label: 'All Committees' }, ...committees.map(c => ({ value: c, label: c }))];
-  const attendedOptions = [
-    { value: '', label: 'All' },
-    { value: 'yes', label: 'Yes' },
-    { value: 'no', label: 'No' }
-  ];
+  const attendanceOptions = [{ value: '', label: 'All' }, ...ATTENDANCE_STATUSES];
 
   const tableHtml = `
     <div class="filter-bar filter-bar-dropdowns">
       <div class="dropdown-wrap">
         <label for="filterPid" class="dropdown-label">PID</label>
-        ${customDropdownHTML('filterPid', pidOptions, filterPid, 'All PIDs')}
+        ${customDropdownHTML('filterPid', pidOptions, filters.pid, 'All PIDs')}
       </div>
       <div class="dropdown-wrap">
         <label for="filterCommittee" class="dropdown-label">Committee</label>
-        ${customDropdownHTML('filterCommittee', committeeOptions, filterCommittee, 'All Committees')}
+        ${customDropdownHTML('filterCommittee', committeeOptions, filters.committee, 'All Committees')}
+      </div>
+      <div class="dropdown-wrap">
+        <label for="filterAttendance" class="dropdown-label">Attendance</label>
+        ${customDropdownHTML('filterAttendance', attendanceOptions, filters.attendance, 'All')}
+      </div>
+      <div class="dropdown-wrap">
+        <label for="filterFrom" class="dropdown-label">From</label>
+        <input type="date" id="filterFrom" value="${escapeHtml(filters.from)}">
       </div>
       <div class="dropdown-wrap">
-        <label for="filterAttended" class="dropdown-label">Attended</label>
-        ${customDropdownHTML('filterAttended', attendedOptions, filterAttended, 'All')}
+        <label for="filterTo" class="dropdown-label">To</label>
+        <input type="date" id="filterTo" value="${escapeHtml(filters.to)}">
       </div>
       <div class="filter-bar-actions">
         <button type="button" class="btn btn-secondary btn-sm" id="clearFilters">Clear</button>
@@ -249,77 +341,444 @@ function renderSubmissionsTable(submissions, assignments = [], meetings = []) {
             <th>Committee</th>
             <th>Date</th>
             <th>Submitted</th>
-            <th>Attended</th>
-            <th>Notes</th>
+            <th>Attendance</th>
+            <th>Review</th>
+            ${REPORT_SECTIONS.map(section => `<th>${escapeHtml(section.label)}</th>`).join('')}
           </tr>
         </thead>
         <tbody>
           ${filtered.length === 0 
-            ? '<tr><td colspan="6" class="empty-state">No submissions found.</td></tr>'
-            : filtered.map(s => `
-              <tr class="${s.isMissing ? 'row-missing' : ''}">
-                <td>${escapeHtml(s.pid)}</td>
+            ? `<tr><td colspan="${6 + REPORT_SECTIONS.length}" class="empty-state">No submissions found.</td></tr>`
+            : filtered.map((s, index) => `
+              <tr class="clickable-row ${s.isMissing ? 'row-missing' : ''}" data-row-index="${index}" tabindex="0" title="Open details">
+                <td>${escapeHtml(s.pid)}${s.substituteFor ? `<br><span class="substitute-note">for ${escapeHtml(s.substituteFor)}</span>` : ''}</td>
                 <td>${escapeHtml(s.committeeName || '')}</td>
                 <td>${formatDate(s.meetingDate)}</td>
-                <td>${s.timestamp ? formatTimestamp(s.timestamp) : '<span style="color: var(--color-danger); font-weight: 600;">Not Submitted</span>'}</td>
-                <td>
-                  <span style="color: ${s.attendanceConfirmed ? 'var(--color-success)' : 'var(--color-danger)'}; font-weight: 600;">
-                    ${s.attendanceConfirmed ? 'Yes' : 'No'}
-                  </span>
-                </td>
+                <td>${s.timestamp ? formatTimestamp(s.timestamp) + (s.revision > 1 ? ' <span style="color: var(--color-text-muted);">(edited)</span>' : '') : '<span style="color: var(--color-danger); font-weight: 600;">Not Submitted</span>'}</td>
+                <td>${attendanceBadgeHTML(s.attendance)}</td>
+                <td>${reviewBadgeHTML(reviews[`${s.pid}_${s.meetingId}`])}</td>
+                ${REPORT_SECTIONS.map(section => `
                 <td style="${s.isMissing ? 'font-style: italic; color: var(--color-text-muted);' : ''}">
-                  ${escapeHtml((s.notes || '').substring(0, 80))}${(s.notes || '').length > 80 ? '...' : ''}
-                </td>
+                  ${escapeHtml(reportSectionText(s, section, 80))}
+                </td>`).join('')}
               </tr>
             `).join('')}
         </tbody>
       </table>
     </div>
+    <div class="table-footer">
+      <span>Showing ${filtered.length} row${filtered.length === 1 ? '' : 's'}${page.hasMore ? ' (older submissions not loaded yet)' : ''}</span>
+      ${page.hasMore ? '<button type="button" class="btn btn-secondary btn-sm" id="loadMoreSubmissions">Load more</button>' : ''}
+    </div>
   `;
 
   container.innerHTML = tableHtml;
   initCustomDropdowns(container);
 
-  const doRender = async () => {
-    const subs = await getSubmissions();
-    renderSubmissionsTable(subs, assignments, meetings);
-  };
-  ['filterPid', 'filterCommittee', 'filterAttended'].forEach(id => {
+  const doRender = () => loadSubmissionsTable(assignments, meetings, reviews, term, substitutions, absences);
+
+  container.querySelectorAll('.clickable-row').forEach(row => {
+    const open = () => openSubmissionDetail(filtered[Number(row.dataset.rowIndex)], {
+      meetings,
+      reviews,
+      absences,
+      onReviewChange: () => renderSubmissionsTable(page, assignments, meetings, reviews, term, substitutions, absences)
+    });
+    row.addEventListener('click', open);
+    row.addEventListener('keydown', e => {
+      if (e.key === 'Enter') open();
+    });
+  });
+  ['filterPid', 'filterCommittee', 'filterAttendance', 'filterFrom', 'filterTo'].forEach(id => {
     const el = document.getElementById(id);
     if (el) el.addEventListener('change', doRender);
   });
   const clearBtn = document.getElementById('clearFilters');
   if (clearBtn) {
     clearBtn.addEventListener('click', () => {
-      document.getElementById('filterPid').value = '';
-      document.getElementById('filterCommittee').value = '';
-      const fa = document.getElementById('filterAttended');
-      if (fa) fa.value = '';
+      ['filterPid', 'filterCommittee', 'filterAttendance', 'filterFrom', 'filterTo'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+      });
       doRender();
     });
   }
+  const moreBtn = document.getElementById('loadMoreSubmissions');
+  if (moreBtn) {
+    moreBtn.addEventListener('click', async () => {
+      moreBtn.disabled = true;
+      moreBtn.textContent = 'Loading...';
+      const load = submissionsTableLoad;
+      const next = await querySubmissions(queryFilters, { pageSize: SUBMISSIONS_PAGE_SIZE, cursor: page.cursor });
+      if (load !== submissionsTableLoad) return;
+      renderSubmissionsTable({
+        submissions: [...submissions, ...next.submissions],
+        cursor: next.cursor,
+        hasMore: next.hasMore
+      }, assignments, meetings, reviews, term, substitutions, absences);
+    });
+  }
+}
 
+/**
+ * Small status badge for a submission's admin review.
+ * @param {Object} review - Review record, if any
+ * @returns {string} HTML string
+ */
+function reviewBadgeHTML(review) {
+  const status = REVIEW_STATUSES.find(r => r.value === ((review && review.status) || ''));
+  const comments = review && review.comments ? review.comments.length : 0;
+  if (!status.value && !comments) return '';
+  return `${status.value ? `<span class="review-badge review-${escapeHtml(status.value)}">${escapeHtml(status.label)}</span>` : ''}${comments ? ` <span class="review-comment-count">${comments} comment${comments === 1 ? '' : 's'}</span>` : ''}`;
 }
 
+// Enough for every meeting of a committee in several years of terms
+const DETAIL_HISTORY_LIMIT = 200;
+
 /**
- * Renders the assignments management section.
- * @param {Array} assignments - Assignments data
+ * Opens the submission detail dialog: full report, meeting details, the
+ * senator's attendance history for the committee, edit history, and the
+ * admin review (status and comments).
+ * @param {Object} submission - Row from getCombinedSubmissions (may be a missing row)
+ * @param {Object} context - {meetings, reviews, absences, onReviewChange}
+ */
+async function openSubmissionDetail(submission, context) {
+  const dialog = document.getElementById('submissionDetail');
+  if (!dialog || !submission) return;
+  const { meetings = [], reviews = {}, absences = [], onReviewChange } = context;
+  const reviewId = `${submission.pid}_${submission.meetingId}`;
+  const review = reviews[reviewId] || null;
+  const absence = absenceFor(absences, submission.pid, submission.meetingId);
+  const attendance = submission.attendance || attendanceStatus(submission, absence);
+  const meeting = meetings.find(m => String(m.id) === String(submission.meetingId)) || {};
+  const today = new Date().toISOString().split('T')[0];
+
+  // Every past meeting of this committee, with what the senator submitted for it
+  const { submissions } = await querySubmissions(
+    { pid: submission.pid, committee: submission.committeeName },
+    { pageSize: DETAIL_HISTORY_LIMIT }
+  );
+  const byMeeting = new Map(submissions.map(s => [String(s.meetingId), s]));
+  const history = meetings
+    .filter(m => m.committee === submission.committeeName && m.date <= today &&
+      (meetingExpectsReport(m) || byMeeting.has(String(m.id))))
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(m => ({ meeting: m, submission: byMeeting.get(String(m.id)) }));
+
+  dialog.innerHTML = `
+    <div class="detail-header">
+      <div>
+        <h2 class="card-title" style="margin: 0;">${escapeHtml(submission.committeeName || '')}</h2>
+        <p class="detail-subtitle">${escapeHtml(submission.pid)}${submission.substituteFor ? ` (substitute for ${escapeHtml(submission.substituteFor)})` : ''} · ${formatDate(submission.meetingDate)}</p>
+      </div>
+      <button type="button" class="btn btn-secondary btn-sm" id="closeDetailBtn" aria-label="Close">Close</button>
+    </div>
+
+    <h3 class="detail-heading">Meeting</h3>
+    <dl class="detail-meta">
+      <dt>Name</dt><dd>${escapeHtml(meeting.name || submission.committeeName || '')}</dd>
+      <dt>Date</dt><dd>${formatDate(meeting.date || submission.meetingDate)}</dd>
+      <dt>Time</dt><dd>${escapeHtml(meeting.time || '—')}</dd>
+      <dt>Location</dt><dd>${escapeHtml(meeting.location || '—')}</dd>
+      <dt>Status</dt><dd>${meetingStatusBadgeHTML(meeting, meetings) || 'Scheduled'}</dd>
+      ${meeting.attachments && meeting.attachments.length ? `<dt>Files</dt><dd id="detailMeetingFiles">${attachmentListHTML(meeting.attachments)}</dd>` : ''}
+    </dl>
+
+    <h3 class="detail-heading">Report</h3>
+    ${absence ? `
+      <dl class="detail-meta">
+        <dt>Absence</dt><dd>${absenceBadgeHTML(absence)} ${escapeHtml(absence.reason)}</dd>
+      </dl>
+    ` : ''}
+    ${submission.isMissing ? `<p class="empty-state">No submission provided.</p><dl class="detail-meta"><dt>Attendance</dt><dd>${attendanceBadgeHTML(attendance)}</dd></dl>` : `
+      <dl class="detail-meta">
+        <dt>Attendance</dt><dd>${attendanceBadgeHTML(attendance)}</dd>
+        <dt>Submitted</dt><dd>${formatTimestamp(submission.timestamp)}${submission.revision > 1 ? ` (edited ${submission.revision - 1}x)` : ''}</dd>
+      </dl>
+      ${REPORT_SECTIONS.filter(section => reportSectionText(submission, section)).map(section => `
+        <div class="detail-section">
+          <h4>${escapeHtml(section.label)}</h4>
+          <p class="detail-text">${escapeHtml(reportSectionText(submission, section))}</p>
+        </div>
+      `).join('') || '<p class="empty-state">The report is empty.</p>'}
+      ${submission.attachments && submission.attachments.length ? `
+        <div class="detail-section" id="detailAttachments">
+          <h4>Attachments</h4>
+          ${attachmentListHTML(submission.attachments)}
+        </div>
+      ` : ''}
+    `}
+    <div id="detailRevisions"></div>
+
+    <h3 class="detail-heading">Attendance history · ${escapeHtml(submission.committeeName || '')}</h3>
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead><tr><th>Meeting</th><th>Attendance</th><th>Submitted</th></tr></thead>
+        <tbody>
+          ${history.length === 0 ? '<tr><td colspan="3" class="empty-state">No past meetings.</td></tr>' : history.map(h => {
+            const status = attendanceStatus(h.submission, absenceFor(absences, submission.pid, h.meeting.id));
+            return `
+            <tr class="${String(h.meeting.id) === String(submission.meetingId) ? 'row-current' : ''}">
+              <td>${formatDate(h.meeting.date)}</td>
+              <td>${attendanceBadgeHTML(status)}</td>
+              <td>${h.submission && h.submission.timestamp ? formatTimestamp(h.submission.timestamp) : status === 'excused' ? '—' : '<span style="color: var(--color-danger); font-weight: 600;">Not Submitted</span>'}</td>
+            </tr>
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <h3 class="detail-heading">Review</h3>
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="reviewStatus" class="dropdown-label">Status</label>
+        ${customDropdownHTML('reviewStatus', REVIEW_STATUSES, (review && review.status) || '', 'Not reviewed')}
+      </div>
+    </div>
+    <ul class="review-comments">
+      ${((review && review.comments) || []).map(c => `
+        <li><strong>${escapeHtml(c.author)}</strong> <span class="review-comment-time">${formatTimestamp(c.timestamp)}</span><p class="detail-text">${escapeHtml(c.text)}</p></li>
+      `).join('')}
+    </ul>
+    <div class="form-group">
+      <label for="reviewComment">Add a comment for the senator</label>
+      <textarea id="reviewComment" placeholder="e.g. Please add the vote counts for the motions."></textarea>
+    </div>
+    <button type="button" class="btn btn-primary btn-sm" id="saveReviewBtn">Save Review</button>
+  `;
+  initCustomDropdowns(dialog);
+  if (!dialog.open) dialog.showModal();
+
+  const meetingFilesEl = dialog.querySelector('#detailMeetingFiles');
+  if (meetingFilesEl) bindAttachmentLinks(meetingFilesEl, meeting.attachments);
+  const attachmentsEl = dialog.querySelector('#detailAttachments');
+  if (attachmentsEl) bindAttachmentLinks(attachmentsEl, submission.attachments);
+  dialog.querySelector('#closeDetailBtn').addEventListener('click', () => dialog.close());
+  dialog.querySelector('#saveReviewBtn').addEventListener('click', async () => {
+    const session = getSession() || {};
+    const status = dialog.querySelector('#reviewStatus').value;
+    const comment = dialog.querySelector('#reviewComment').value;
+    let saved = null;
+    if (await persistAdminChange(async () => {
+      saved = await saveReview(submission.pid, submission.meetingId, { status, comment, author: session.pid || '' });
+    })) {
+      reviews[reviewId] = saved;
+      if (typeof onReviewChange === 'function') onReviewChange();
+      openSubmissionDetail(submission, context);
+    }
+  });
+
+  if (!submission.isMissing && typeof getSubmissionRevisionsAsync === 'function') {
+    const revisions = await getSubmissionRevisionsAsync(submission.pid, submission.meetingId);
+    const el = dialog.querySelector('#detailRevisions');
+    if (el && revisions.length) {
+      el.innerHTML = `
+        <details class="detail-revisions">
+          <summary>Edit history (${revisions.length} earlier version${revisions.length === 1 ? '' : 's'})</summary>
+          ${revisions.slice().reverse().map(r => `
+            <div class="detail-section">
+              <h4>${formatTimestamp(r.timestamp)}${r.attendanceConfirmed ? '' : ' · did not attend'}</h4>
+              <p class="detail-text">${escapeHtml(REPORT_SECTIONS.map(section => reportSectionText(r, section) && `${section.label}: ${reportSectionText(r, section)}`).filter(Boolean).join('\n'))}</p>
+            </div>
+          `).join('')}
+        </details>
+      `;
+    }
+  }
+}
+
+/**
+ * Renders substitute requests for the term: senators who asked someone to
+ * attend a meeting in their place. Admins accept or decline open requests,
+ * and can decline an accepted one to undo it.
+ * @param {Array} substitutions - All substitute requests
+ * @param {Object} session - Current admin session (recorded as updatedBy)
+ * @param {Object} term - Selected term (null = all)
+ * @param {Function} onChange - Called after a request changes
+ */
+function renderSubstitutionsSection(substitutions, session, term = null, onChange) {
+  const container = document.getElementById('substitutionsSection');
+  if (!container) return;
+
+  const statusOrder = { requested: 0, accepted: 1, declined: 2 };
+  const rows = substitutions
+    .filter(sub => !term || (sub.meetingDate >= term.start && sub.meetingDate <= term.end))
+    .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || b.meetingDate.localeCompare(a.meetingDate));
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr><th>Meeting</th><th>Committee</th><th>Senator</th><th>Substitute</th><th>Status</th><th>Actions</th></tr>
+        </thead>
+        <tbody>
+          ${rows.length === 0 ? '<tr><td colspan="6" class="empty-state">No substitute requests.</td></tr>' : rows.map((sub, index) => `
+            <tr data-sub-index="${index}">
+              <td>${formatDate(sub.meetingDate)}</td>
+              <td>${escapeHtml(sub.committee)}</td>
+              <td>${escapeHtml(sub.pid)}</td>
+              <td>${escapeHtml(sub.substitutePid)}</td>
+              <td><span class="substitution-badge substitution-${escapeHtml(sub.status)}">${escapeHtml((SUBSTITUTION_STATUSES.find(st => st.value === sub.status) || {}).label || sub.status)}</span></td>
+              <td class="member-actions">
+                ${sub.status === 'requested' ? '<button type="button" class="btn btn-primary btn-sm" data-sub-status="accepted">Accept</button>' : ''}
+                ${sub.status !== 'declined' ? '<button type="button" class="btn btn-secondary btn-sm" data-sub-status="declined">Decline</button>' : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  container.querySelectorAll('[data-sub-status]').forEach(btn => {
+    btn.addEventListener('click', async function() {
+      const sub = rows[Number(this.closest('tr').dataset.subIndex)];
+      const status = this.dataset.subStatus;
+      if (sub.status === 'accepted' && !confirm(`Undo ${sub.substitutePid} substituting for ${sub.pid}? ${sub.pid} will owe the report again.`)) return;
+      const updated = { ...sub, status, updatedAt: new Date().toISOString(), updatedBy: session.pid };
+      if (await persistAdminChange(() => saveSubstitution(updated, { audit: true }))) {
+        Object.assign(sub, updated);
+        if (typeof onChange === 'function') onChange();
+      }
+    });
+  });
+}
+
+/**
+ * Renders absence requests for the term. Admins approve or deny pending
+ * requests, and can change a decision later.
+ * @param {Array} absences - All absence requests
+ * @param {Object} session - Current admin session (recorded as updatedBy)
+ * @param {Object} term - Selected term (null = all)
+ * @param {Function} onChange - Called after a request changes
+ */
+function renderAbsencesSection(absences, session, term = null, onChange) {
+  const container = document.getElementById('absencesSection');
+  if (!container) return;
+
+  const statusOrder = { pending: 0, approved: 1, denied: 2 };
+  const rows = absences
+    .filter(absence => !term || (absence.meetingDate >= term.start && absence.meetingDate <= term.end))
+    .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || b.meetingDate.localeCompare(a.meetingDate));
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr><th>Meeting</th><th>Committee</th><th>Senator</th><th>Reason</th><th>Requested</th><th>Status</th><th>Actions</th></tr>
+        </thead>
+        <tbody>
+          ${rows.length === 0 ? '<tr><td colspan="7" class="empty-state">No absence requests.</td></tr>' : rows.map((absence, index) => `
+            <tr data-absence-index="${index}">
+              <td>${formatDate(absence.meetingDate)}</td>
+              <td>${escapeHtml(absence.committee)}</td>
+              <td>${escapeHtml(absence.pid)}</td>
+              <td class="absence-reason">${escapeHtml(absence.reason)}</td>
+              <td>${formatTimestamp(absence.requestedAt)}</td>
+              <td>${absenceBadgeHTML(absence)}</td>
+              <td class="member-actions">
+                ${absence.status !== 'approved' ? '<button type="button" class="btn btn-primary btn-sm" data-absence-status="approved">Approve</button>' : ''}
+                ${absence.status !== 'denied' ? '<button type="button" class="btn btn-secondary btn-sm" data-absence-status="denied">Deny</button>' : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  container.querySelectorAll('[data-absence-status]').forEach(btn => {
+    btn.addEventListener('click', async function() {
+      const absence = rows[Number(this.closest('tr').dataset.absenceIndex)];
+      const status = this.dataset.absenceStatus;
+      if (absence.status !== 'pending' && !confirm(`Change ${absence.pid}'s absence from ${absence.status} to ${status}?`)) return;
+      const updated = { ...absence, status, updatedAt: new Date().toISOString(), updatedBy: session.pid };
+      if (await persistAdminChange(() => saveAbsence(updated, { audit: true }))) {
+        Object.assign(absence, updated);
+        if (typeof onChange === 'function') onChange();
+      }
+    });
+  });
+}
+
+/**
+ * Seats table for the assignments section: filled and open Senate seats per
+ * committee, flagging committees over capacity.
+ * @param {Array} summary - From committeeSeatSummary
+ * @returns {string} HTML string
+ */
+function seatSummaryHTML(summary) {
+  if (!summary.length) return '';
+  return `
+    <div class="table-responsive">
+      <table class="data-table seat-table">
+        <thead>
+          <tr><th>Committee / Commission</th><th>Seats</th><th>Filled</th><th>Open</th><th>Senators</th></tr>
+        </thead>
+        <tbody>
+          ${summary.map(s => {
+            const badge = s.seats === null
+              ? '<span class="seat-badge">No seat count</span>'
+              : s.over ? `<span class="seat-badge seat-over">Over by ${s.over}</span>`
+                : s.open ? `<span class="seat-badge seat-open">${s.open} open</span>` : '<span class="seat-badge seat-full">Full</span>';
+            return `
+            <tr class="${s.over ? 'seat-row-over' : ''}">
+              <td>${escapeHtml(s.name)}</td>
+              <td>${s.seats === null ? '—' : s.seats}</td>
+              <td>${s.filled}</td>
+              <td>${badge}</td>
+              <td>${escapeHtml(s.pids.join(', '))}</td>
+            </tr>
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Renders the assignments management section for one term: filled and open
+ * seats per committee, senators short of assignments, a copyable list of
+ * vacancies, and the assignments themselves. Assignments of an archived term
+ * are shown read-only.
+ * @param {Array} assignments - Assignments of every term (edited in place and saved together)
  * @param {Array} meetings - Meetings (for committee list)
- * @param {Array} allowedCommittees - Allowed committees from committees.json
+ * @param {Array} allowedCommittees - Active committee names
+ * @param {Array} members - Firestore users, listed in the senator picker
+ * @param {Object} term - Term to show (null = all assignments)
+ * @param {Array} terms - All terms
  */
-function renderAssignmentsSection(assignments, meetings, allowedCommittees = []) {
+function renderAssignmentsSection(assignments, meetings, allowedCommittees = [], members = [], term = null, terms = []) {
   const container = document.getElementById('assignmentsSection');
   if (!container) return;
 
+  const termAssignments = assignmentsForTerm(assignments, term, terms);
+  const rerender = () => renderAssignmentsSection(assignments, meetings, allowedCommittees, members, term, terms);
+
   const fromMeetings = [...new Set(meetings.map(m => m.committee).filter(Boolean))];
   const committees = allowedCommittees.length
     ? allowedCommittees
     : [...new Set([...fromMeetings])].sort();
 
-  const pidOpts = [{ value: '', label: 'Select senator...' }, ...assignments.map(a => ({ value: a.pid, label: a.pid }))];
+  // Members first (so new accounts can be assigned), plus any assigned PIDs without an account
+  const memberPids = new Set(members.map(m => m.pid));
+  const pidOpts = [
+    { value: '', label: 'Select senator...' },
+    ...members.map(m => ({ value: m.pid, label: memberLabel(m) })),
+    ...termAssignments.filter(a => !memberPids.has(a.pid)).map(a => ({ value: a.pid, label: a.pid }))
+  ];
   const committeeOpts = [{ value: '', label: 'Select committee...' }, ...committees.map(c => ({ value: c, label: c }))];
 
+  // Keep the admin's required count when the section re-renders
+  const required = Math.max(1, parseInt((document.getElementById('requiredAssignments') || {}).value, 10) || REQUIRED_ASSIGNMENTS_PER_SENATOR);
+  const seats = committeeSeatSummary(termAssignments);
+  const underassigned = underassignedSenators(members, termAssignments, required);
+  const openSeats = seats.reduce((sum, seat) => sum + seat.open, 0);
+
   const html = `
+    ${term && term.archived ? `<p class="alert alert-info">${escapeHtml(term.name)} is archived; its assignments are read-only.</p>` : `
     <div class="filter-bar filter-bar-dropdowns">
       <div class="dropdown-wrap">
         <label for="assignPid" class="dropdown-label">Senator</label>
@@ -333,14 +792,29 @@ function renderAssignmentsSection(assignments, meetings, allowedCommittees = [])
         <button type="button" class="btn btn-primary btn-sm" id="addAssignment">Add Assignment</button>
         <button type="button" class="btn btn-danger btn-sm" id="removeAssignment">Remove Assignment</button>
       </div>
+    </div>`}
+    <h3 class="assignments-subtitle">Seats</h3>
+    <p class="seat-summary">${openSeats ? `${openSeats} open seat${openSeats === 1 ? '' : 's'} across ${seats.filter(seat => seat.open).length} committee${seats.filter(seat => seat.open).length === 1 ? '' : 's'}.` : 'Every committee seat is filled.'}
+      <button type="button" class="btn btn-secondary btn-sm" id="copyVacanciesBtn">Copy Vacancy List</button>
+      <span class="seat-copy-status" id="copyVacanciesStatus" role="status"></span>
+    </p>
+    ${seatSummaryHTML(seats)}
+    <h3 class="assignments-subtitle">Senators Needing Assignments</h3>
+    <div class="filter-bar">
+      <label for="requiredAssignments" class="dropdown-label">Assignments required per senator</label>
+      <input type="number" id="requiredAssignments" min="1" max="10" value="${required}">
     </div>
+    ${underassigned.length === 0
+      ? '<p class="empty-state">Every senator has enough assignments.</p>'
+      : `<ul class="underassigned-list">${underassigned.map(u => `<li><strong>${escapeHtml(u.pid)}</strong>: ${u.count} of ${required}</li>`).join('')}</ul>`}
+    <h3 class="assignments-subtitle">Assignments</h3>
     <div class="table-responsive">
       <table class="data-table">
         <thead>
           <tr><th>PID</th><th>Committees</th></tr>
         </thead>
         <tbody>
-          ${assignments.map(a => `
+          ${termAssignments.length === 0 ? '<tr><td colspan="2" class="empty-state">No assignments in this term.</td></tr>' : termAssignments.map(a => `
             <tr>
               <td>${escapeHtml(a.pid)}</td>
               <td>${(a.committees || []).join(', ')}</td>
@@ -354,53 +828,476 @@ function renderAssignmentsSection(assignments, meetings, allowedCommittees = [])
   container.innerHTML = html;
   initCustomDropdowns(container);
 
-  document.getElementById('addAssignment').addEventListener('click', () => {
+  document.getElementById('requiredAssignments').addEventListener('change', rerender);
+  document.getElementById('copyVacanciesBtn').addEventListener('click', async () => {
+    const status = document.getElementById('copyVacanciesStatus');
+    try {
+      await navigator.clipboard.writeText(vacancyListText(seats, term));
+      status.textContent = 'Copied. Paste it into an email or message.';
+    } catch (e) {
+      // Clipboard access can be blocked; show the text to copy by hand
+      prompt('Copy the vacancy list:', vacancyListText(seats, term).replace(/\n/g, ' | '));
+    }
+  });
+  if (term && term.archived) return;
+
+  document.getElementById('addAssignment').addEventListener('click', async () => {
     const pid = document.getElementById('assignPid').value.trim();
     const committee = document.getElementById('assignCommittee').value.trim();
     if (!pid || !committee) return;
-    const idx = assignments.findIndex(a => String(a.pid) === String(pid));
-    if (idx >= 0) {
-      const committees = assignments[idx].committees || [];
+    const existing = termAssignments.find(a => String(a.pid) === String(pid));
+    const seat = seats.find(st => st.name === committee);
+    const alreadyAssigned = existing && (existing.committees || []).includes(committee);
+    if (seat && seat.seats !== null && seat.filled >= seat.seats && !alreadyAssigned &&
+      !confirm(`${committee} has ${seat.seats} Senate seat${seat.seats === 1 ? '' : 's'} and ${seat.filled} already filled. Assign ${pid} anyway?`)) return;
+    const before = copyAssignments(assignments);
+    if (existing) {
+      const committees = existing.committees || [];
       if (!committees.includes(committee)) {
         committees.push(committee);
-        assignments[idx].committees = committees.sort();
+        existing.committees = committees.sort();
       }
     } else {
-      assignments.push({ pid, committees: [committee] });
+      assignments.push(term ? { pid, committees: [committee], term: term.id } : { pid, committees: [committee] });
     }
-    saveAssignmentsOverride(assignments);
-    renderAssignmentsSection(assignments, meetings, allowedCommittees);
+    if (!(await persistAdminChange(() => saveAssignmentsOverride(assignments)))) {
+      assignments.splice(0, assignments.length, ...before);
+    }
+    rerender();
   });
 
-  document.getElementById('removeAssignment').addEventListener('click', () => {
+  document.getElementById('removeAssignment').addEventListener('click', async () => {
     const pid = document.getElementById('assignPid').value.trim();
     const committee = document.getElementById('assignCommittee').value.trim();
     if (!pid || !committee) return;
-    const idx = assignments.findIndex(a => String(a.pid) === String(pid));
-    if (idx >= 0) {
-      const committees = (assignments[idx].committees || []).filter(c => c !== committee);
+    const existing = termAssignments.find(a => String(a.pid) === String(pid));
+    if (existing) {
+      const before = copyAssignments(assignments);
+      const committees = (existing.committees || []).filter(c => c !== committee);
       if (committees.length) {
-        assignments[idx].committees = committees;
+        existing.committees = committees;
       } else {
-        assignments.splice(idx, 1);
+        assignments.splice(assignments.indexOf(existing), 1);
+      }
+      if (!(await persistAdminChange(() => saveAssignmentsOverride(assignments)))) {
+        assignments.splice(0, assignments.length, ...before);
+      }
+      rerender();
+    }
+  });
+}
+
+/**
+ * Renders the term selector: pick which academic term the dashboard shows,
+ * add the next term (optionally carrying over the selected term's
+ * assignments), and end a term, which archives it read-only.
+ * @param {Array} terms - All terms (newest first)
+ * @param {Object} selectedTerm - Term currently shown
+ * @param {Array} assignments - Assignments of every term (updated in place)
+ * @param {Function} onTermsChange - Called with (terms, selectedTermId) after a change
+ */
+function renderTermSection(terms, selectedTerm, assignments, onTermsChange) {
+  const container = document.getElementById('termSection');
+  if (!container) return;
+
+  const termOpts = terms.map(t => ({ value: t.id, label: t.archived ? `${t.name} (archived)` : t.name }));
+  const selectedId = selectedTerm ? selectedTerm.id : '';
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="termSelect" class="dropdown-label">Term</label>
+        ${customDropdownHTML('termSelect', termOpts, selectedId, 'No terms yet')}
+      </div>
+      <div class="filter-bar-actions">
+        ${selectedTerm && !selectedTerm.archived ? '<button type="button" class="btn btn-danger btn-sm" id="endTermBtn">End Term</button>' : ''}
+      </div>
+    </div>
+    ${selectedTerm ? `
+      <p class="term-summary">
+        ${formatDate(selectedTerm.start)} – ${formatDate(selectedTerm.end)}
+        ${selectedTerm.archived ? `<span class="term-archived-badge">Archived ${formatTimestamp(selectedTerm.archivedAt)} · read-only</span>` : ''}
+      </p>
+    ` : ''}
+    <details class="term-new">
+      <summary>Add a term</summary>
+      <div class="filter-bar filter-bar-dropdowns">
+        <div class="dropdown-wrap">
+          <label for="newTermName" class="dropdown-label">Name</label>
+          <input type="text" id="newTermName" placeholder="e.g. Fall 2026" autocomplete="off">
+        </div>
+        <div class="dropdown-wrap">
+          <label for="newTermStart" class="dropdown-label">Start</label>
+          <input type="date" id="newTermStart">
+        </div>
+        <div class="dropdown-wrap">
+          <label for="newTermEnd" class="dropdown-label">End</label>
+          <input type="date" id="newTermEnd">
+        </div>
+        <div class="filter-bar-actions">
+          <button type="button" class="btn btn-primary btn-sm" id="addTermBtn">Add Term</button>
+        </div>
+      </div>
+    </details>
+  `;
+  initCustomDropdowns(container);
+
+  document.getElementById('termSelect').addEventListener('change', function() {
+    if (typeof onTermsChange === 'function') onTermsChange(terms, this.value);
+  });
+
+  document.getElementById('addTermBtn').addEventListener('click', async () => {
+    const name = document.getElementById('newTermName').value.trim();
+    const start = document.getElementById('newTermStart').value;
+    const end = document.getElementById('newTermEnd').value;
+    const id = termIdFromName(name);
+    if (!id || !start || !end) {
+      alert('Enter a name, start date and end date for the term.');
+      return;
+    }
+    if (start > end) {
+      alert('The term must end after it starts.');
+      return;
+    }
+    if (terms.some(t => t.id === id)) {
+      alert(`A term named "${name}" already exists.`);
+      return;
+    }
+    const term = { id, name, start, end, archived: false, archivedAt: '' };
+    const carryOver = selectedTerm ? assignmentsForTerm(assignments, selectedTerm, terms) : [];
+    const copy = carryOver.length > 0 &&
+      confirm(`Copy the ${carryOver.length} senator assignment${carryOver.length === 1 ? '' : 's'} from ${selectedTerm.name} into ${name}?`);
+    if (!(await persistAdminChange(() => saveTerm(term, terms)))) return;
+    if (copy) {
+      const before = copyAssignments(assignments);
+      carryOver.forEach(a => assignments.push({ pid: a.pid, committees: [...(a.committees || [])], term: id }));
+      if (!(await persistAdminChange(() => saveAssignmentsOverride(assignments)))) {
+        assignments.splice(0, assignments.length, ...before);
+      }
+    }
+    const updated = [...terms, term].sort((a, b) => b.start.localeCompare(a.start));
+    if (typeof onTermsChange === 'function') onTermsChange(updated, id);
+  });
+
+  const endBtn = document.getElementById('endTermBtn');
+  if (endBtn) {
+    endBtn.addEventListener('click', async () => {
+      if (!confirm(`End ${selectedTerm.name}? Its assignments and meetings become read-only. This can't be undone.`)) return;
+      endBtn.disabled = true;
+      // Pin assignments made before terms existed to this term before it's locked
+      const untaggedTermId = untaggedAssignmentsTermId(terms);
+      const pinned = assignments.filter(a => !a.term && untaggedTermId === selectedTerm.id);
+      if (pinned.length) {
+        pinned.forEach(a => { a.term = selectedTerm.id; });
+        if (!(await persistAdminChange(() => saveAssignmentsOverride(assignments)))) {
+          pinned.forEach(a => { delete a.term; });
+          endBtn.disabled = false;
+          return;
+        }
+      }
+      const archived = { ...selectedTerm, archived: true, archivedAt: new Date().toISOString() };
+      if (!(await persistAdminChange(() => saveTerm(archived, terms)))) {
+        endBtn.disabled = false;
+        return;
+      }
+      const updated = terms.map(t => (t.id === archived.id ? archived : t));
+      if (typeof onTermsChange === 'function') onTermsChange(updated, archived.id);
+    });
+  }
+}
+
+/**
+ * Dropdown label for a member, e.g. "abc123 (admin)" or "xyz9 (disabled)".
+ * @param {Object} member - {pid, role, disabled}
+ * @returns {string}
+ */
+function memberLabel(member) {
+  const tags = [member.role === 'admin' ? 'admin' : '', member.disabled ? 'disabled' : ''].filter(Boolean);
+  return tags.length ? `${member.pid} (${tags.join(', ')})` : member.pid;
+}
+
+/**
+ * Runs a member change through the Cloud Functions and alerts with the
+ * server's message on failure (e.g. "You cannot change your own role.").
+ * @param {Function} changeFn - Async member operation
+ * @returns {Promise<boolean>} True if it succeeded
+ */
+async function runMemberChange(changeFn) {
+  try {
+    await changeFn();
+    refreshHistorySection();
+    return true;
+  } catch (e) {
+    console.error('Member change failed:', e);
+    alert(e.message || 'Failed to update member. Check your connection and admin permissions, then try again.');
+    return false;
+  }
+}
+
+/**
+ * Renders the Members section: invite a PID, switch senator/admin,
+ * disable/enable sign-in and send password reset emails.
+ * @param {Array} members - Firestore users docs [{pid, role, disabled}]
+ * @param {Object} session - Current admin session (can't change own account)
+ * @param {Function} onMembersChange - Callback fired with the updated members list
+ */
+function renderMembersSection(members, session, onMembersChange) {
+  const container = document.getElementById('membersSection');
+  if (!container) return;
+
+  const roleOpts = [{ value: 'senator', label: 'Senator' }, { value: 'admin', label: 'Admin' }];
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="invitePid" class="dropdown-label">PID</label>
+        <input type="text" id="invitePid" placeholder="e.g. hokiebird" autocomplete="off">
+      </div>
+      <div class="dropdown-wrap">
+        <label for="inviteRole" class="dropdown-label">Role</label>
+        ${customDropdownHTML('inviteRole', roleOpts, 'senator', 'Senator')}
+      </div>
+      <div class="filter-bar-actions">
+        <button type="button" class="btn btn-primary btn-sm" id="inviteMemberBtn">Invite</button>
+      </div>
+    </div>
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr><th>PID</th><th>Role</th><th>Status</th><th>Actions</th></tr>
+        </thead>
+        <tbody>
+          ${members.length === 0 ? '<tr><td colspan="4" class="empty-state">No members found.</td></tr>' : members.map(m => {
+            const isSelf = m.pid === session.pid;
+            return `
+            <tr data-member-pid="${escapeHtml(m.pid)}" class="${m.disabled ? 'row-disabled' : ''}">
+              <td>${escapeHtml(m.pid)}${isSelf ? ' (you)' : ''}</td>
+              <td>${m.role === 'admin' ? 'Admin' : 'Senator'}</td>
+              <td>${m.disabled ? 'Disabled' : 'Active'}</td>
+              <td class="member-actions">
+                ${isSelf ? '' : `<button type="button" class="btn btn-secondary btn-sm" data-action="role">${m.role === 'admin' ? 'Make Senator' : 'Make Admin'}</button>`}
+                ${isSelf ? '' : `<button type="button" class="btn ${m.disabled ? 'btn-secondary' : 'btn-danger'} btn-sm" data-action="disable">${m.disabled ? 'Enable' : 'Disable'}</button>`}
+                <button type="button" class="btn btn-secondary btn-sm" data-action="reset">Send Password Reset</button>
+              </td>
+            </tr>
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+  initCustomDropdowns(container);
+
+  const update = (pid, changes) => {
+    const updated = members.map(m => (m.pid === pid ? { ...m, ...changes } : m));
+    if (typeof onMembersChange === 'function') onMembersChange(updated);
+    renderMembersSection(updated, session, onMembersChange);
+  };
+
+  document.getElementById('inviteMemberBtn').addEventListener('click', async () => {
+    const pid = document.getElementById('invitePid').value.trim().toLowerCase().split('@')[0];
+    const role = document.getElementById('inviteRole').value;
+    if (!pid) return;
+    if (members.some(m => m.pid === pid)) {
+      alert(`${pid} is already a member.`);
+      return;
+    }
+    let member = null;
+    if (await runMemberChange(async () => { member = await inviteMemberAsync(pid, role); })) {
+      alert(`Invited ${member.pid}. A password setup email was sent to ${member.pid}@vt.edu.`);
+      const updated = [...members, member].sort((a, b) => a.pid.localeCompare(b.pid));
+      if (typeof onMembersChange === 'function') onMembersChange(updated);
+      renderMembersSection(updated, session, onMembersChange);
+    }
+  });
+
+  container.querySelectorAll('[data-action]').forEach(btn => {
+    btn.addEventListener('click', async function() {
+      const pid = this.closest('tr').dataset.memberPid;
+      const member = members.find(m => m.pid === pid);
+      if (!member) return;
+      this.disabled = true;
+      if (this.dataset.action === 'role') {
+        const role = member.role === 'admin' ? 'senator' : 'admin';
+        if (!confirm(`Make ${pid} ${role === 'admin' ? 'an admin' : 'a senator'}?`)) {
+          this.disabled = false;
+          return;
+        }
+        if (await runMemberChange(() => setMemberRoleAsync(pid, role))) update(pid, { role });
+      } else if (this.dataset.action === 'disable') {
+        const disabled = !member.disabled;
+        if (disabled && !confirm(`Disable ${pid}? They will be signed out and unable to sign in.`)) {
+          this.disabled = false;
+          return;
+        }
+        if (await runMemberChange(() => setMemberDisabledAsync(pid, disabled))) update(pid, { disabled });
+      } else if (await runMemberChange(() => sendPasswordResetAsync(pid))) {
+        alert(`Password reset email sent to ${pid}@vt.edu.`);
       }
-      saveAssignmentsOverride(assignments);
-      renderAssignmentsSection(assignments, meetings, allowedCommittees);
+      this.disabled = false;
+    });
+  });
+}
+
+/**
+ * Renders the per-committee calendar export controls above the admin calendar.
+ * Each committee's .ics file can be published so senators can subscribe to it.
+ * @param {Array} meetings - All meetings
+ */
+function renderCalendarExportSection(meetings) {
+  const container = document.getElementById('calendarExportSection');
+  if (!container) return;
+
+  const selected = (document.getElementById('icsCommittee') || {}).value || '';
+  const committees = [...new Set(meetings.map(m => m.committee).filter(Boolean))].sort();
+  const options = [{ value: '', label: 'All committees' }, ...committees.map(c => ({ value: c, label: c }))];
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="icsCommittee" class="dropdown-label">Calendar file</label>
+        ${customDropdownHTML('icsCommittee', options, committees.includes(selected) ? selected : '', 'All committees')}
+      </div>
+      <div class="filter-bar-actions">
+        <button type="button" class="btn btn-secondary btn-sm" id="downloadIcsBtn">Download .ics</button>
+      </div>
+    </div>
+  `;
+  initCustomDropdowns(container);
+
+  document.getElementById('downloadIcsBtn').addEventListener('click', () => {
+    const committee = document.getElementById('icsCommittee').value;
+    if (committee) {
+      const committeeMeetings = meetings.filter(m => m.committee === committee);
+      downloadICS(committeeCalendarFilename(committee), buildMeetingsICS(committeeMeetings, { name: committee }));
+    } else {
+      downloadICS('all-governance-meetings.ics', buildMeetingsICS(meetings, { name: 'Shared Governance Meetings' }));
     }
   });
 }
 
+const SERIES_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SERIES_WEEKS = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: -1, label: 'Last' }
+];
+// Fields that "this and future meetings" edits copy across a series
+const SERIES_SHARED_FIELDS = ['committee', 'time', 'location'];
+
 /**
- * Renders the meetings management section.
- * @param {Array} meetings - Meetings data
- * @param {Array} allowedCommittees - Allowed committees from committees.json
+ * Form for generating a recurring meeting series, e.g. "first and third
+ * Thursday, 3:30-5:00". Dates default to the rest of the term.
+ * @param {Object} term - Term being edited (null = no default end date)
+ * @returns {string} HTML string
+ */
+function meetingSeriesFormHTML(term) {
+  const today = new Date().toISOString().slice(0, 10);
+  const start = term && term.start > today ? term.start : today;
+  return `
+    <details class="series-builder">
+      <summary>Add a recurring series</summary>
+      <div class="filter-bar filter-bar-dropdowns">
+        <div class="dropdown-wrap">
+          <label for="seriesCommittee" class="dropdown-label">Committee</label>
+          <input type="text" id="seriesCommittee" list="meetingCommitteeList" placeholder="Select committee" autocomplete="off">
+        </div>
+        <div class="dropdown-wrap">
+          <label for="seriesFrequency" class="dropdown-label">Repeats</label>
+          ${customDropdownHTML('seriesFrequency', SERIES_FREQUENCIES, 'weekly', 'Every week')}
+        </div>
+        <div class="dropdown-wrap">
+          <label for="seriesWeekday" class="dropdown-label">Day</label>
+          ${customDropdownHTML('seriesWeekday', SERIES_WEEKDAYS.map((label, value) => ({ value: String(value), label })), '4', 'Thursday')}
+        </div>
+        <fieldset class="series-weeks" id="seriesWeeks" hidden>
+          <legend class="dropdown-label">Weeks of the month</legend>
+          ${SERIES_WEEKS.map(w => `<label><input type="checkbox" value="${w.value}" ${w.value === 1 ? 'checked' : ''}> ${w.label}</label>`).join('')}
+        </fieldset>
+      </div>
+      <div class="filter-bar filter-bar-dropdowns">
+        <div class="dropdown-wrap">
+          <label for="seriesStart" class="dropdown-label">From</label>
+          <input type="date" id="seriesStart" value="${escapeHtml(start)}">
+        </div>
+        <div class="dropdown-wrap">
+          <label for="seriesEnd" class="dropdown-label">Until</label>
+          <input type="date" id="seriesEnd" value="${escapeHtml(term ? term.end : '')}">
+        </div>
+        <div class="dropdown-wrap">
+          <label for="seriesTime" class="dropdown-label">Time</label>
+          <input type="text" id="seriesTime" placeholder="e.g. 3:30 PM - 5:00 PM">
+        </div>
+        <div class="dropdown-wrap">
+          <label for="seriesLocation" class="dropdown-label">Location</label>
+          <input type="text" id="seriesLocation">
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="seriesSkip" class="dropdown-label">Skip dates (university holidays, breaks)</label>
+        <textarea id="seriesSkip" rows="2" placeholder="2026-11-26, 2026-11-27"></textarea>
+      </div>
+      <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+        <button type="button" class="btn btn-secondary btn-sm" id="previewSeriesBtn">Preview</button>
+        <button type="button" class="btn btn-primary btn-sm" id="createSeriesBtn" disabled>Create Meetings</button>
+      </div>
+      <div id="seriesPreview" aria-live="polite"></div>
+    </details>
+  `;
+}
+
+/**
+ * Reads the recurring series form.
+ * @returns {{pattern: Object, details: Object}} For generateSeriesDates and buildSeriesMeetings
+ */
+function readMeetingSeriesForm() {
+  const value = id => document.getElementById(id).value.trim();
+  return {
+    pattern: {
+      frequency: value('seriesFrequency'),
+      weekday: Number(value('seriesWeekday')),
+      weeks: [...document.querySelectorAll('#seriesWeeks input:checked')].map(input => Number(input.value)),
+      start: value('seriesStart'),
+      end: value('seriesEnd'),
+      skipDates: value('seriesSkip').split(/[\s,;]+/).filter(Boolean)
+    },
+    details: { committee: value('seriesCommittee'), time: value('seriesTime'), location: value('seriesLocation') }
+  };
+}
+
+/**
+ * Suggests what a meeting file is from its name ("Minutes 3-4.pdf" -> minutes).
+ * @param {File} file - Chosen file
+ * @returns {string} A MEETING_ATTACHMENT_KINDS value
+ */
+function guessAttachmentKind(file) {
+  const name = file.name.toLowerCase();
+  if (name.includes('minute')) return 'minutes';
+  if (name.includes('agenda')) return 'agenda';
+  if (/\.pptx?$/.test(name) || name.includes('slide')) return 'slides';
+  return 'other';
+}
+
+/**
+ * Renders the meetings management section for one term. Meetings of an
+ * archived term are shown read-only. Cancelled and rescheduled meetings keep
+ * their row (and any submissions) so the calendar shows what happened;
+ * Remove is for meetings added by mistake. Edits to a meeting from a
+ * recurring series can be applied to the rest of the series too.
+ * @param {Array} meetings - Meetings of every term (saved together)
+ * @param {Array} allowedCommittees - Active committee names
  * @param {Function} onMeetingsChange - Callback fired after meetings are changed
+ * @param {Object} term - Term to show (null = all meetings)
  */
-function renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange) {
+function renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term = null) {
   allowedCommittees = allowedCommittees || [];
   const container = document.getElementById('meetingsSection');
   if (!container) return;
 
+  const readOnly = !!(term && term.archived);
+  const termMeetings = meetingsInTerm(meetings, term);
   const committeeOptions = allowedCommittees.map(c => `<option value="${escapeHtml(c)}">`).join('');
   const html = `
     <div class="table-responsive">
@@ -412,73 +1309,599 @@ function renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange) {
             <th>Date</th>
             <th>Time</th>
             <th>Location</th>
+            <th>Status</th>
+            <th>Files</th>
             <th>Actions</th>
           </tr>
         </thead>
         <tbody>
-          ${meetings.map(m => `
-            <tr data-meeting-id="${escapeHtml(m.id)}">
-              <td><input type="text" value="${escapeHtml(m.committee || '')}" data-field="committee" class="inline-edit" list="meetingCommitteeList" placeholder="Select committee"></td>
-              <td><input type="date" value="${escapeHtml(m.date || '')}" data-field="date" class="inline-edit"></td>
-              <td><input type="text" value="${escapeHtml(m.time || '')}" data-field="time" class="inline-edit" placeholder="e.g. 2:00 PM"></td>
-              <td><input type="text" value="${escapeHtml(m.location || '')}" data-field="location" class="inline-edit"></td>
-              <td><button type="button" class="btn btn-danger btn-sm delete-meeting">Remove</button></td>
+          ${termMeetings.length === 0 ? '<tr><td colspan="7" class="empty-state">No meetings in this term.</td></tr>' : termMeetings.map(m => `
+            <tr data-meeting-id="${escapeHtml(m.id)}" class="${meetingExpectsReport(m) ? '' : 'row-inactive'}">
+              <td><input type="text" value="${escapeHtml(m.committee || '')}" data-field="committee" class="inline-edit" list="meetingCommitteeList" placeholder="Select committee" ${readOnly ? 'disabled' : ''}></td>
+              <td><input type="date" value="${escapeHtml(m.date || '')}" data-field="date" class="inline-edit" ${readOnly ? 'disabled' : ''}></td>
+              <td><input type="text" value="${escapeHtml(m.time || '')}" data-field="time" class="inline-edit" placeholder="e.g. 2:00 PM" ${readOnly ? 'disabled' : ''}></td>
+              <td><input type="text" value="${escapeHtml(m.location || '')}" data-field="location" class="inline-edit" ${readOnly ? 'disabled' : ''}></td>
+              <td>
+                <select data-field="status" class="inline-edit" aria-label="Meeting status" ${readOnly ? 'disabled' : ''}>
+                  ${MEETING_STATUSES.map(st => `<option value="${st.value}" ${meetingStatus(m) === st.value ? 'selected' : ''}>${escapeHtml(st.label)}</option>`).join('')}
+                </select>
+                ${meetingStatus(m) === 'rescheduled' ? meetingStatusBadgeHTML(m, meetings) : ''}
+                ${m.seriesId ? '<span class="series-tag" title="Part of a recurring series">Recurring</span>' : ''}
+              </td>
+              <td class="meeting-files">
+                ${attachmentListHTML(m.attachments, { removable: !readOnly })}
+                ${readOnly || !attachmentsAvailable() || (m.attachments || []).length >= ATTACHMENT_MAX_FILES ? '' : `
+                  <label class="btn btn-secondary btn-sm attachment-add">Add File<input type="file" class="meeting-file-input" accept="${ATTACHMENT_ACCEPT}" hidden></label>
+                `}
+              </td>
+              <td>${readOnly ? '' : '<button type="button" class="btn btn-danger btn-sm delete-meeting">Remove</button>'}</td>
             </tr>
           `).join('')}
         </tbody>
       </table>
     </div>
+    ${readOnly ? `<p class="alert alert-info" style="margin-top: 1rem;">${escapeHtml(term.name)} is archived; its meetings are read-only.</p>` : `
     <div style="margin-top: 1rem;">
       <button type="button" class="btn btn-primary" id="addMeetingBtn">Add New Meeting</button>
     </div>
+    ${meetingSeriesFormHTML(term)}`}
   `;
 
   container.innerHTML = html;
+  container.querySelectorAll('.meeting-files').forEach(cell => {
+    const meeting = meetings.find(m => m.id === cell.closest('tr').dataset.meetingId);
+    bindAttachmentLinks(cell, meeting.attachments);
+  });
+  if (readOnly) return;
+  initCustomDropdowns(container);
+
+  // Rescheduling keeps the original meeting (and anything submitted for it)
+  // and adds its replacement on the new date.
+  const rescheduleMeeting = async (meeting, select) => {
+    const date = (prompt(`New date for the ${formatDate(meeting.date)} ${meeting.committee} meeting (YYYY-MM-DD):`) || '').trim();
+    if (!date) {
+      select.value = meetingStatus(meeting);
+      return;
+    }
+    if (!parseCalendarDate(date) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      alert('Enter the new date as YYYY-MM-DD.');
+      select.value = meetingStatus(meeting);
+      return;
+    }
+    const replacement = {
+      id: generateMeetingId(meetings),
+      committee: meeting.committee,
+      name: meeting.name || '',
+      date,
+      time: meeting.time || '',
+      location: meeting.location || ''
+    };
+    if (meeting.seriesId) replacement.seriesId = meeting.seriesId;
+    const previous = { status: meeting.status, rescheduledTo: meeting.rescheduledTo };
+    meetings.push(replacement);
+    meeting.status = 'rescheduled';
+    meeting.rescheduledTo = replacement.id;
+    if (!(await persistAdminChange(() => saveMeetingsOverride(meetings)))) {
+      // Put the meeting back the way it was so the list matches what's saved
+      meetings.splice(meetings.indexOf(replacement), 1);
+      Object.keys(previous).forEach(key => {
+        if (previous[key] === undefined) delete meeting[key];
+        else meeting[key] = previous[key];
+      });
+      select.value = meetingStatus(meeting);
+      return;
+    }
+    if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
+    renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
+  };
 
   // Inline edit - save on blur
   container.querySelectorAll('.inline-edit').forEach(input => {
-    input.addEventListener('change', function() {
+    input.addEventListener('change', async function() {
       const row = this.closest('tr');
       const id = row.dataset.meetingId;
       const meeting = meetings.find(m => m.id === id);
-      if (meeting) {
+      if (!meeting) return;
+      if (this.dataset.field === 'status' && this.value === 'rescheduled') {
+        await rescheduleMeeting(meeting, this);
+        return;
+      }
+      const before = meetings.map(m => ({ ...m }));
+      if (this.dataset.field === 'status') {
+        meeting.status = this.value;
+        delete meeting.rescheduledTo;
+      } else {
         meeting[this.dataset.field] = this.value;
-        saveMeetingsOverride(meetings);
-        if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
       }
+      const field = this.dataset.field;
+      const laterInSeries = meeting.seriesId && SERIES_SHARED_FIELDS.includes(field)
+        ? meetings.filter(m => m !== meeting && m.seriesId === meeting.seriesId && m.date > meeting.date && meetingStatus(m) !== 'rescheduled')
+        : [];
+      const applyToSeries = laterInSeries.length > 0 &&
+        confirm(`Apply this ${field} change to the ${laterInSeries.length} later meeting${laterInSeries.length === 1 ? '' : 's'} in this series too?\n\nOK: this and all future meetings. Cancel: only this meeting.`);
+      if (applyToSeries) laterInSeries.forEach(m => { m[field] = this.value; });
+      if (!(await persistAdminChange(() => saveMeetingsOverride(meetings)))) {
+        // Show the meetings as they are saved, not the edit that failed
+        meetings.splice(0, meetings.length, ...before);
+        renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
+        return;
+      }
+      if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
+      if (field === 'status' || applyToSeries) renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
     });
   });
 
   container.querySelectorAll('.delete-meeting').forEach(btn => {
-    btn.addEventListener('click', function() {
+    btn.addEventListener('click', async function() {
+      if (!confirm('Remove this meeting? Only remove meetings added by mistake. To record a cancellation, set its status to Cancelled instead.')) return;
       const row = this.closest('tr');
       const id = row.dataset.meetingId;
+      const removed = meetings.find(m => m.id === id);
       const newMeetings = meetings.filter(m => m.id !== id);
-      saveMeetingsOverride(newMeetings);
+      if (!(await persistAdminChange(() => saveMeetingsOverride(newMeetings)))) return;
+      ((removed && removed.attachments) || []).forEach(a => deleteAttachment(a).catch(err => console.warn('Could not delete attachment:', a.path, err)));
       if (typeof onMeetingsChange === 'function') onMeetingsChange(newMeetings);
-      renderMeetingsSection(newMeetings, allowedCommittees, onMeetingsChange);
+      renderMeetingsSection(newMeetings, allowedCommittees, onMeetingsChange, term);
     });
   });
 
-  document.getElementById('addMeetingBtn').addEventListener('click', () => {
+  // Agenda and minutes: upload first, then list the file on the meeting
+  container.querySelectorAll('.meeting-file-input').forEach(input => {
+    input.addEventListener('change', async function() {
+      const file = this.files[0];
+      const meeting = meetings.find(m => m.id === this.closest('tr').dataset.meetingId);
+      if (!file || !meeting) return;
+      const attached = meeting.attachments || [];
+      const problem = attachmentError(file, attached.length);
+      if (problem) {
+        alert(problem);
+        this.value = '';
+        return;
+      }
+      const kinds = MEETING_ATTACHMENT_KINDS.map(k => k.value);
+      const kind = (prompt(`What is ${file.name}? (${kinds.join(', ')})`, guessAttachmentKind(file)) || '').trim().toLowerCase();
+      if (!kind) {
+        this.value = '';
+        return;
+      }
+      if (!kinds.includes(kind)) {
+        alert(`Choose one of: ${kinds.join(', ')}.`);
+        this.value = '';
+        return;
+      }
+      const session = getSession() || {};
+      let uploaded;
+      try {
+        uploaded = await uploadAttachment(meetingAttachmentFolder(meeting.id), file, { uploadedBy: session.pid || '', kind, attachedCount: attached.length });
+      } catch (err) {
+        console.error('Meeting file upload failed:', err);
+        alert(err.message || 'Failed to upload the file. Please try again.');
+        this.value = '';
+        return;
+      }
+      meeting.attachments = [...attached, uploaded];
+      if (!(await persistAdminChange(() => saveMeetingsOverride(meetings)))) {
+        meeting.attachments = attached;
+        deleteAttachment(uploaded).catch(() => {});
+      }
+      if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
+      renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
+    });
+  });
+
+  container.querySelectorAll('.meeting-files .attachment-remove').forEach(btn => {
+    btn.addEventListener('click', async function() {
+      const meeting = meetings.find(m => m.id === this.closest('tr').dataset.meetingId);
+      const attached = meeting.attachments || [];
+      const attachment = attached[Number(this.dataset.attachmentIndex)];
+      if (!attachment || !confirm(`Remove ${attachment.name} from this meeting? The file is deleted.`)) return;
+      meeting.attachments = attached.filter(a => a !== attachment);
+      if (!meeting.attachments.length) delete meeting.attachments;
+      if (await persistAdminChange(() => saveMeetingsOverride(meetings))) {
+        deleteAttachment(attachment).catch(err => console.warn('Could not delete attachment:', attachment.path, err));
+      } else {
+        meeting.attachments = attached;
+      }
+      if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
+      renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
+    });
+  });
+
+  const createSeriesBtn = document.getElementById('createSeriesBtn');
+  let seriesPreview = [];
+  const previewSeries = () => {
+    const { pattern, details } = readMeetingSeriesForm();
+    const previewEl = document.getElementById('seriesPreview');
+    createSeriesBtn.disabled = true;
+    seriesPreview = [];
+    if (!details.committee || !pattern.start || !pattern.end) {
+      previewEl.innerHTML = '<p class="empty-state">Choose a committee, start date and end date.</p>';
+      return;
+    }
+    if (pattern.frequency === 'monthly' && !pattern.weeks.length) {
+      previewEl.innerHTML = '<p class="empty-state">Choose at least one week of the month.</p>';
+      return;
+    }
+    seriesPreview = generateSeriesDates(pattern);
+    const outsideTerm = term ? seriesPreview.filter(date => date < term.start || date > term.end).length : 0;
+    previewEl.innerHTML = seriesPreview.length === 0
+      ? '<p class="empty-state">No dates match this pattern.</p>'
+      : `
+        <p class="series-count">${seriesPreview.length} meeting${seriesPreview.length === 1 ? '' : 's'} for ${escapeHtml(details.committee)}${details.time ? `, ${escapeHtml(details.time)}` : ''}${outsideTerm ? ` (${outsideTerm} outside ${escapeHtml(term.name)})` : ''}:</p>
+        <ul class="series-dates">${seriesPreview.map(date => `<li>${formatDate(date)}</li>`).join('')}</ul>
+      `;
+    createSeriesBtn.disabled = seriesPreview.length === 0;
+  };
+  document.getElementById('previewSeriesBtn').addEventListener('click', previewSeries);
+  document.getElementById('seriesFrequency').addEventListener('change', function() {
+    document.getElementById('seriesWeeks').hidden = this.value !== 'monthly';
+  });
+  // Any change invalidates the preview
+  container.querySelector('.series-builder').addEventListener('input', () => { createSeriesBtn.disabled = true; });
+  container.querySelector('.series-builder').addEventListener('change', () => { createSeriesBtn.disabled = true; });
+
+  createSeriesBtn.addEventListener('click', async () => {
+    const { details } = readMeetingSeriesForm();
+    if (!seriesPreview.length) return;
+    const created = buildSeriesMeetings(meetings, seriesPreview, details);
+    createSeriesBtn.disabled = true;
+    meetings.push(...created);
+    if (!(await persistAdminChange(() => saveMeetingsOverride(meetings)))) {
+      meetings.splice(meetings.length - created.length, created.length);
+      createSeriesBtn.disabled = false;
+      return;
+    }
+    if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
+    renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
+  });
+
+  document.getElementById('addMeetingBtn').addEventListener('click', async () => {
     const newId = generateMeetingId(meetings);
     const committees = allowedCommittees.length
       ? allowedCommittees
       : [...new Set(meetings.map(m => m.committee).filter(Boolean))];
     const committee = committees[0] || 'New Committee';
-    meetings.push({
+    const today = new Date().toISOString().slice(0, 10);
+    const added = {
       id: newId,
       committee,
-      date: new Date().toISOString().slice(0, 10),
+      // New meetings land in the term being edited
+      date: !term || (today >= term.start && today <= term.end) ? today : term.start,
       time: '',
       location: ''
-    });
-    saveMeetingsOverride(meetings);
+    };
+    meetings.push(added);
+    if (!(await persistAdminChange(() => saveMeetingsOverride(meetings)))) {
+      meetings.splice(meetings.indexOf(added), 1);
+      return;
+    }
     if (typeof onMeetingsChange === 'function') onMeetingsChange(meetings);
-    renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange);
+    renderMeetingsSection(meetings, allowedCommittees, onMeetingsChange, term);
   });
 }
 
+/**
+ * Renders the Committees section: each body's acronym, governance.vt.edu
+ * page, calendar color, chair contact, Senate seats and whether it is active.
+ * Meetings and assignments refer to committees by name, so names can't be
+ * changed here; retire a committee by unchecking Active instead.
+ * @param {Array} committees - Committee objects (getCommitteesWithOverride)
+ * @param {Function} onCommitteesChange - Callback fired with the updated committees
+ */
+function renderCommitteesSection(committees, onCommitteesChange) {
+  const container = document.getElementById('committeesSection');
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="newCommitteeName" class="dropdown-label">Name</label>
+        <input type="text" id="newCommitteeName" placeholder="e.g. Commission on Research" autocomplete="off">
+      </div>
+      <div class="dropdown-wrap">
+        <label for="newCommitteeAcronym" class="dropdown-label">Acronym</label>
+        <input type="text" id="newCommitteeAcronym" placeholder="e.g. COR" autocomplete="off">
+      </div>
+      <div class="filter-bar-actions">
+        <button type="button" class="btn btn-primary btn-sm" id="addCommitteeBtn">Add Committee</button>
+      </div>
+    </div>
+    <div class="table-responsive">
+      <table class="data-table committees-table">
+        <thead>
+          <tr><th>Committee / Commission</th><th>Acronym</th><th>Page</th><th>Color</th><th>Chair</th><th>Chair Email</th><th>Seats</th><th>Active</th></tr>
+        </thead>
+        <tbody>
+          ${committees.length === 0 ? '<tr><td colspan="8" class="empty-state">No committees yet.</td></tr>' : committees.map(c => `
+            <tr data-committee-id="${escapeHtml(c.id)}" class="${c.active ? '' : 'row-inactive'}">
+              <td>${escapeHtml(c.name)}</td>
+              <td><input type="text" value="${escapeHtml(c.acronym)}" data-field="acronym" class="inline-edit committee-acronym" aria-label="Acronym"></td>
+              <td><input type="url" value="${escapeHtml(c.url)}" data-field="url" class="inline-edit" placeholder="https://governance.vt.edu/BodyDetails/${escapeHtml(c.acronym || '...')}" aria-label="Page URL"></td>
+              <td><input type="color" value="${escapeHtml(c.color || '#6c757d')}" data-field="color" aria-label="Calendar color"></td>
+              <td><input type="text" value="${escapeHtml(c.chairName)}" data-field="chairName" class="inline-edit" aria-label="Chair name"></td>
+              <td><input type="email" value="${escapeHtml(c.chairEmail)}" data-field="chairEmail" class="inline-edit" aria-label="Chair email"></td>
+              <td><input type="number" min="0" max="50" step="1" value="${c.seats}" data-field="seats" class="inline-edit committee-seats" aria-label="Senate seats"></td>
+              <td><input type="checkbox" data-field="active" ${c.active ? 'checked' : ''} aria-label="Active"></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  const save = async updated => {
+    if (await persistAdminChange(() => saveCommitteesOverride(updated))) {
+      committees = updated.map(normalizeCommittee).sort((a, b) => a.name.localeCompare(b.name));
+      if (typeof onCommitteesChange === 'function') onCommitteesChange(committees);
+    }
+    renderCommitteesSection(committees, onCommitteesChange);
+  };
+
+  container.querySelectorAll('[data-field]').forEach(input => {
+    input.addEventListener('change', async function() {
+      const id = this.closest('tr').dataset.committeeId;
+      const field = this.dataset.field;
+      const value = field === 'active' ? this.checked : this.value.trim();
+      if (field === 'acronym' && value && committees.some(c => c.id !== id && c.acronym === value.toUpperCase())) {
+        alert(`${value.toUpperCase()} is already another committee's acronym.`);
+        renderCommitteesSection(committees, onCommitteesChange);
+        return;
+      }
+      if (field === 'url' && value && !isValidCommitteeUrl(value)) {
+        alert('Enter the page as a full https:// address, without spaces or quotes.');
+        renderCommitteesSection(committees, onCommitteesChange);
+        return;
+      }
+      if (field === 'chairEmail' && value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        alert('Enter a valid email address for the chair.');
+        renderCommitteesSection(committees, onCommitteesChange);
+        return;
+      }
+      if (field === 'seats' && !/^\d+$/.test(value)) {
+        alert('Seats must be a whole number (0 for none).');
+        renderCommitteesSection(committees, onCommitteesChange);
+        return;
+      }
+      await save(committees.map(c => (c.id === id ? { ...c, [field]: value } : c)));
+    });
+  });
+
+  document.getElementById('addCommitteeBtn').addEventListener('click', async () => {
+    const name = document.getElementById('newCommitteeName').value.trim().replace(/\s+/g, ' ');
+    const acronym = document.getElementById('newCommitteeAcronym').value.trim().toUpperCase();
+    if (!name) {
+      alert('Enter the committee name.');
+      return;
+    }
+    const added = normalizeCommittee({ name, acronym });
+    const existing = findCommittee(name, committees) || (acronym && findCommittee(acronym, committees)) ||
+      committees.find(c => c.id === added.id);
+    if (existing) {
+      alert(`${existing.name} is already a committee.`);
+      return;
+    }
+    await save([...committees, added]);
+  });
+}
+
+/**
+ * Renders the report template editor. Admins pick a committee (or the
+ * default template) and choose which report sections senators fill in,
+ * with custom labels, hints and required flags.
+ * @param {Object} templates - Saved templates keyed by committee ('' = default)
+ * @param {Array} allowedCommittees - Active committee names
+ */
+function renderReportTemplatesSection(templates, allowedCommittees = []) {
+  const container = document.getElementById('reportTemplatesSection');
+  if (!container) return;
+
+  const committee = (document.getElementById('templateCommittee') || {}).value || '';
+  const options = [{ value: '', label: 'Default (all committees)' }, ...allowedCommittees.map(c => ({
+    value: c,
+    label: templates[c] ? `${c} (custom)` : c
+  }))];
+  const sections = getReportTemplate(committee, templates);
+  const usesDefault = committee && !templates[committee];
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="templateCommittee" class="dropdown-label">Template</label>
+        ${customDropdownHTML('templateCommittee', options, committee, 'Default (all committees)')}
+      </div>
+    </div>
+    ${usesDefault ? '<p class="template-hint">This committee uses the default template. Saving creates a custom template for it.</p>' : ''}
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr><th>Show</th><th>Section</th><th>Label</th><th>Hint</th><th>Required</th></tr>
+        </thead>
+        <tbody>
+          ${sections.map(section => `
+            <tr data-section-key="${escapeHtml(section.key)}">
+              <td><input type="checkbox" data-field="enabled" ${section.enabled ? 'checked' : ''}></td>
+              <td>${escapeHtml(REPORT_SECTIONS.find(d => d.key === section.key).label)}</td>
+              <td><input type="text" class="inline-edit" data-field="label" value="${escapeHtml(section.label)}"></td>
+              <td><input type="text" class="inline-edit" data-field="hint" value="${escapeHtml(section.hint)}" ${section.type === 'date' ? 'disabled' : ''}></td>
+              <td><input type="checkbox" data-field="required" ${section.required ? 'checked' : ''}></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div style="margin-top: 1rem; display: flex; gap: 0.5rem; flex-wrap: wrap;">
+      <button type="button" class="btn btn-primary btn-sm" id="saveTemplateBtn">Save Template</button>
+      ${committee && templates[committee] ? '<button type="button" class="btn btn-secondary btn-sm" id="resetTemplateBtn">Use Default Template</button>' : ''}
+    </div>
+  `;
+  initCustomDropdowns(container);
+
+  document.getElementById('templateCommittee').addEventListener('change', () => {
+    renderReportTemplatesSection(templates, allowedCommittees);
+  });
+
+  document.getElementById('saveTemplateBtn').addEventListener('click', async () => {
+    const edited = [...container.querySelectorAll('[data-section-key]')].map(row => ({
+      key: row.dataset.sectionKey,
+      enabled: row.querySelector('[data-field="enabled"]').checked,
+      label: row.querySelector('[data-field="label"]').value.trim(),
+      hint: row.querySelector('[data-field="hint"]').value.trim(),
+      required: row.querySelector('[data-field="required"]').checked
+    }));
+    if (!edited.some(section => section.enabled)) {
+      alert('Enable at least one report section.');
+      return;
+    }
+    if (await persistAdminChange(() => saveReportTemplate(committee, edited))) {
+      templates[committee] = { committee, sections: edited };
+      renderReportTemplatesSection(templates, allowedCommittees);
+    }
+  });
+
+  const resetBtn = document.getElementById('resetTemplateBtn');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', async () => {
+      if (await persistAdminChange(() => saveReportTemplate(committee, null))) {
+        delete templates[committee];
+        renderReportTemplatesSection(templates, allowedCommittees);
+      }
+    });
+  }
+}
+
+const AUDIT_ENTITY_LABELS = {
+  meeting: 'Meeting',
+  assignment: 'Assignment',
+  submission: 'Submission',
+  member: 'Member',
+  review: 'Review',
+  reportTemplate: 'Report template',
+  term: 'Term',
+  substitution: 'Substitution',
+  absence: 'Absence',
+  committee: 'Committee'
+};
+
+function auditValueText(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value) && value.every(v => typeof v !== 'object')) return value.join(', ') || '(empty)';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? text.slice(0, 80) + '…' : text;
+}
+
+/**
+ * Describes what an audit entry changed, one line per field. Lists of
+ * strings (e.g. assignment committees) show what was added and removed.
+ * @param {Object} entry - Audit log entry
+ * @returns {Array<string>}
+ */
+function auditChangeLines(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  if (!entry.before || !entry.after) {
+    const doc = entry.after || entry.before || {};
+    return Object.keys(doc).sort()
+      .filter(key => doc[key] !== '' && doc[key] !== null)
+      .map(key => `${key}: ${auditValueText(doc[key])}`);
+  }
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys.filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key])).map(key => {
+    const a = before[key];
+    const b = after[key];
+    if (Array.isArray(a) && Array.isArray(b) && [...a, ...b].every(v => typeof v === 'string')) {
+      const added = b.filter(v => !a.includes(v)).map(v => `+${v}`);
+      const removed = a.filter(v => !b.includes(v)).map(v => `−${v}`);
+      return `${key}: ${[...added, ...removed].join(', ') || 'reordered'}`;
+    }
+    return `${key}: ${auditValueText(a)} → ${auditValueText(b)}`;
+  });
+}
+
+/**
+ * Renders the History (audit log) view with free-text search and an
+ * entity filter. Entries are append-only; this view is read-only.
+ * @param {Array|null} entries - Audit entries, newest first (null when Firestore is unavailable)
+ */
+function renderHistorySection(entries) {
+  const container = document.getElementById('historySection');
+  if (!container) return;
+  if (!entries) {
+    container.innerHTML = '<p class="empty-state">History is recorded in Firestore. Configure Firebase to track admin changes.</p>';
+    return;
+  }
+
+  const query = ((document.getElementById('historySearch') || {}).value || '');
+  const entity = (document.getElementById('historyEntity') || {}).value || '';
+  const entityOptions = [{ value: '', label: 'All changes' }, ...Object.keys(AUDIT_ENTITY_LABELS).map(key => ({
+    value: key,
+    label: AUDIT_ENTITY_LABELS[key]
+  }))];
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="historySearch" class="dropdown-label">Search</label>
+        <input type="search" id="historySearch" value="${escapeHtml(query)}" placeholder="PID, committee, meeting id..." autocomplete="off">
+      </div>
+      <div class="dropdown-wrap">
+        <label for="historyEntity" class="dropdown-label">Type</label>
+        ${customDropdownHTML('historyEntity', entityOptions, entity, 'All changes')}
+      </div>
+      <div class="filter-bar-actions">
+        <button type="button" class="btn btn-secondary btn-sm" id="refreshHistoryBtn">Refresh</button>
+      </div>
+    </div>
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr><th>When</th><th>Who</th><th>Action</th><th>What</th><th>Changes</th></tr>
+        </thead>
+        <tbody id="historyRows"></tbody>
+      </table>
+    </div>
+  `;
+  initCustomDropdowns(container);
+
+  const renderRows = () => {
+    const terms = document.getElementById('historySearch').value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const selectedEntity = document.getElementById('historyEntity').value;
+    const filtered = entries.filter(entry => {
+      if (selectedEntity && entry.entity !== selectedEntity) return false;
+      const haystack = [entry.actor, entry.entity, entry.entityId, entry.action, JSON.stringify(entry.before), JSON.stringify(entry.after)]
+        .join(' ').toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+    document.getElementById('historyRows').innerHTML = filtered.length === 0
+      ? '<tr><td colspan="5" class="empty-state">No changes found.</td></tr>'
+      : filtered.map(entry => {
+        const doc = entry.after || entry.before || {};
+        const detail = doc.committee || doc.committeeName || '';
+        return `
+          <tr>
+            <td>${formatTimestamp(entry.timestamp)}</td>
+            <td>${escapeHtml(entry.actor || '')}</td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td>${escapeHtml(AUDIT_ENTITY_LABELS[entry.entity] || entry.entity)} ${escapeHtml(entry.entityId)}${detail && detail !== entry.entityId ? `<br><span class="audit-detail">${escapeHtml(detail)}</span>` : ''}</td>
+            <td class="audit-changes">${auditChangeLines(entry).map(escapeHtml).join('<br>')}</td>
+          </tr>
+        `;
+      }).join('');
+  };
+  renderRows();
+
+  document.getElementById('historySearch').addEventListener('input', debounce(renderRows, 200));
+  document.getElementById('historyEntity').addEventListener('change', renderRows);
+  document.getElementById('refreshHistoryBtn').addEventListener('click', refreshHistorySection);
+}
+
+/**
+ * Reloads the History view so it shows a change the admin just made.
+ */
+async function refreshHistorySection() {
+  if (typeof getAuditLogAsync !== 'function' || !document.getElementById('historySection')) return;
+  renderHistorySection(await getAuditLogAsync());
+}
+
 /**
  * Exports all submissions as a JSON file download.
  */
@@ -494,12 +1917,17 @@ async function exportSubmissionsJSON() {
 }
 
 /**
- * Exports all submissions as a CSV file download.
- * Columns: Senator PID, Committee, Date, Attended, Meeting Notes
+ * Exports submissions as a CSV file download, including missing reports.
+ * Columns: Senator PID, Substitute For, Committee, Date, Attended, then one column per report section
+ * @param {Array} meetings - Meetings of the term
+ * @param {Array} assignments - Assignments of the term
+ * @param {Object} term - Only export this term's submissions (optional)
  */
-async function exportSubmissionsCSV(meetings, assignments) {
-  const submissions = await getSubmissions();
-  const combined = getCombinedSubmissions(submissions, assignments, meetings);
+async function exportSubmissionsCSV(meetings, assignments, term = null) {
+  const submissions = (await getSubmissions())
+    .filter(s => !term || submissionMatchesFilters(s, { from: term.start, to: term.end }));
+  const absences = await getAbsences();
+  const combined = getCombinedSubmissions(submissions, assignments, meetings, await getSubstitutions(), absences);
   
   if (!combined || !combined.length) {
     alert('No submissions to export.');
@@ -507,15 +1935,18 @@ async function exportSubmissionsCSV(meetings, assignments) {
   }
 
   // Header row
-  const headers = ['Senator PID', 'Committee', 'Date', 'Attended', 'Meeting Notes'];
+  const headers = ['Senator PID', 'Substitute For', 'Committee', 'Date', 'Attendance', 'Absence Reason', ...REPORT_SECTIONS.map(section => section.label)];
   
   // Convert combined to rows
   const rows = combined.map(s => [
     s.pid || '',
+    s.substituteFor || '',
     s.committeeName || '',
     s.meetingDate || '',
-    s.attendanceConfirmed ? 'Yes' : 'No',
-    (s.notes || '').replace(/\r?\n/g, ' ') // Remove newlines from notes for CSV compatibility
+    (ATTENDANCE_STATUSES.find(a => a.value === s.attendance) || {}).label || '',
+    ((absenceFor(absences, s.pid, s.meetingId) || {}).reason || '').replace(/\r?\n/g, ' '),
+    // Remove newlines from report text for CSV compatibility
+    ...REPORT_SECTIONS.map(section => (s[section.key] || '').replace(/\r?\n/g, ' '))
   ]);
 
   // Combine headers and rows, escaping quotes
@@ -528,7 +1959,7 @@ async function exportSubmissionsCSV(meetings, assignments) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `governance-notes-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.download = `governance-notes-${term ? term.id + '-' : ''}${new Date().toISOString().slice(0, 10)}.csv`;
   a.click();
   URL.revokeObjectURL(url);
 }
@@ -548,6 +1979,7 @@ function importSubmissions(file, onRefresh) {
         const result = await importSubmissionsToFirestore(imported);
         const total = await getSubmissions();
         if (onRefresh) onRefresh();
+        refreshHistorySection();
         alert(`Imported ${result.added} new submissions. Total: ${total.length}`);
       } else {
         const existing = await getSubmissions();
@@ -590,6 +2022,20 @@ function formatDate(dateStr) {
   }
 }
 
+/**
+ * Display text for one report section of a submission, optionally truncated.
+ * @param {Object} submission - Submission (or missing row)
+ * @param {Object} section - Entry from REPORT_SECTIONS
+ * @param {number} maxLength - Truncate after this many characters (0 = no limit)
+ * @returns {string}
+ */
+function reportSectionText(submission, section, maxLength = 0) {
+  const value = submission[section.key] || '';
+  if (section.type === 'date') return formatDate(value);
+  if (maxLength && value.length > maxLength) return value.substring(0, maxLength) + '...';
+  return value;
+}
+
 function formatTimestamp(iso) {
   if (!iso) return '';
   try {
@@ -0,0 +1,324 @@
+/**
+ * VT Shared Governance Tracker - Attendance & Compliance Analytics
+ * Summarizes submissions per senator and per committee for cabinet reports.
+ * Charts are plain SVG/CSS (no external libraries).
+ */
+
+/**
+ * Gets the semester label for a YYYY-MM-DD date (Spring: Jan-May, Summer: Jun-Jul, Fall: Aug-Dec).
+ * @param {string} dateStr - Date string
+ * @returns {string} e.g. "Spring 2026", or '' if invalid
+ */
+function getSemesterLabel(dateStr) {
+  const parts = String(dateStr || '').split('-').map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return '';
+  const [year, month] = parts;
+  if (month <= 5) return `Spring ${year}`;
+  if (month <= 7) return `Summer ${year}`;
+  return `Fall ${year}`;
+}
+
+/**
+ * Gets the start/end date range for a semester label from getSemesterLabel.
+ * @param {string} label - e.g. "Fall 2025"
+ * @returns {{from: string, to: string}|null}
+ */
+function getSemesterRange(label) {
+  const match = /^(Spring|Summer|Fall) (\d{4})$/.exec(label || '');
+  if (!match) return null;
+  const year = match[2];
+  if (match[1] === 'Spring') return { from: `${year}-01-01`, to: `${year}-05-31` };
+  if (match[1] === 'Summer') return { from: `${year}-06-01`, to: `${year}-07-31` };
+  return { from: `${year}-08-01`, to: `${year}-12-31` };
+}
+
+/**
+ * Whole days between a meeting date and a submission timestamp.
+ * @returns {number|null}
+ */
+function daysToSubmit(meetingDate, timestamp) {
+  if (!meetingDate || !timestamp) return null;
+  const meeting = new Date(meetingDate + 'T00:00:00');
+  const submitted = new Date(timestamp);
+  if (isNaN(meeting.getTime()) || isNaN(submitted.getTime())) return null;
+  const submittedDay = new Date(submitted.getFullYear(), submitted.getMonth(), submitted.getDate());
+  return Math.round((submittedDay.getTime() - meeting.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+function inDateRange(dateStr, range) {
+  if (!dateStr) return false;
+  if (range.from && dateStr < range.from) return false;
+  if (range.to && dateStr > range.to) return false;
+  return true;
+}
+
+/**
+ * Computes per-senator attendance, submission rate and average days to submit.
+ * Only meetings on or before today count toward the expected total; excused
+ * absences are counted separately and left out of both rates.
+ * @param {Array} submissions - Actual submissions
+ * @param {Array} assignments - Senator assignments
+ * @param {Array} meetings - All meetings
+ * @param {{from: string, to: string}} range - Inclusive date range ('' = open)
+ * @param {Array} substitutions - Substitute requests; an accepted substitute owes the report
+ * @param {Array} absences - Absence requests; approved ones are excused
+ * @returns {Array} [{pid, expected, excused, submitted, attended, attendanceRate, submissionRate, avgDaysToSubmit}]
+ */
+function computeSenatorStats(submissions, assignments, meetings, range = {}, substitutions = [], absences = []) {
+  const today = toCalendarKey(new Date());
+  const rows = getCombinedSubmissions(submissions, assignments, meetings, substitutions, absences)
+    .filter(s => s.meetingDate <= today && inDateRange(s.meetingDate, range));
+
+  const byPid = {};
+  assignments.forEach(a => {
+    byPid[a.pid] = { pid: a.pid, expected: 0, excused: 0, submitted: 0, attended: 0, delays: [] };
+  });
+  rows.forEach(s => {
+    if (!byPid[s.pid]) byPid[s.pid] = { pid: s.pid, expected: 0, excused: 0, submitted: 0, attended: 0, delays: [] };
+    const stat = byPid[s.pid];
+    if (s.attendance === 'excused') {
+      stat.excused++;
+      return;
+    }
+    stat.expected++;
+    if (s.isMissing) return;
+    stat.submitted++;
+    if (s.attendanceConfirmed) stat.attended++;
+    const delay = daysToSubmit(s.meetingDate, s.createdAt || s.timestamp);
+    if (delay !== null) stat.delays.push(Math.max(0, delay));
+  });
+
+  return Object.values(byPid).map(stat => ({
+    pid: stat.pid,
+    expected: stat.expected,
+    excused: stat.excused,
+    submitted: stat.submitted,
+    attended: stat.attended,
+    attendanceRate: stat.expected ? stat.attended / stat.expected : null,
+    submissionRate: stat.expected ? stat.submitted / stat.expected : null,
+    avgDaysToSubmit: stat.delays.length
+      ? stat.delays.reduce((sum, d) => sum + d, 0) / stat.delays.length
+      : null
+  })).sort((a, b) => String(a.pid).localeCompare(String(b.pid)));
+}
+
+/**
+ * Computes per-committee coverage: for each past meeting (not cancelled or
+ * rescheduled), how many of the senators assigned to that committee
+ * confirmed attendance. A substitute's report counts for the seat they covered.
+ * @param {Array} submissions - Actual submissions
+ * @param {Array} assignments - Senator assignments
+ * @param {Array} meetings - All meetings
+ * @param {{from: string, to: string}} range - Inclusive date range ('' = open)
+ * @returns {Array} [{committee, assigned, meetings: [{id, date, attended}], avgCoverage}]
+ */
+function computeCommitteeCoverage(submissions, assignments, meetings, range = {}) {
+  const today = toCalendarKey(new Date());
+  const byCommittee = {};
+
+  meetings
+    .filter(m => m.date && m.date <= today && meetingExpectsReport(m) && inDateRange(m.date, range))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(meeting => {
+      const committee = meeting.committee || 'Unknown';
+      const assignedPids = assignments
+        .filter(a => (a.committees || []).includes(meeting.committee))
+        .map(a => String(a.pid));
+      if (!byCommittee[committee]) {
+        byCommittee[committee] = { committee, assigned: assignedPids.length, meetings: [] };
+      }
+      const attended = new Set(submissions
+        .filter(s => String(s.meetingId) === String(meeting.id) && s.attendanceConfirmed && assignedPids.includes(String(s.substituteFor || s.pid)))
+        .map(s => String(s.substituteFor || s.pid))).size;
+      byCommittee[committee].meetings.push({ id: meeting.id, date: meeting.date, attended });
+    });
+
+  return Object.values(byCommittee).map(c => {
+    const ratios = c.assigned ? c.meetings.map(m => m.attended / c.assigned) : [];
+    return {
+      ...c,
+      avgCoverage: ratios.length ? ratios.reduce((sum, r) => sum + r, 0) / ratios.length : null
+    };
+  }).sort((a, b) => a.committee.localeCompare(b.committee));
+}
+
+function formatPercent(ratio) {
+  return ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`;
+}
+
+function rateBarHTML(ratio, label) {
+  const pct = ratio === null ? 0 : Math.round(ratio * 100);
+  const level = ratio === null ? '' : ratio >= 0.8 ? 'rate-good' : ratio >= 0.5 ? 'rate-warn' : 'rate-bad';
+  return `
+    <div class="rate-bar" title="${escapeHtml(label)}: ${formatPercent(ratio)}">
+      <div class="rate-bar-fill ${level}" style="width: ${pct}%;"></div>
+      <span class="rate-bar-label">${formatPercent(ratio)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Builds an SVG column chart of attendees per meeting for one committee.
+ * @param {Object} coverage - Entry from computeCommitteeCoverage
+ * @returns {string} SVG markup
+ */
+function coverageChartSVG(coverage) {
+  const barWidth = 18;
+  const gap = 6;
+  const height = 60;
+  const max = Math.max(coverage.assigned, 1);
+  const width = Math.max(coverage.meetings.length * (barWidth + gap), barWidth);
+  const bars = coverage.meetings.map((m, i) => {
+    const h = Math.round((m.attended / max) * (height - 4));
+    const full = coverage.assigned > 0 && m.attended >= coverage.assigned;
+    const title = `<title>${escapeHtml(formatDate(m.date))}: ${m.attended}/${coverage.assigned} attended</title>`;
+    return `
+      <rect x="${i * (barWidth + gap)}" y="0" width="${barWidth}" height="${height}" class="coverage-bar-track">${title}</rect>
+      <rect x="${i * (barWidth + gap)}" y="${height - h}" width="${barWidth}" height="${h}"
+            class="${full ? 'coverage-bar-full' : 'coverage-bar'}">${title}</rect>
+    `;
+  }).join('');
+  return `
+    <svg class="coverage-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"
+         aria-label="${escapeHtml(coverage.committee)} attendance per meeting">
+      ${bars}
+    </svg>
+  `;
+}
+
+/**
+ * Renders the analytics section with date range / semester filters.
+ * Filter changes re-render from the data passed in (no re-fetch).
+ * @param {Array} submissions - Actual submissions
+ * @param {Array} assignments - Senator assignments
+ * @param {Array} meetings - All meetings
+ * @param {Array} substitutions - Substitute requests
+ * @param {Array} absences - Absence requests
+ */
+function renderAnalyticsSection(submissions, assignments = [], meetings = [], substitutions = [], absences = []) {
+  const container = document.getElementById('analyticsSection');
+  if (!container) return;
+
+  const semester = (document.getElementById('analyticsSemester') || {}).value || '';
+  const fromInput = (document.getElementById('analyticsFrom') || {}).value || '';
+  const toInput = (document.getElementById('analyticsTo') || {}).value || '';
+  const semesterRange = getSemesterRange(semester);
+  const range = semesterRange || { from: fromInput, to: toInput };
+
+  const semesters = [...new Set(meetings.map(m => getSemesterLabel(m.date)).filter(Boolean))]
+    .sort((a, b) => {
+      const ra = getSemesterRange(a);
+      const rb = getSemesterRange(b);
+      return rb.from.localeCompare(ra.from);
+    });
+  const semesterOptions = [{ value: '', label: 'Custom range' }, ...semesters.map(s => ({ value: s, label: s }))];
+
+  const senatorStats = computeSenatorStats(submissions, assignments, meetings, range, substitutions, absences);
+  const coverage = computeCommitteeCoverage(submissions, assignments, meetings, range);
+
+  const totals = senatorStats.reduce((t, s) => ({
+    expected: t.expected + s.expected,
+    excused: t.excused + s.excused,
+    submitted: t.submitted + s.submitted,
+    attended: t.attended + s.attended
+  }), { expected: 0, excused: 0, submitted: 0, attended: 0 });
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="analyticsSemester" class="dropdown-label">Semester</label>
+        ${customDropdownHTML('analyticsSemester', semesterOptions, semester, 'Custom range')}
+      </div>
+      <div class="dropdown-wrap">
+        <label for="analyticsFrom" class="dropdown-label">From</label>
+        <input type="date" id="analyticsFrom" value="${escapeHtml(range.from || '')}" ${semesterRange ? 'disabled' : ''}>
+      </div>
+      <div class="dropdown-wrap">
+        <label for="analyticsTo" class="dropdown-label">To</label>
+        <input type="date" id="analyticsTo" value="${escapeHtml(range.to || '')}" ${semesterRange ? 'disabled' : ''}>
+      </div>
+      <div class="filter-bar-actions">
+        <button type="button" class="btn btn-secondary btn-sm" id="clearAnalyticsFilters">Clear</button>
+      </div>
+    </div>
+
+    <div class="analytics-summary">
+      <div class="analytics-stat">
+        <span class="analytics-stat-value">${formatPercent(totals.expected ? totals.attended / totals.expected : null)}</span>
+        <span class="analytics-stat-label">Overall attendance</span>
+      </div>
+      <div class="analytics-stat">
+        <span class="analytics-stat-value">${formatPercent(totals.expected ? totals.submitted / totals.expected : null)}</span>
+        <span class="analytics-stat-label">Reports submitted</span>
+      </div>
+      <div class="analytics-stat">
+        <span class="analytics-stat-value">${totals.expected - totals.submitted}</span>
+        <span class="analytics-stat-label">Missing reports</span>
+      </div>
+      <div class="analytics-stat">
+        <span class="analytics-stat-value">${totals.excused}</span>
+        <span class="analytics-stat-label">Excused absences</span>
+      </div>
+    </div>
+
+    <h3 class="analytics-heading">By Senator</h3>
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>PID</th>
+            <th>Meetings</th>
+            <th>Excused</th>
+            <th>Attendance</th>
+            <th>Submissions</th>
+            <th>Avg. Days to Submit</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${senatorStats.length === 0
+            ? '<tr><td colspan="6" class="empty-state">No assignments found.</td></tr>'
+            : senatorStats.map(s => `
+              <tr>
+                <td>${escapeHtml(s.pid)}</td>
+                <td>${s.expected}</td>
+                <td>${s.excused}</td>
+                <td>${rateBarHTML(s.attendanceRate, 'Attendance')}</td>
+                <td>${rateBarHTML(s.submissionRate, 'Submissions')}</td>
+                <td>${s.avgDaysToSubmit === null ? '—' : s.avgDaysToSubmit.toFixed(1)}</td>
+              </tr>
+            `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <h3 class="analytics-heading">Committee Coverage</h3>
+    <p class="analytics-hint">Assigned senators who attended each meeting (hover a bar for details).</p>
+    ${coverage.length === 0
+      ? '<div class="empty-state">No past meetings in this range.</div>'
+      : `<div class="coverage-list">
+        ${coverage.map(c => `
+          <div class="coverage-row">
+            <div class="coverage-name">
+              <strong>${escapeHtml(c.committee)}</strong>
+              <span>${c.assigned} assigned · ${c.meetings.length} meeting${c.meetings.length === 1 ? '' : 's'} · avg ${formatPercent(c.avgCoverage)}</span>
+            </div>
+            <div class="coverage-chart-wrap">${coverageChartSVG(c)}</div>
+          </div>
+        `).join('')}
+      </div>`}
+  `;
+
+  initCustomDropdowns(container);
+
+  const rerender = () => renderAnalyticsSection(submissions, assignments, meetings, substitutions, absences);
+  ['analyticsSemester', 'analyticsFrom', 'analyticsTo'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', rerender);
+  });
+  document.getElementById('clearAnalyticsFilters').addEventListener('click', () => {
+    document.getElementById('analyticsSemester').value = '';
+    document.getElementById('analyticsFrom').value = '';
+    document.getElementById('analyticsTo').value = '';
+    rerender();
+  });
+}
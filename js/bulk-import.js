@@ -0,0 +1,389 @@
+/**
+ * VT Shared Governance Tracker - Bulk Import
+ * Imports committee assignments or meetings from a CSV file (e.g. the
+ * cabinet's appointments spreadsheet saved as CSV). Every row is checked
+ * against the active committees, the members list and the date format, and
+ * shown in a preview; nothing is saved until every row is valid.
+ */
+
+const BULK_IMPORT_KINDS = [
+  { value: 'assignments', label: 'Committee assignments' },
+  { value: 'meetings', label: 'Meetings' }
+];
+
+// Column names (lowercase letters and digits only) accepted for each field
+const BULK_IMPORT_COLUMNS = {
+  pid: ['pid', 'senatorpid', 'senator', 'email'],
+  committee: ['committee', 'committees', 'committeename', 'commission'],
+  date: ['date', 'meetingdate'],
+  time: ['time', 'meetingtime'],
+  location: ['location', 'room', 'place']
+};
+
+const BULK_IMPORT_REQUIRED = {
+  assignments: ['pid', 'committee'],
+  meetings: ['committee', 'date']
+};
+
+// Same rule as normalizePid in functions/index.js
+const BULK_IMPORT_PID_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, and CRLF line endings.
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Turns parsed CSV rows into records keyed by field (see BULK_IMPORT_COLUMNS),
+ * using the first row as the header. Blank rows are skipped.
+ * @param {Array<Array<string>>} rows - From parseCsv
+ * @returns {{fields: Array<string>, records: Array<Object>}} Each record has `row` (its spreadsheet row number)
+ */
+function csvRecords(rows) {
+  if (!rows.length) return { fields: [], records: [] };
+  const fieldByColumn = rows[0].map(header => {
+    const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(BULK_IMPORT_COLUMNS).find(field => BULK_IMPORT_COLUMNS[field].includes(key)) || null;
+  });
+  const records = [];
+  rows.slice(1).forEach((cells, index) => {
+    if (!cells.some(cell => cell.trim())) return;
+    const record = { row: index + 2 };
+    fieldByColumn.forEach((field, column) => {
+      if (field && record[field] === undefined) record[field] = String(cells[column] || '').trim();
+    });
+    records.push(record);
+  });
+  return { fields: fieldByColumn.filter(Boolean), records };
+}
+
+/**
+ * Reads a date as typed in a spreadsheet: YYYY-MM-DD or M/D/YYYY.
+ * @param {string} value - Date text
+ * @returns {string|null} YYYY-MM-DD, or null if it isn't a real date
+ */
+function parseImportDate(value) {
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    if (!match) return null;
+    [, month, day, year] = match.map(Number);
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves a committee cell, adding an error or a warning (for a loose match).
+ * @returns {string|null} The matching committee name
+ */
+function resolveImportCommittee(value, allowedCommittees, result) {
+  if (!value) {
+    result.errors.push('Committee is missing.');
+    return null;
+  }
+  const committee = resolveCommitteeName(value, allowedCommittees);
+  if (!committee) {
+    result.errors.push(`"${value}" is not an active committee.`);
+  } else if (normalizeCommitteeName(committee) !== normalizeCommitteeName(value)) {
+    result.warnings.push(`"${value}" read as ${committee}.`);
+  }
+  return committee;
+}
+
+/**
+ * Checks assignment rows (one PID and one or more committees separated by
+ * semicolons per row). Rows that would fill a committee past its Senate
+ * seats get a warning. Every PID must be a member, so rows fail when the
+ * members list is empty or didn't load.
+ * @param {Array<Object>} records - From csvRecords
+ * @param {Object} context - {allowedCommittees, members, assignments (of the term)}
+ * @returns {Array<Object>} [{row, pid, committees, errors, warnings}]
+ */
+function validateAssignmentRows(records, context) {
+  const memberPids = new Set((context.members || []).map(m => String(m.pid)));
+  const membersLoaded = memberPids.size > 0;
+  const seen = new Set();
+  const seats = new Map(committeeSeatSummary(context.assignments || []).map(seat => [seat.name, { ...seat }]));
+  return records.map(record => {
+    const result = { row: record.row, pid: '', committees: [], errors: [], warnings: [] };
+    const pid = String(record.pid || '').toLowerCase().split('@')[0];
+    if (!pid) {
+      result.errors.push('PID is missing.');
+    } else if (!BULK_IMPORT_PID_PATTERN.test(pid)) {
+      result.errors.push(`"${record.pid}" is not a valid PID.`);
+    } else if (!membersLoaded) {
+      result.errors.push(`Can't check that ${pid} is a member because the members list didn't load. Reload the page and try again.`);
+    } else if (!memberPids.has(pid)) {
+      result.errors.push(`${pid} is not a member. Invite them first.`);
+    }
+    result.pid = pid;
+
+    const existing = (context.assignments || []).find(a => String(a.pid) === pid);
+    const values = String(record.committee || '').split(';').map(c => c.trim()).filter(Boolean);
+    (values.length ? values : ['']).forEach(value => {
+      const committee = resolveImportCommittee(value, context.allowedCommittees, result);
+      if (!committee) return;
+      const key = `${pid}|${committee}`;
+      if (seen.has(key)) {
+        result.warnings.push(`${committee} is listed twice for ${pid}.`);
+      } else if (existing && (existing.committees || []).includes(committee)) {
+        result.warnings.push(`${pid} is already assigned to ${committee}.`);
+      } else {
+        result.committees.push(committee);
+        const seat = seats.get(committee);
+        if (seat && seat.seats !== null && ++seat.filled > seat.seats) {
+          result.warnings.push(`${committee} would have ${seat.filled} senators for ${seat.seats} seat${seat.seats === 1 ? '' : 's'}.`);
+        }
+      }
+      seen.add(key);
+    });
+    return result;
+  });
+}
+
+/**
+ * Checks meeting rows.
+ * @param {Array<Object>} records - From csvRecords
+ * @param {Object} context - {allowedCommittees, meetings, term}
+ * @returns {Array<Object>} [{row, meeting, errors, warnings}]; meeting is null when skipped
+ */
+function validateMeetingRows(records, context) {
+  const seen = new Set((context.meetings || []).map(m => `${m.committee}|${m.date}`));
+  const term = context.term;
+  return records.map(record => {
+    const result = { row: record.row, meeting: null, errors: [], warnings: [] };
+    const committee = resolveImportCommittee(record.committee, context.allowedCommittees, result);
+    const date = parseImportDate(record.date || '');
+    if (!record.date) {
+      result.errors.push('Date is missing.');
+    } else if (!date) {
+      result.errors.push(`"${record.date}" is not a date (use YYYY-MM-DD or M/D/YYYY).`);
+    } else if (term && (date < term.start || date > term.end)) {
+      result.warnings.push(`${formatDate(date)} is outside ${term.name}.`);
+    }
+    if (result.errors.length) return result;
+
+    const key = `${committee}|${date}`;
+    if (seen.has(key)) {
+      result.warnings.push(`${committee} already meets on ${formatDate(date)}; skipped.`);
+      return result;
+    }
+    seen.add(key);
+    result.meeting = { committee, date, time: record.time || '', location: record.location || '' };
+    return result;
+  });
+}
+
+/**
+ * Preview table of checked rows.
+ * @param {string} kind - 'assignments' or 'meetings'
+ * @param {Array<Object>} results - From validateAssignmentRows / validateMeetingRows
+ * @returns {string} HTML string
+ */
+function bulkImportPreviewHTML(kind, results) {
+  const describe = result => (kind === 'assignments'
+    ? `${escapeHtml(result.pid)}${result.committees.length ? ` → ${escapeHtml(result.committees.join(', '))}` : ''}`
+    : result.meeting ? `${escapeHtml(result.meeting.committee)} · ${formatDate(result.meeting.date)}${result.meeting.time ? ` · ${escapeHtml(result.meeting.time)}` : ''}` : '');
+  return `
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead><tr><th>Row</th><th>Imports</th><th>Check</th></tr></thead>
+        <tbody>
+          ${results.map(result => `
+            <tr class="${result.errors.length ? 'import-row-error' : ''}">
+              <td>${result.row}</td>
+              <td>${describe(result)}</td>
+              <td>
+                ${result.errors.length || result.warnings.length ? '' : '<span class="import-ok">OK</span>'}
+                ${result.errors.map(e => `<div class="import-error">${escapeHtml(e)}</div>`).join('')}
+                ${result.warnings.map(w => `<div class="import-warning">${escapeHtml(w)}</div>`).join('')}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Renders the bulk import card for the selected term: pick what to import,
+ * choose a CSV file, review the per-row checks, then import.
+ * @param {Function} getData - Returns the current {assignments, meetings} of every term (updated
+ *   in place and saved) and {members}, the Firestore users every imported PID must belong to
+ * @param {Array} allowedCommittees - Active committee names
+ * @param {Object} term - Selected term; imported assignments and meetings belong to it
+ * @param {Array} terms - All terms
+ * @param {Function} onImported - Called with the kind after an import is saved
+ */
+function renderBulkImportSection(getData, allowedCommittees = [], term = null, terms = [], onImported) {
+  const container = document.getElementById('bulkImportSection');
+  if (!container) return;
+  if (term && term.archived) {
+    container.innerHTML = `<p class="alert alert-info">${escapeHtml(term.name)} is archived; nothing can be imported into it.</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap">
+        <label for="bulkImportKind" class="dropdown-label">Import</label>
+        ${customDropdownHTML('bulkImportKind', BULK_IMPORT_KINDS, 'assignments', 'Committee assignments')}
+      </div>
+      <div class="filter-bar-actions">
+        <label class="btn btn-secondary btn-sm" style="margin: 0; cursor: pointer;">
+          Choose CSV...
+          <input type="file" id="bulkImportFile" accept=".csv,text/csv" style="display: none;">
+        </label>
+      </div>
+    </div>
+    <p class="import-hint" id="bulkImportHint"></p>
+    <div id="bulkImportPreview" aria-live="polite"></div>
+  `;
+  initCustomDropdowns(container);
+
+  const kindEl = document.getElementById('bulkImportKind');
+  const hintEl = document.getElementById('bulkImportHint');
+  const previewEl = document.getElementById('bulkImportPreview');
+  const showHint = () => {
+    hintEl.textContent = kindEl.value === 'assignments'
+      ? `Columns: PID, Committee (separate several committees with ";"). Assignments are added to ${term ? term.name : 'the current assignments'}.${(getData().members || []).length ? '' : ' The members list didn\'t load, so assignments can\'t be imported until it does.'}`
+      : 'Columns: Committee, Date (YYYY-MM-DD or M/D/YYYY), and optionally Time and Location.';
+  };
+  showHint();
+  kindEl.addEventListener('change', () => {
+    showHint();
+    previewEl.innerHTML = '';
+  });
+
+  document.getElementById('bulkImportFile').addEventListener('change', function() {
+    const file = this.files && this.files[0];
+    this.value = '';
+    if (!file) return;
+    const kind = kindEl.value;
+    const reader = new FileReader();
+    reader.onload = () => showPreview(kind, file.name, String(reader.result));
+    reader.onerror = () => { previewEl.innerHTML = '<p class="alert alert-info">Could not read the file.</p>'; };
+    reader.readAsText(file);
+  });
+
+  function showPreview(kind, fileName, text) {
+    const { fields, records } = csvRecords(parseCsv(text));
+    const missing = BULK_IMPORT_REQUIRED[kind].filter(field => !fields.includes(field));
+    if (!records.length || missing.length) {
+      previewEl.innerHTML = `<p class="alert alert-info">${escapeHtml(fileName)}: ${records.length ? `no ${missing.join(' or ')} column found in the header row.` : 'no rows to import.'}</p>`;
+      return;
+    }
+
+    const data = getData();
+    const termAssignments = assignmentsForTerm(data.assignments, term, terms);
+    const results = kind === 'assignments'
+      ? validateAssignmentRows(records, { allowedCommittees, members: data.members, assignments: termAssignments })
+      : validateMeetingRows(records, { allowedCommittees, meetings: data.meetings, term });
+    const errorRows = results.filter(r => r.errors.length).length;
+    const count = kind === 'assignments'
+      ? results.reduce((sum, r) => sum + r.committees.length, 0)
+      : results.filter(r => r.meeting).length;
+    const noun = kind === 'assignments' ? 'assignment' : 'meeting';
+
+    previewEl.innerHTML = `
+      <p class="import-summary">
+        ${escapeHtml(fileName)}: ${results.length} row${results.length === 1 ? '' : 's'},
+        ${errorRows ? `<strong class="import-error">${errorRows} with errors</strong>. Fix them in the spreadsheet and choose the file again.` : `${count} new ${noun}${count === 1 ? '' : 's'}.`}
+      </p>
+      ${bulkImportPreviewHTML(kind, results)}
+      <div class="filter-bar-actions">
+        <button type="button" class="btn btn-primary btn-sm" id="bulkImportSave" ${errorRows || !count ? 'disabled' : ''}>Import ${count} ${noun}${count === 1 ? '' : 's'}</button>
+      </div>
+    `;
+
+    document.getElementById('bulkImportSave').addEventListener('click', async function() {
+      this.disabled = true;
+      const saved = kind === 'assignments'
+        ? await importAssignmentRows(data, results, termAssignments)
+        : await importMeetingRows(data, results);
+      if (!saved) {
+        this.disabled = false;
+        return;
+      }
+      if (typeof onImported === 'function') onImported(kind);
+      // onImported usually re-renders this card
+      (document.getElementById('bulkImportPreview') || previewEl).innerHTML =
+        `<p class="alert alert-success">Imported ${count} ${noun}${count === 1 ? '' : 's'} from ${escapeHtml(fileName)}.</p>`;
+    });
+  }
+
+  async function importAssignmentRows(data, results, termAssignments) {
+    const before = data.assignments.map(a => ({ ...a, committees: [...(a.committees || [])] }));
+    results.forEach(result => {
+      if (!result.committees.length) return;
+      const existing = termAssignments.find(a => String(a.pid) === result.pid);
+      if (existing) {
+        existing.committees = [...new Set([...(existing.committees || []), ...result.committees])].sort();
+      } else {
+        const added = term ? { pid: result.pid, committees: [...result.committees].sort(), term: term.id } : { pid: result.pid, committees: [...result.committees].sort() };
+        data.assignments.push(added);
+        termAssignments.push(added);
+      }
+    });
+    if (await persistAdminChange(() => saveAssignmentsOverride(data.assignments))) return true;
+    data.assignments.splice(0, data.assignments.length, ...before);
+    return false;
+  }
+
+  async function importMeetingRows(data, results) {
+    const created = [];
+    results.filter(r => r.meeting).forEach(result => {
+      created.push({ id: generateMeetingId([...data.meetings, ...created]), ...result.meeting });
+    });
+    data.meetings.push(...created);
+    if (await persistAdminChange(() => saveMeetingsOverride(data.meetings))) return true;
+    data.meetings.splice(data.meetings.length - created.length, created.length);
+    return false;
+  }
+}
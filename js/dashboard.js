@@ -1,8 +1,10 @@
 /**
  * VT Shared Governance Tracker - Senator Dashboard Module
- * Displays assigned committees and meetings, allows attendance confirmation and notes submission.
+ * Displays assigned committees and meetings, allows attendance confirmation and structured report submission.
  */
 
+const DRAFT_SAVE_DELAY_MS = 1000;
+
 /**
  * Gets committees assigned to a senator.
  * @param {string} pid - Senator's PID
@@ -26,10 +28,23 @@ function filterMeetingsByCommittees(meetings, committees) {
 
 /**
  * Renders the senator dashboard with meetings and submission forms.
+ * Meetings the senator already reported on are pre-filled for editing;
+ * submissions still queued offline take precedence over the uploaded version,
+ * and an autosaved draft newer than both takes precedence over either.
+ * Cancelled and rescheduled meetings show their status instead of a form, as
+ * do meetings an accepted substitute attends for the senator and approved
+ * absences. Meetings the senator covers as a substitute carry `substituteFor`.
  * @param {Object} session - Current user session
  * @param {Array} meetings - Filtered meetings for user's committees
+ * @param {Array} submissions - The senator's existing submissions
+ * @param {Object} templates - Report templates keyed by committee (see getReportTemplate)
+ * @param {Array} pending - Queued offline submissions (getPendingSubmissions)
+ * @param {Array} drafts - Autosaved drafts (getDrafts)
+ * @param {Object} reviews - Admin reviews keyed by "<pid>_<meetingId>" (getReviews)
+ * @param {Array} substitutions - Substitute requests by or for the senator (getSubstitutions)
+ * @param {Array} absences - The senator's absence requests (getAbsences)
  */
-function renderDashboard(session, meetings) {
+function renderDashboard(session, meetings, submissions = [], templates = {}, pending = [], drafts = [], reviews = {}, substitutions = [], absences = []) {
   const container = document.getElementById('meetingsContainer');
   if (!container) return;
 
@@ -52,7 +67,24 @@ function renderDashboard(session, meetings) {
     return;
   }
 
+  const submissionsByMeeting = {};
+  submissions.forEach(s => { submissionsByMeeting[s.meetingId] = s; });
+  const pendingByMeeting = {};
+  pending.forEach(r => { pendingByMeeting[r.submission.meetingId] = r; });
+  const draftsByMeeting = {};
+  drafts.forEach(d => { draftsByMeeting[d.meetingId] = d; });
+
   container.innerHTML = activeMeetings.map(meeting => {
+    const queued = pendingByMeeting[meeting.id];
+    const existing = queued ? queued.submission : submissionsByMeeting[meeting.id];
+    const draft = draftsByMeeting[meeting.id];
+    const useDraft = !!(draft && draft.updatedAt > ((existing && existing.timestamp) || ''));
+    const prefill = useDraft ? { ...existing, ...draft.fields } : existing;
+    const review = reviews[`${session.pid}_${meeting.id}`];
+    const status = meetingStatus(meeting);
+    const substitution = mySubstitutionRequest(substitutions, session.pid, meeting.id);
+    const absence = absenceFor(absences, session.pid, meeting.id);
+    const noReportNeeded = (substitution && substitution.status === 'accepted') || (absence && absence.status === 'approved');
     const [year, month, day] = meeting.date.split('-').map(Number);
     const meetingDate = new Date(year, month - 1, day);
     meetingDate.setHours(0, 0, 0, 0);
@@ -78,34 +110,93 @@ function renderDashboard(session, meetings) {
       countdownClass = 'countdown-overdue';
     }
 
-    return `
-      <div class="card meeting-card" data-meeting-id="${meeting.id}">
+    const committeeUrl = getCommitteeUrl(meeting.committee);
+    const committee = findCommittee(meeting.committee);
+    const header = `
         <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 0.5rem;">
-          <h3 style="margin: 0;">${escapeHtml(meeting.committee)}</h3>
-          <span class="countdown-badge ${countdownClass}">${countdownText}</span>
+          <h3 style="margin: 0;">${committeeUrl ? `<a href="${escapeHtml(committeeUrl)}" target="_blank" rel="noopener" class="committee-link">${escapeHtml(meeting.committee)}</a>` : escapeHtml(meeting.committee)}</h3>
+          <span>
+            ${meetingStatusBadgeHTML(meeting, meetings)}
+            ${meetingExpectsReport(meeting) && !noReportNeeded ? `<span class="countdown-badge ${countdownClass}">${countdownText}</span>` : ''}
+          </span>
         </div>
+        ${meeting.substituteFor ? `<p class="substitute-note">Substituting for ${escapeHtml(meeting.substituteFor)}</p>` : ''}
         <div class="meeting-meta">
           <span><strong>Date:</strong> ${formatDate(meeting.date)}</span>
           <span><strong>Time:</strong> ${escapeHtml(meeting.time || '')}</span>
           ${meeting.location ? `<span><strong>Location:</strong> ${escapeHtml(meeting.location)}</span>` : ''}
+          ${committee && (committee.chairName || committee.chairEmail) ? `<span><strong>Chair:</strong> ${committeeChairHTML(committee)}</span>` : ''}
         </div>
+        ${meeting.attachments && meeting.attachments.length ? `<div class="meeting-attachments"><strong>Meeting files:</strong>${attachmentListHTML(meeting.attachments)}</div>` : ''}`;
+
+    if (!meetingExpectsReport(meeting)) {
+      const replacement = status === 'rescheduled' && meetings.find(m => String(m.id) === String(meeting.rescheduledTo));
+      return `
+      <div class="card meeting-card meeting-card-inactive" data-meeting-id="${meeting.id}">
+        ${header}
+        <p class="empty-state">${status === 'cancelled'
+          ? 'This meeting was cancelled. No report is needed.'
+          : `This meeting was rescheduled${replacement ? ` to ${formatDate(replacement.date)}` : ''}. Report on the new meeting instead.`}</p>
+      </div>
+    `;
+    }
+
+    if (substitution && substitution.status === 'accepted') {
+      return `
+      <div class="card meeting-card" data-meeting-id="${meeting.id}">
+        ${header}
+        <p class="empty-state">${escapeHtml(substitution.substitutePid)} is attending in your place and will submit the report.</p>
+      </div>
+    `;
+    }
+
+    if (absence && absence.status === 'approved') {
+      return `
+      <div class="card meeting-card" data-meeting-id="${meeting.id}">
+        ${header}
+        <p class="empty-state">Your absence was excused. No report is needed.</p>
+      </div>
+    `;
+    }
+
+    return `
+      <div class="card meeting-card" data-meeting-id="${meeting.id}">
+        ${header}
+        <div class="submission-status">${queued ? pendingStatusHTML(queued.queuedAt) : existing ? syncedStatusHTML(existing) : ''}</div>
+        ${meeting.substituteFor ? '' : `<div class="substitute-status">${substituteStatusHTML(substitution, diffDays >= 0)}</div>`}
+        <div class="absence-status">${absenceStatusHTML(absence, !(existing && existing.attendanceConfirmed))}</div>
+        ${reviewHTML(review)}
       <form class="meeting-submission-form" data-meeting-id="${meeting.id}">
         <div class="form-group" style="margin-bottom: 1rem;">
-          <label class="attendance-label">
-            <input type="checkbox" name="attendance" value="confirmed">
+          <label class="attendance-label ${prefill && prefill.attendanceConfirmed ? 'checked' : ''}">
+            <input type="checkbox" name="attendance" value="confirmed" ${prefill && prefill.attendanceConfirmed ? 'checked' : ''}>
             I attended this meeting
           </label>
         </div>
-        <div class="form-group">
-            <label for="notes-${meeting.id}">Meeting Notes</label>
-            <textarea id="notes-${meeting.id}" name="notes" placeholder="Enter your meeting notes here..."></textarea>
+        ${reportFieldsHTML(meeting, getReportTemplate(meeting.committee, templates), prefill)}
+        ${attachmentFieldHTML(meeting, existing)}
+          <div class="form-actions">
+            <button type="submit" class="btn btn-primary btn-sm">${existing ? 'Update Submission' : 'Submit'}</button>
+            <span class="draft-status" aria-live="polite">${useDraft ? draftSavedText(draft.updatedAt) : ''}</span>
           </div>
-          <button type="submit" class="btn btn-primary btn-sm">Submit</button>
         </form>
       </div>
     `;
   }).join('');
 
+  container.querySelectorAll('.substitute-status').forEach(el => {
+    const meeting = activeMeetings.find(m => m.id === el.closest('.meeting-card').dataset.meetingId);
+    bindSubstituteStatus(el, session, meeting, substitutions);
+  });
+  container.querySelectorAll('.absence-status').forEach(el => {
+    const meeting = activeMeetings.find(m => m.id === el.closest('.meeting-card').dataset.meetingId);
+    bindAbsenceStatus(el, session, meeting, absences);
+  });
+  container.querySelectorAll('.meeting-attachments').forEach(el => {
+    const meeting = activeMeetings.find(m => m.id === el.closest('.meeting-card').dataset.meetingId);
+    bindAttachmentLinks(el, meeting.attachments);
+  });
+
   container.querySelectorAll('.meeting-submission-form').forEach(form => {
     // Add change listener to the attendance checkbox for styling
     const checkbox = form.querySelector('[name="attendance"]');
@@ -118,21 +209,424 @@ function renderDashboard(session, meetings) {
       }
     });
 
+    // Autosave a draft a moment after the senator stops typing
+    let draftTimer = null;
+    const scheduleDraftSave = () => {
+      clearTimeout(draftTimer);
+      draftTimer = setTimeout(async () => {
+        const { attendance, report } = readReportForm(form);
+        const draft = await saveDraft(session.pid, form.dataset.meetingId, { attendanceConfirmed: attendance, ...report });
+        form.querySelector('.draft-status').textContent = draftSavedText(draft.updatedAt);
+      }, DRAFT_SAVE_DELAY_MS);
+    };
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+
+    // Attachments the senator removes stay in Storage until the report saves without them
+    const queuedSubmission = pendingByMeeting[form.dataset.meetingId];
+    const saved = queuedSubmission ? queuedSubmission.submission : submissionsByMeeting[form.dataset.meetingId];
+    const attachments = { kept: [...((saved && saved.attachments) || [])], removed: [] };
+    const listEl = form.querySelector('.attachment-current');
+    const renderAttachments = () => {
+      if (!listEl) return;
+      listEl.innerHTML = attachmentListHTML(attachments.kept, { removable: true });
+      bindAttachmentLinks(listEl, attachments.kept);
+      listEl.querySelectorAll('.attachment-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+          attachments.removed.push(...attachments.kept.splice(Number(btn.dataset.attachmentIndex), 1));
+          renderAttachments();
+        });
+      });
+    };
+    renderAttachments();
+
     form.addEventListener('submit', async function(e) {
       e.preventDefault();
+      clearTimeout(draftTimer);
       const meetingId = this.dataset.meetingId;
       const meeting = activeMeetings.find(m => m.id === meetingId);
-      const attendance = this.querySelector('[name="attendance"]').checked;
-      const notes = this.querySelector('[name="notes"]').value.trim();
-      await handleSubmission(session, meeting, attendance, notes, this);
+      const { attendance, report } = readReportForm(this);
+      const savedAttachments = await handleSubmission(session, meeting, attendance, report, this, attachments);
+      if (savedAttachments) {
+        attachments.kept = savedAttachments;
+        attachments.removed = [];
+        renderAttachments();
+      }
+    });
+  });
+}
+
+/**
+ * Renders a past (archived) term as a read-only list of the senator's
+ * meetings with what they submitted and any admin review.
+ * @param {Object} term - Archived term
+ * @param {Array} meetings - The senator's meetings in that term
+ * @param {Array} submissions - The senator's submissions
+ * @param {Object} reviews - Admin reviews keyed by "<pid>_<meetingId>"
+ * @param {string} pid - Senator PID
+ * @param {Array} absences - The senator's absence requests
+ */
+function renderTermHistory(term, meetings, submissions = [], reviews = {}, pid = '', absences = []) {
+  const container = document.getElementById('meetingsContainer');
+  if (!container) return;
+
+  const submissionsByMeeting = {};
+  submissions.forEach(s => { submissionsByMeeting[s.meetingId] = s; });
+  const rows = [...meetings].sort((a, b) => b.date.localeCompare(a.date));
+
+  container.innerHTML = `
+    <div class="alert alert-info">${escapeHtml(term.name)} has ended. Its meetings and reports are read-only.</div>
+    ${rows.length === 0 ? '<div class="empty-state">You had no committee meetings this term.</div>' : `
+    <div class="table-responsive">
+      <table class="data-table">
+        <thead>
+          <tr><th>Committee</th><th>Date</th><th>Attendance</th><th>Submitted</th><th>Review</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(meeting => {
+            const submission = submissionsByMeeting[meeting.id];
+            const review = reviews[`${pid}_${meeting.id}`];
+            const status = review && REVIEW_STATUSES.find(r => r.value === (review.status || ''));
+            const attendance = attendanceStatus(submission, absenceFor(absences, pid, meeting.id));
+            const notSubmitted = !meetingExpectsReport(meeting)
+              ? meetingStatusBadgeHTML(meeting, meetings)
+              : attendance === 'excused' ? '—' : '<span style="color: var(--color-danger); font-weight: 600;">Not Submitted</span>';
+            return `
+            <tr>
+              <td>${escapeHtml(meeting.committee)}${meeting.substituteFor ? `<br><span class="substitute-note">Substitute for ${escapeHtml(meeting.substituteFor)}</span>` : ''}</td>
+              <td>${formatDate(meeting.date)}</td>
+              <td>${submission || meetingExpectsReport(meeting) ? attendanceBadgeHTML(attendance) : '—'}</td>
+              <td>${submission ? formatDate(String(submission.timestamp || '').slice(0, 10)) : notSubmitted}</td>
+              <td>${status && status.value ? `<span class="review-badge review-${escapeHtml(status.value)}">${escapeHtml(status.label)}</span>` : ''}</td>
+            </tr>
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>`}
+  `;
+}
+
+/**
+ * The senator's own substitute request for a meeting, if any.
+ * @param {Array} substitutions - From getSubstitutions
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @returns {Object|null}
+ */
+function mySubstitutionRequest(substitutions, pid, meetingId) {
+  return substitutions.find(sub => String(sub.pid) === String(pid) && String(sub.meetingId) === String(meetingId)) || null;
+}
+
+/**
+ * Substitute request line on a meeting card: a button to ask for one, or
+ * the open request and its answer.
+ * @param {Object} substitution - The senator's request for this meeting (optional)
+ * @param {boolean} canRequest - Whether the meeting is still ahead
+ * @returns {string} HTML string
+ */
+function substituteStatusHTML(substitution, canRequest) {
+  if (substitution && substitution.status === 'requested') {
+    return `Substitute requested: <strong>${escapeHtml(substitution.substitutePid)}</strong> hasn't answered yet.
+      <button type="button" class="btn-link" data-substitute-action="withdraw">Withdraw</button>`;
+  }
+  if (substitution && substitution.status === 'declined') {
+    return `${escapeHtml(substitution.substitutePid)} can't substitute.
+      ${canRequest ? '<button type="button" class="btn-link" data-substitute-action="request">Ask someone else</button>' : ''}`;
+  }
+  return canRequest ? '<button type="button" class="btn-link" data-substitute-action="request">Can\'t attend? Request a substitute</button>' : '';
+}
+
+/**
+ * Wires the request and withdraw buttons of a card's substitute line.
+ * @param {HTMLElement} el - The card's .substitute-status element
+ * @param {Object} session - Current user session
+ * @param {Object} meeting - The card's meeting
+ * @param {Array} substitutions - Substitute requests (updated in place)
+ */
+function bindSubstituteStatus(el, session, meeting, substitutions) {
+  const rerender = () => {
+    el.innerHTML = substituteStatusHTML(mySubstitutionRequest(substitutions, session.pid, meeting.id), true);
+    bindSubstituteStatus(el, session, meeting, substitutions);
+  };
+  const replace = sub => {
+    const index = substitutions.findIndex(s => String(s.pid) === String(session.pid) && String(s.meetingId) === String(meeting.id));
+    if (index !== -1) substitutions.splice(index, 1);
+    if (sub) substitutions.push(sub);
+  };
+
+  el.querySelectorAll('[data-substitute-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        if (btn.dataset.substituteAction === 'withdraw') {
+          await deleteSubstitution(session.pid, meeting.id);
+          replace(null);
+        } else {
+          const answer = prompt(`Who is attending ${meeting.committee} on ${formatDate(meeting.date)} for you? Enter their PID.`);
+          const substitutePid = String(answer || '').trim().toLowerCase().split('@')[0];
+          if (!substitutePid) return;
+          if (substitutePid === String(session.pid).toLowerCase()) {
+            alert('Enter the PID of another senator.');
+            return;
+          }
+          replace(await saveSubstitution(newSubstitution(session.pid, meeting, substitutePid)));
+        }
+        rerender();
+      } catch (err) {
+        console.error('Substitute request failed:', err);
+        alert('Could not update the substitute request. Please try again.');
+      }
+    });
+  });
+}
+
+/**
+ * Lists substitute requests sent to the senator, with Accept and Decline.
+ * Hidden when there are none.
+ * @param {Object} session - Current user session
+ * @param {Array} substitutions - Substitute requests by or for the senator
+ * @param {Function} onChange - Called after the senator answers a request
+ */
+function renderSubstituteRequests(session, substitutions, onChange) {
+  const container = document.getElementById('substituteRequests');
+  if (!container) return;
+  const today = new Date().toISOString().split('T')[0];
+  const incoming = substitutions
+    .filter(sub => String(sub.substitutePid) === String(session.pid) && sub.status === 'requested' && sub.meetingDate >= today)
+    .sort((a, b) => a.meetingDate.localeCompare(b.meetingDate));
+
+  container.hidden = incoming.length === 0;
+  container.innerHTML = `
+    <h2 class="card-title">Substitute Requests</h2>
+    <ul class="substitute-requests">
+      ${incoming.map((sub, index) => `
+        <li data-request-index="${index}">
+          <span><strong>${escapeHtml(sub.pid)}</strong> asked you to attend <strong>${escapeHtml(sub.committee)}</strong> on ${formatDate(sub.meetingDate)} in their place.</span>
+          <span class="member-actions">
+            <button type="button" class="btn btn-primary btn-sm" data-answer="accepted">Accept</button>
+            <button type="button" class="btn btn-secondary btn-sm" data-answer="declined">Decline</button>
+          </span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+
+  container.querySelectorAll('[data-answer]').forEach(btn => {
+    btn.addEventListener('click', async function() {
+      const sub = incoming[Number(this.closest('li').dataset.requestIndex)];
+      const updated = { ...sub, status: this.dataset.answer, updatedAt: new Date().toISOString(), updatedBy: String(session.pid) };
+      try {
+        await saveSubstitution(updated);
+        Object.assign(sub, updated);
+        if (typeof onChange === 'function') onChange();
+      } catch (err) {
+        console.error('Substitute answer failed:', err);
+        alert('Could not save your answer. Please try again.');
+      }
+    });
+  });
+}
+
+/**
+ * Absence line on a meeting card: a button to report one, or the request
+ * and its approval status.
+ * @param {Object} absence - The senator's absence request for this meeting (optional)
+ * @param {boolean} canRequest - False once the senator reported attending
+ * @returns {string} HTML string
+ */
+function absenceStatusHTML(absence, canRequest) {
+  if (absence && absence.status === 'pending') {
+    return `Absence reported (${escapeHtml(absence.reason)}), waiting for approval.
+      <button type="button" class="btn-link" data-absence-action="withdraw">Withdraw</button>`;
+  }
+  if (absence && absence.status === 'denied') {
+    return `Absence not excused (${escapeHtml(absence.reason)}).
+      ${canRequest ? '<button type="button" class="btn-link" data-absence-action="request">Give another reason</button>' : ''}`;
+  }
+  return canRequest ? '<button type="button" class="btn-link" data-absence-action="request">Report an absence</button>' : '';
+}
+
+/**
+ * Wires the report and withdraw buttons of a card's absence line.
+ * @param {HTMLElement} el - The card's .absence-status element
+ * @param {Object} session - Current user session
+ * @param {Object} meeting - The card's meeting
+ * @param {Array} absences - Absence requests (updated in place)
+ */
+function bindAbsenceStatus(el, session, meeting, absences) {
+  const replace = absence => {
+    const index = absences.findIndex(a => String(a.pid) === String(session.pid) && String(a.meetingId) === String(meeting.id));
+    if (index !== -1) absences.splice(index, 1);
+    if (absence) absences.push(absence);
+  };
+
+  el.querySelectorAll('[data-absence-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        if (btn.dataset.absenceAction === 'withdraw') {
+          await deleteAbsence(session.pid, meeting.id);
+          replace(null);
+        } else {
+          const current = absenceFor(absences, session.pid, meeting.id);
+          const reason = String(prompt(`Why can't you attend ${meeting.committee} on ${formatDate(meeting.date)}? An admin will review it.`, current ? current.reason : '') || '').trim();
+          if (!reason) return;
+          replace(await saveAbsence(newAbsence(session.pid, meeting, reason)));
+        }
+        el.innerHTML = absenceStatusHTML(absenceFor(absences, session.pid, meeting.id), true);
+        bindAbsenceStatus(el, session, meeting, absences);
+      } catch (err) {
+        console.error('Absence request failed:', err);
+        alert('Could not update your absence. Please try again.');
+      }
     });
   });
 }
 
 /**
- * Saves submission (Firestore or localStorage) and shows confirmation.
+ * Reads attendance and report section values from a meeting card's form.
+ * @param {HTMLFormElement} form - Meeting submission form
+ * @returns {{attendance: boolean, report: Object}}
  */
-async function handleSubmission(session, meeting, attendance, notes, formEl) {
+function readReportForm(form) {
+  const report = {};
+  REPORT_SECTIONS.forEach(section => {
+    const field = form.querySelector(`[name="${section.key}"]`);
+    report[section.key] = field ? field.value.trim() : '';
+  });
+  return { attendance: form.querySelector('[name="attendance"]').checked, report };
+}
+
+function draftSavedText(updatedAt) {
+  const d = new Date(updatedAt);
+  if (isNaN(d.getTime())) return '';
+  return 'Draft saved ' + d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Chair contact of a committee: name, linked email, or both.
+ * @param {Object} committee - Committee object
+ * @returns {string} HTML string
+ */
+function committeeChairHTML(committee) {
+  const email = committee.chairEmail ? `<a href="mailto:${escapeHtml(committee.chairEmail)}">${escapeHtml(committee.chairEmail)}</a>` : '';
+  if (!committee.chairName) return email;
+  return escapeHtml(committee.chairName) + (email ? ` (${email})` : '');
+}
+
+/**
+ * Builds the report section inputs for a meeting card from its committee's template.
+ * Disabled sections keep any previously saved value in a hidden input so
+ * editing a report never drops data.
+ * @param {Object} meeting - Meeting object
+ * @param {Array} sections - Resolved template (getReportTemplate)
+ * @param {Object} existing - Existing submission, if any
+ * @returns {string} HTML string
+ */
+function reportFieldsHTML(meeting, sections, existing) {
+  return sections.map(section => {
+    const id = `${section.key}-${meeting.id}`;
+    const value = existing ? (existing[section.key] || '') : '';
+    if (!section.enabled) {
+      return value ? `<input type="hidden" name="${section.key}" value="${escapeHtml(value)}">` : '';
+    }
+    const required = section.required ? 'required' : '';
+    const input = section.type === 'date'
+      ? `<input type="date" id="${id}" name="${section.key}" value="${escapeHtml(value)}" ${required}>`
+      : `<textarea id="${id}" name="${section.key}" placeholder="${escapeHtml(section.hint)}" ${required}>${escapeHtml(value)}</textarea>`;
+    return `
+        <div class="form-group report-section">
+            <label for="${id}">${escapeHtml(section.label)}${section.required ? ' <span class="required-mark">*</span>' : ''}</label>
+            ${input}
+          </div>`;
+  }).join('');
+}
+
+/**
+ * File picker and current attachments for a meeting card's form. Hidden when
+ * there is no Firebase Storage to upload to.
+ * @param {Object} meeting - Meeting object
+ * @param {Object} existing - Existing submission, if any
+ * @returns {string} HTML string
+ */
+function attachmentFieldHTML(meeting, existing) {
+  if (!attachmentsAvailable()) return '';
+  const id = `attachments-${meeting.id}`;
+  return `
+        <div class="form-group report-section">
+          <label for="${id}">Attachments</label>
+          <div class="attachment-current"></div>
+          <input type="file" id="${id}" class="attachment-input" accept="${ATTACHMENT_ACCEPT}" multiple>
+          <p class="attachment-hint">Agenda, slides or handouts: PDF, PowerPoint, Word, PNG or JPEG, up to ${formatFileSize(ATTACHMENT_MAX_BYTES)} each (${ATTACHMENT_MAX_FILES} files max).</p>
+        </div>`;
+}
+
+/**
+ * Shows an error above a meeting card's form for a few seconds.
+ * @param {HTMLFormElement} formEl - Meeting submission form
+ * @param {string} message - Error text
+ */
+function showSubmissionError(formEl, message) {
+  var card = formEl.closest('.meeting-card');
+  var errAlert = card.querySelector('.alert-danger') || document.createElement('div');
+  errAlert.className = 'alert alert-danger';
+  errAlert.textContent = message;
+  errAlert.setAttribute('role', 'alert');
+  formEl.insertBefore(errAlert, formEl.firstChild);
+  setTimeout(function() { errAlert.remove(); }, 5000);
+}
+
+/**
+ * Uploads the files chosen in a meeting card's form. If one fails, the ones
+ * already uploaded are deleted again so nothing is left without a report.
+ * @param {Object} session - Signed-in senator
+ * @param {Object} meeting - Meeting object
+ * @param {Array<File>} files - Chosen files
+ * @param {number} attachedCount - Attachments the report keeps
+ * @returns {Promise<Array>} Attachment records
+ */
+async function uploadSubmissionFiles(session, meeting, files, attachedCount) {
+  files.forEach((file, i) => {
+    const problem = attachmentError(file, attachedCount + i);
+    if (problem) throw new Error(problem);
+  });
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      uploaded.push(await uploadAttachment(submissionAttachmentFolder(session.pid, meeting.id), file, {
+        uploadedBy: session.pid,
+        attachedCount: attachedCount + uploaded.length
+      }));
+    }
+  } catch (err) {
+    await Promise.all(uploaded.map(a => deleteAttachment(a).catch(() => {})));
+    throw err;
+  }
+  return uploaded;
+}
+
+/**
+ * Uploads new attachments, saves submission (Firestore or localStorage) and
+ * shows confirmation. Removed attachments are deleted once the save succeeds.
+ * @returns {Promise<Array|null>} The report's attachments, or null if nothing was saved
+ */
+async function handleSubmission(session, meeting, attendance, report, formEl, attachments = { kept: [], removed: [] }) {
+  const fileInput = formEl.querySelector('.attachment-input');
+  const files = fileInput ? [...fileInput.files] : [];
+  let uploaded = [];
+  if (files.length) {
+    if (!navigator.onLine) {
+      showSubmissionError(formEl, 'Files can only be attached while online. Remove them to save the report on this device, or try again when you reconnect.');
+      return null;
+    }
+    try {
+      uploaded = await uploadSubmissionFiles(session, meeting, files, attachments.kept.length);
+    } catch (err) {
+      console.error('Attachment upload failed:', err);
+      showSubmissionError(formEl, err.message || 'Failed to upload attachments. Please try again.');
+      return null;
+    }
+  }
+
   const submission = {
     pid: session.pid,
     committeeName: meeting.committee,
@@ -140,24 +634,29 @@ async function handleSubmission(session, meeting, attendance, notes, formEl) {
     meetingId: meeting.id,
     timestamp: new Date().toISOString(),
     attendanceConfirmed: attendance,
-    notes: notes
+    ...report,
+    ...(meeting.substituteFor ? { substituteFor: meeting.substituteFor } : {}),
+    attachments: [...attachments.kept, ...uploaded]
   };
 
+  let saved;
+  let queued;
   try {
-    await saveSubmission(submission);
+    ({ saved, queued } = await saveSubmissionOrQueue(submission));
   } catch (err) {
     console.error('Save failed:', err);
-    var card = formEl.closest('.meeting-card');
-    var errAlert = card.querySelector('.alert-danger') || document.createElement('div');
-    errAlert.className = 'alert alert-danger';
-    errAlert.textContent = 'Failed to save. Please try again.';
+    await Promise.all(uploaded.map(a => deleteAttachment(a).catch(() => {})));
+    var errText = 'Failed to save. Please try again.';
     if (typeof isFirebaseEnabled === 'function' && isFirebaseEnabled()) {
-      errAlert.textContent += ' Check Firestore rules in Firebase Console.';
+      errText += ' Check Firestore rules in Firebase Console.';
     }
-    errAlert.setAttribute('role', 'alert');
-    formEl.insertBefore(errAlert, formEl.firstChild);
-    setTimeout(function() { errAlert.remove(); }, 5000);
-    return;
+    showSubmissionError(formEl, errText);
+    return null;
+  }
+  if (fileInput) fileInput.value = '';
+  // A queued report still lists the old files until it uploads, so those are left in Storage
+  if (!queued) {
+    attachments.removed.forEach(a => deleteAttachment(a).catch(err => console.warn('Could not delete attachment:', a.path, err)));
   }
 
   var card = formEl.closest('.meeting-card');
@@ -166,16 +665,95 @@ async function handleSubmission(session, meeting, attendance, notes, formEl) {
 
   var alertEl = document.createElement('div');
   alertEl.className = 'alert alert-success';
-  alertEl.textContent = 'Submission received. Thank you!';
+  const isUpdate = !!(saved && saved.revision > 1);
+  alertEl.textContent = queued
+    ? 'You are offline. Your submission is saved on this device and will upload when you reconnect.'
+    : isUpdate ? 'Submission updated. Thank you!' : 'Submission received. Thank you!';
   alertEl.setAttribute('role', 'status');
   formEl.insertBefore(alertEl, formEl.firstChild);
 
-  formEl.reset();
-  // Remove 'checked' class from attendance label after reset
-  const attendanceLabel = formEl.querySelector('.attendance-label');
-  if (attendanceLabel) attendanceLabel.classList.remove('checked');
+  // Keep the submitted values in the form so the senator can keep editing
+  var statusEl = card.querySelector('.submission-status');
+  if (statusEl) statusEl.innerHTML = queued ? pendingStatusHTML(submission.timestamp) : syncedStatusHTML(saved || submission);
+  var submitBtn = formEl.querySelector('[type="submit"]');
+  if (submitBtn) submitBtn.textContent = 'Update Submission';
+  // Queued submissions keep their draft until they actually upload
+  if (!queued) clearDraftAfterSubmit(saved || submission);
 
   setTimeout(function() { alertEl.remove(); }, 5000);
+  return submission.attachments;
+}
+
+/**
+ * Updates a meeting card after its queued submission uploads.
+ * @param {Object} saved - The uploaded submission
+ */
+function markSubmissionSynced(saved) {
+  var card = document.querySelector(`.meeting-card[data-meeting-id="${CSS.escape(String(saved.meetingId))}"]`);
+  var statusEl = card && card.querySelector('.submission-status');
+  if (statusEl) statusEl.innerHTML = syncedStatusHTML(saved);
+  clearDraftAfterSubmit(saved);
+}
+
+/**
+ * Deletes a meeting's draft once its submission is saved, and clears the
+ * card's "Draft saved" indicator unless the senator kept typing.
+ * @param {Object} saved - The saved submission
+ */
+async function clearDraftAfterSubmit(saved) {
+  var deleted = await deleteDraft(saved.pid, saved.meetingId, saved.timestamp);
+  var card = document.querySelector(`.meeting-card[data-meeting-id="${CSS.escape(String(saved.meetingId))}"]`);
+  var draftEl = card && card.querySelector('.draft-status');
+  if (draftEl && deleted) draftEl.textContent = '';
+}
+
+/**
+ * Admin review status and comments on a submission, shown above its form.
+ * @param {Object} review - From getReviews (optional)
+ * @returns {string} HTML, or '' when the submission hasn't been reviewed
+ */
+function reviewHTML(review) {
+  if (!review) return '';
+  var status = REVIEW_STATUSES.find(function(r) { return r.value === (review.status || ''); });
+  var comments = review.comments || [];
+  if (!status.value && !comments.length) return '';
+  return '<div class="review-summary">' +
+    (status.value ? '<span class="review-badge review-' + escapeHtml(status.value) + '">' + escapeHtml(status.label) + '</span>' : '') +
+    (comments.length ? '<ul class="review-comments">' + comments.map(function(c) {
+      return '<li><strong>' + escapeHtml(c.author) + '</strong> <span class="review-comment-time">' +
+        escapeHtml(new Date(c.timestamp).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })) +
+        '</span><p class="detail-text">' + escapeHtml(c.text) + '</p></li>';
+    }).join('') + '</ul>' : '') +
+    '</div>';
+}
+
+function pendingStatusHTML(queuedAt) {
+  var d = new Date(queuedAt);
+  var when = isNaN(d.getTime()) ? '' : ' ' + d.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  return '<span class="sync-badge sync-pending">Pending upload</span> Saved on this device' + when;
+}
+
+function syncedStatusHTML(submission) {
+  // Only Firestore submissions are synced anywhere; localStorage ones stay on this device
+  var badge = typeof isFirebaseEnabled === 'function' && isFirebaseEnabled()
+    ? '<span class="sync-badge sync-synced">Synced</span> '
+    : '';
+  return badge + escapeHtml(lastUpdatedText(submission));
+}
+
+/**
+ * Builds the "last updated" line shown on a card with an existing submission.
+ * @param {Object} submission - Saved submission
+ * @returns {string}
+ */
+function lastUpdatedText(submission) {
+  if (!submission || !submission.timestamp) return '';
+  var d = new Date(submission.timestamp);
+  var when = isNaN(d.getTime())
+    ? submission.timestamp
+    : d.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  var edits = submission.revision > 1 ? ' (edited ' + (submission.revision - 1) + 'x)' : '';
+  return 'Last updated ' + when + edits;
 }
 
 function escapeHtml(text) {
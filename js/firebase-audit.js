@@ -0,0 +1,86 @@
+/**
+ * Append-only audit trail of admin changes (Firestore auditLog collection).
+ * Entries record who changed which meeting, assignment, submission or member,
+ * when, and the values before and after. Entries are written in the same
+ * batch or transaction as the change itself; firestore.rules forbid editing them.
+ */
+(function() {
+  const AUDIT_COLLECTION = 'auditLog';
+
+  function currentActor() {
+    try {
+      const user = firebase.auth().currentUser;
+      return user && user.email ? user.email.toLowerCase().split('@')[0] : '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Turns changes into batch operations (batch => batch.set(...)) so callers
+   * can commit them alongside the data they describe. A transaction works in
+   * place of the batch. A change with an auditId (see auditIdFor) is logged
+   * under that doc id.
+   * @param {Object} firestore - Firestore instance
+   * @param {Array} changes - [{entity, entityId, action: 'create'|'update'|'delete', before, after, auditId}]
+   * @returns {Array<Function>}
+   */
+  window.auditWriteOps = function(firestore, changes) {
+    const actor = currentActor();
+    const timestamp = new Date().toISOString();
+    return changes.map(change => {
+      const ref = change.auditId
+        ? firestore.collection(AUDIT_COLLECTION).doc(change.auditId)
+        : firestore.collection(AUDIT_COLLECTION).doc();
+      const entry = {
+        actor,
+        timestamp,
+        entity: String(change.entity),
+        entityId: String(change.entityId || ''),
+        action: String(change.action),
+        before: change.before || null,
+        after: change.after || null
+      };
+      return batch => batch.set(ref, entry);
+    });
+  };
+
+  /**
+   * Audit entry id for an admin write to a meeting, assignment, committee or
+   * submission. firestore.rules only accept the write alongside a new entry
+   * about that doc: a set stores the entry's id in the doc's auditId field,
+   * and a delete's entry is "<stored auditId>-delete".
+   * @param {Object} firestore - Firestore instance
+   * @param {Object} change - {entity, entityId, action}
+   * @param {Object|null} stored - Stored doc data, for deletes
+   * @returns {string}
+   */
+  window.auditIdFor = function(firestore, change, stored) {
+    if (change.action !== 'delete') return firestore.collection(AUDIT_COLLECTION).doc().id;
+    return `${(stored && stored.auditId) || `${change.entity}-${change.entityId}`}-delete`;
+  };
+
+  /**
+   * Gets the most recent audit entries, newest first.
+   * @param {number} limit - Max entries to load
+   * @returns {Promise<Array|null>} Entries, or null if Firestore is unavailable
+   */
+  window.getAuditLogAsync = async function(limit = 500) {
+    if (typeof firebase === 'undefined' || typeof FIREBASE_CONFIG === 'undefined' || !FIREBASE_CONFIG || !FIREBASE_CONFIG.apiKey) return null;
+    try {
+      if (!firebase.apps || firebase.apps.length === 0) {
+        firebase.initializeApp(FIREBASE_CONFIG);
+        if (typeof connectFirebaseEmulators === 'function') connectFirebaseEmulators();
+      }
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      const snap = await firebase.firestore().collection(AUDIT_COLLECTION)
+        .orderBy('timestamp', 'desc')
+        .limit(limit)
+        .get();
+      return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    } catch (e) {
+      console.error('Firestore get auditLog failed:', e);
+      return null;
+    }
+  };
+})();
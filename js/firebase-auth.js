@@ -5,12 +5,36 @@
  */
 (function() {
   const AUTH_EMAIL_SUFFIX = '@vt.edu';
+  // Same ports as "emulators" in firebase.json
+  const EMULATOR_HOST = 'localhost';
+  const EMULATOR_PORTS = { auth: 9099, firestore: 8080, functions: 5001, storage: 9199 };
+  let emulatorsConnected = false;
+
+  /**
+   * Points the Auth, Firestore, Functions and Storage clients at the local
+   * emulators (firebase emulators:start) when js/firebase-config.js sets
+   * useEmulators: true. Clients can only be switched before their first
+   * request, so every module calls this right after initializeApp.
+   */
+  window.connectFirebaseEmulators = function() {
+    if (emulatorsConnected || typeof FIREBASE_CONFIG === 'undefined' || !FIREBASE_CONFIG || !FIREBASE_CONFIG.useEmulators) return;
+    emulatorsConnected = true;
+    try {
+      if (typeof firebase.auth === 'function') firebase.auth().useEmulator(`http://${EMULATOR_HOST}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+      if (typeof firebase.firestore === 'function') firebase.firestore().useEmulator(EMULATOR_HOST, EMULATOR_PORTS.firestore);
+      if (typeof firebase.functions === 'function') firebase.functions().useEmulator(EMULATOR_HOST, EMULATOR_PORTS.functions);
+      if (typeof firebase.storage === 'function') firebase.storage().useEmulator(EMULATOR_HOST, EMULATOR_PORTS.storage);
+    } catch (e) {
+      console.warn('Connecting to the Firebase emulators failed:', e);
+    }
+  };
 
   function getAuth() {
     if (typeof firebase === 'undefined' || typeof FIREBASE_CONFIG === 'undefined' || !FIREBASE_CONFIG?.apiKey) return null;
     try {
       if (!firebase.apps || firebase.apps.length === 0) {
         firebase.initializeApp(FIREBASE_CONFIG);
+        window.connectFirebaseEmulators();
       }
       return firebase.auth();
     } catch (e) {
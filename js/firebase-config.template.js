@@ -1,7 +1,9 @@
 /**
  * Firebase configuration for shared submissions storage.
  * The apiKey is injected at deploy time from the FIREBASEAPI GitHub secret.
- * For local dev: copy to firebase-config.js and add your apiKey.
+ * For local dev: copy to firebase-config.js and add your apiKey. Add
+ * useEmulators: true to talk to `firebase emulators:start` instead of the
+ * live project.
  */
 const FIREBASE_CONFIG = {
   apiKey: "__FIREBASE_API_KEY__",
@@ -0,0 +1,361 @@
+/**
+ * Firestore-backed meetings, assignments and report template storage.
+ * Collections mirror data/meetings.json (doc id = meeting id),
+ * data/assignments.json (doc id = "<term>_<pid>", or pid for assignments
+ * made before terms existed), data/terms.json (doc id = term id) and
+ * data/committees.json (doc id = committee id). The JSON files are only used
+ * to seed an empty database.
+ */
+(function() {
+  const MEETINGS_COLLECTION = 'meetings';
+  const ASSIGNMENTS_COLLECTION = 'assignments';
+  const TERMS_COLLECTION = 'terms';
+  const COMMITTEES_COLLECTION = 'committees';
+  const REPORT_TEMPLATES_COLLECTION = 'reportTemplates';
+  const DEFAULT_TEMPLATE_ID = '_default';
+  const SETTINGS_COLLECTION = 'settings';
+  const TERM_LOCK_DOC = 'terms';
+  let db = null;
+
+  function initFirebase() {
+    if (db) return db;
+    if (typeof firebase === 'undefined' || typeof FIREBASE_CONFIG === 'undefined' || !FIREBASE_CONFIG || !FIREBASE_CONFIG.apiKey) return null;
+    try {
+      if (!firebase.apps || firebase.apps.length === 0) {
+        firebase.initializeApp(FIREBASE_CONFIG);
+        if (typeof connectFirebaseEmulators === 'function') connectFirebaseEmulators();
+      }
+      db = firebase.firestore();
+      return db;
+    } catch (e) {
+      console.warn('Firebase init failed:', e);
+      return null;
+    }
+  }
+
+  // Scheduled meetings are stored without a status (like meetings.json)
+  function toMeetingDoc(m) {
+    const doc = {
+      id: String(m.id || ''),
+      committee: String(m.committee || ''),
+      name: String(m.name || ''),
+      date: String(m.date || ''),
+      time: String(m.time || ''),
+      location: String(m.location || '')
+    };
+    if (m.status && m.status !== 'scheduled') doc.status = String(m.status);
+    if (m.status === 'rescheduled' && m.rescheduledTo) doc.rescheduledTo = String(m.rescheduledTo);
+    if (m.seriesId) doc.seriesId = String(m.seriesId);
+    if (Array.isArray(m.attachments) && m.attachments.length) doc.attachments = m.attachments.map(normalizeAttachment);
+    return doc;
+  }
+
+  function toAssignmentDoc(a) {
+    const doc = {
+      pid: String(a.pid || ''),
+      committees: Array.isArray(a.committees) ? a.committees.map(String) : []
+    };
+    if (a.term) doc.term = String(a.term);
+    return doc;
+  }
+
+  function assignmentDocId(a) {
+    return a.term ? `${a.term}_${a.pid}` : String(a.pid);
+  }
+
+  function toTermDoc(t) {
+    return {
+      id: String(t.id || ''),
+      name: String(t.name || ''),
+      start: String(t.start || ''),
+      end: String(t.end || ''),
+      archived: !!t.archived,
+      archivedAt: String(t.archivedAt || '')
+    };
+  }
+
+  function toCommitteeDoc(c) {
+    return typeof normalizeCommittee === 'function' ? normalizeCommittee(c) : c;
+  }
+
+  function sortMeetings(meetings) {
+    return meetings.sort((a, b) => {
+      const dA = a.date || '';
+      const dB = b.date || '';
+      if (dA !== dB) return dA.localeCompare(dB);
+      return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+    });
+  }
+
+  // Changes (plus their audit entries) per transaction. firestore.rules read
+  // each change's audit entry twice, and a request may read at most 20 docs.
+  const CHANGES_PER_TRANSACTION = 6;
+  // Docs as this page last loaded or saved them, per collection: name -> Map(id -> doc)
+  const loadedDocs = {};
+
+  // Key-order-insensitive comparison of Firestore doc data.
+  function stableStringify(value) {
+    if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  // Doc data without auditId, which only ties a write to its audit entry
+  // (auditIdFor in js/firebase-audit.js).
+  function withoutAuditId(data) {
+    const { auditId, ...rest } = data;
+    return rest;
+  }
+
+  function rememberDocs(name, docs, idOf) {
+    loadedDocs[name] = new Map(docs.map(d => [idOf(d), JSON.parse(JSON.stringify(d))]));
+  }
+
+  /**
+   * Saves a collection by writing only the docs this page changed: each doc
+   * that differs from the version it loaded is set, and each loaded doc that
+   * is gone is deleted. Docs other admins added or edited meanwhile are left
+   * alone. Every change runs in a transaction that first checks the stored
+   * doc still matches what this page loaded, and fails with code
+   * 'stale-data' if another admin changed it. When `entity` is given, the
+   * audit entries are written in the same transaction as their change, and
+   * each set doc carries its entry's id (auditIdFor).
+   * @param {string|Function} idKey - Field holding the doc id, or doc => id
+   */
+  async function saveCollectionChanges(firestore, name, docs, idKey, entity) {
+    const idOf = typeof idKey === 'function' ? idKey : d => String(d[idKey]);
+    if (!loadedDocs[name]) {
+      const snap = await firestore.collection(name).get();
+      rememberDocs(name, snap.docs.map(d => (typeof idKey === 'function' ? withoutAuditId(d.data()) : { ...withoutAuditId(d.data()), [idKey]: d.id })), idOf);
+    }
+    const loaded = loadedDocs[name];
+    const saving = new Map(docs.map(d => [idOf(d), d]));
+    const changes = [];
+    saving.forEach((doc, id) => {
+      if (!loaded.has(id)) {
+        changes.push({ entity: entity || name, entityId: id, action: 'create', before: null, after: doc });
+      } else if (stableStringify(loaded.get(id)) !== stableStringify(doc)) {
+        changes.push({ entity: entity || name, entityId: id, action: 'update', before: loaded.get(id), after: doc });
+      }
+    });
+    loaded.forEach((doc, id) => {
+      if (!saving.has(id)) changes.push({ entity: entity || name, entityId: id, action: 'delete', before: doc, after: null });
+    });
+
+    for (let i = 0; i < changes.length; i += CHANGES_PER_TRANSACTION) {
+      const chunk = changes.slice(i, i + CHANGES_PER_TRANSACTION);
+      await firestore.runTransaction(async tx => {
+        const refs = chunk.map(change => firestore.collection(name).doc(change.entityId));
+        const stored = await Promise.all(refs.map(ref => tx.get(ref)));
+        stored.forEach((snap, j) => {
+          const data = snap.exists ? withoutAuditId(snap.data()) : null;
+          const current = data && typeof idKey !== 'function' ? { ...data, [idKey]: snap.id } : data;
+          if (stableStringify(current) !== stableStringify(chunk[j].before)) {
+            const err = new Error(`${entity || name} ${chunk[j].entityId} was changed by someone else since this page loaded. Reload the page to see their changes, then try again.`);
+            err.code = 'stale-data';
+            throw err;
+          }
+        });
+        const audited = entity && typeof auditWriteOps === 'function';
+        chunk.forEach((change, j) => {
+          if (audited) change.auditId = auditIdFor(firestore, change, stored[j].exists ? stored[j].data() : null);
+          if (change.after) tx.set(refs[j], audited ? { ...change.after, auditId: change.auditId } : change.after);
+          else tx.delete(refs[j]);
+        });
+        if (audited) auditWriteOps(firestore, chunk).forEach(op => op(tx));
+      });
+      chunk.forEach(change => {
+        if (change.after) loaded.set(change.entityId, JSON.parse(JSON.stringify(change.after)));
+        else loaded.delete(change.entityId);
+      });
+    }
+  }
+
+  /**
+   * Loads a collection, seeding it from the JSON fallback when empty.
+   * Seeding needs admin rights; senators just get the fallback data.
+   * @param {string} entity - Audit entity of the seeded docs
+   * @returns {Promise<Array|null>} Docs, or null if Firestore is unavailable
+   */
+  async function loadOrSeed(name, fallback, toDoc, idKey, entity) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      const snap = await firestore.collection(name).get();
+      const idOf = typeof idKey === 'function' ? idKey : d => String(d[idKey]);
+      if (!snap.empty) {
+        const docs = snap.docs.map(d => withoutAuditId(d.data()));
+        rememberDocs(name, snap.docs.map(d => (typeof idKey === 'function' ? withoutAuditId(d.data()) : { ...withoutAuditId(d.data()), [idKey]: d.id })), idOf);
+        return docs;
+      }
+      rememberDocs(name, [], idOf);
+      const seed = (Array.isArray(fallback) ? fallback : []).map(toDoc).filter(d => idOf(d));
+      if (seed.length) {
+        try {
+          await saveCollectionChanges(firestore, name, seed, idKey, entity);
+        } catch (e) {
+          console.warn(`Firestore seed of ${name} skipped:`, e.message || e);
+        }
+      }
+      return seed;
+    } catch (e) {
+      console.error(`Firestore get ${name} failed:`, e);
+      return null;
+    }
+  }
+
+  window.getMeetingsAsync = async function(meetingsFromFile) {
+    const docs = await loadOrSeed(MEETINGS_COLLECTION, meetingsFromFile, toMeetingDoc, 'id', 'meeting');
+    return docs ? sortMeetings(docs) : null;
+  };
+
+  window.saveMeetingsAsync = async function(meetings) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const docs = meetings.map(toMeetingDoc).filter(d => d.id);
+    await saveCollectionChanges(firestore, MEETINGS_COLLECTION, docs, 'id', 'meeting');
+    return true;
+  };
+
+  window.getAssignmentsAsync = async function(assignmentsFromFile) {
+    const docs = await loadOrSeed(ASSIGNMENTS_COLLECTION, assignmentsFromFile, toAssignmentDoc, assignmentDocId, 'assignment');
+    return docs ? docs.sort((a, b) => String(a.pid).localeCompare(String(b.pid))) : null;
+  };
+
+  /**
+   * Saves assignments of every term. Only changed assignments are written, so
+   * archived-term assignments (which firestore.rules lock) must be passed
+   * through unchanged.
+   */
+  window.saveAssignmentsAsync = async function(assignments) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const docs = assignments.map(toAssignmentDoc).filter(d => d.pid);
+    await saveCollectionChanges(firestore, ASSIGNMENTS_COLLECTION, docs, assignmentDocId, 'assignment');
+    return true;
+  };
+
+  /**
+   * Gets academic terms, seeding from terms.json when the collection is empty.
+   * @param {Array} termsFromFile - Terms from terms.json
+   * @returns {Promise<Array|null>} Terms, newest start first; null if Firestore is unavailable
+   */
+  window.getTermsAsync = async function(termsFromFile) {
+    const docs = await loadOrSeed(TERMS_COLLECTION, termsFromFile, toTermDoc, 'id');
+    return docs ? docs.map(toTermDoc).sort((a, b) => b.start.localeCompare(a.start)) : null;
+  };
+
+  /**
+   * Creates or updates a term (archiving sets archived and archivedAt).
+   * Archiving also moves settings/terms.archivedThrough up to the term's end,
+   * which makes firestore.rules lock everything dated in the term.
+   * @param {Object} term - {id, name, start, end, archived, archivedAt}
+   * @returns {Promise<boolean>} False when Firestore is unavailable
+   */
+  window.saveTermAsync = async function(term) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const after = toTermDoc(term);
+    const ref = firestore.collection(TERMS_COLLECTION).doc(after.id);
+    const existing = await ref.get();
+    const before = existing.exists ? existing.data() : null;
+    const batch = firestore.batch();
+    batch.set(ref, after);
+    if (after.archived) {
+      const lockRef = firestore.collection(SETTINGS_COLLECTION).doc(TERM_LOCK_DOC);
+      const lock = await lockRef.get();
+      const archivedThrough = lock.exists ? String(lock.data().archivedThrough || '') : '';
+      if (after.end > archivedThrough) batch.set(lockRef, { archivedThrough: after.end });
+    }
+    if (typeof auditWriteOps === 'function') {
+      auditWriteOps(firestore, [{ entity: 'term', entityId: after.id, action: before ? 'update' : 'create', before, after }])
+        .forEach(op => op(batch));
+    }
+    await batch.commit();
+    return true;
+  };
+
+  /**
+   * Gets committees, seeding from committees.json when the collection is empty.
+   * @param {Array} committeesFromFile - Committees from committees.json
+   * @returns {Promise<Array|null>} Committees; null if Firestore is unavailable
+   */
+  window.getCommitteesAsync = async function(committeesFromFile) {
+    return loadOrSeed(COMMITTEES_COLLECTION, committeesFromFile, toCommitteeDoc, 'id', 'committee');
+  };
+
+  window.saveCommitteesAsync = async function(committees) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const docs = committees.map(toCommitteeDoc).filter(d => d.id);
+    await saveCollectionChanges(firestore, COMMITTEES_COLLECTION, docs, 'id', 'committee');
+    return true;
+  };
+
+  function templateDocId(committee) {
+    return committee ? encodeURIComponent(committee) : DEFAULT_TEMPLATE_ID;
+  }
+
+  function toTemplateSection(section) {
+    return {
+      key: String(section.key || ''),
+      label: String(section.label || ''),
+      hint: String(section.hint || ''),
+      enabled: !!section.enabled,
+      required: !!section.required
+    };
+  }
+
+  /**
+   * Gets report templates keyed by committee name ('' = default template).
+   * @returns {Promise<Object|null>} Templates, or null if Firestore is unavailable
+   */
+  window.getReportTemplatesAsync = async function() {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      const snap = await firestore.collection(REPORT_TEMPLATES_COLLECTION).get();
+      const templates = {};
+      snap.docs.forEach(d => {
+        const data = d.data();
+        templates[data.committee || ''] = data;
+      });
+      return templates;
+    } catch (e) {
+      console.error('Firestore get reportTemplates failed:', e);
+      return null;
+    }
+  };
+
+  window.saveReportTemplateAsync = async function(committee, sections) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const ref = firestore.collection(REPORT_TEMPLATES_COLLECTION).doc(templateDocId(committee));
+    const existing = await ref.get();
+    const before = existing.exists ? existing.data() : null;
+    const after = sections ? { committee: String(committee || ''), sections: sections.map(toTemplateSection) } : null;
+    const batch = firestore.batch();
+    if (after) batch.set(ref, after);
+    else batch.delete(ref);
+    if (typeof auditWriteOps === 'function') {
+      auditWriteOps(firestore, [{
+        entity: 'reportTemplate',
+        entityId: committee || 'Default',
+        action: !after ? 'delete' : before ? 'update' : 'create',
+        before,
+        after
+      }]).forEach(op => op(batch));
+    }
+    await batch.commit();
+    return true;
+  };
+})();
@@ -0,0 +1,83 @@
+/**
+ * Member management for the admin dashboard.
+ * Lists Firestore users docs; invites, role changes and disabling go through
+ * the callable Cloud Functions in functions/index.js.
+ */
+(function() {
+  const USERS_COLLECTION = 'users';
+  const AUTH_EMAIL_SUFFIX = '@vt.edu';
+
+  function isConfigured() {
+    return typeof firebase !== 'undefined' && typeof FIREBASE_CONFIG !== 'undefined' && !!(FIREBASE_CONFIG && FIREBASE_CONFIG.apiKey);
+  }
+
+  function initFirebase() {
+    if (!isConfigured()) return false;
+    try {
+      if (!firebase.apps || firebase.apps.length === 0) {
+        firebase.initializeApp(FIREBASE_CONFIG);
+        if (typeof connectFirebaseEmulators === 'function') connectFirebaseEmulators();
+      }
+      return true;
+    } catch (e) {
+      console.warn('Firebase init failed:', e);
+      return false;
+    }
+  }
+
+  async function callMemberFunction(name, data) {
+    if (!initFirebase() || typeof firebase.functions !== 'function') {
+      throw new Error('Member management needs Firebase with Cloud Functions deployed.');
+    }
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const result = await firebase.functions().httpsCallable(name)(data);
+    return result.data;
+  }
+
+  /**
+   * Lists members (Firestore users docs), sorted by PID.
+   * @returns {Promise<Array|null>} [{pid, role, disabled}], or null if Firestore is unavailable
+   */
+  window.getMembersAsync = async function() {
+    if (!initFirebase()) return null;
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      const snap = await firebase.firestore().collection(USERS_COLLECTION).get();
+      return snap.docs
+        .map(d => ({ ...d.data(), pid: d.id, role: d.data().role || 'senator', disabled: d.data().disabled === true }))
+        .sort((a, b) => a.pid.localeCompare(b.pid));
+    } catch (e) {
+      console.error('Firestore get users failed:', e);
+      return null;
+    }
+  };
+
+  /**
+   * Creates an account for a PID and emails them a link to set their password.
+   * @param {string} pid - New member's PID
+   * @param {string} role - 'senator' or 'admin'
+   * @returns {Promise<Object>} The new member
+   */
+  window.inviteMemberAsync = async function(pid, role) {
+    const member = await callMemberFunction('inviteMember', { pid, role });
+    await window.sendPasswordResetAsync(member.pid);
+    return member;
+  };
+
+  window.setMemberRoleAsync = function(pid, role) {
+    return callMemberFunction('setMemberRole', { pid, role });
+  };
+
+  window.setMemberDisabledAsync = function(pid, disabled) {
+    return callMemberFunction('setMemberDisabled', { pid, disabled: !!disabled });
+  };
+
+  /**
+   * Sends Firebase's password reset email to PID@vt.edu.
+   * @param {string} pid - Member PID
+   */
+  window.sendPasswordResetAsync = async function(pid) {
+    if (!initFirebase()) throw new Error('Firebase is not configured.');
+    await firebase.auth().sendPasswordResetEmail(String(pid).toLowerCase() + AUTH_EMAIL_SUFFIX);
+  };
+})();
@@ -0,0 +1,76 @@
+/**
+ * Attachment files (agendas, slides, minutes) in Firebase Storage.
+ * Files live under submissions/<pid>/<meetingId>/ and meetings/<meetingId>/;
+ * storage.rules limit who can write each folder and the file type and size.
+ * For local testing, set useEmulators: true in js/firebase-config.js to use
+ * the Storage emulator instead (see connectFirebaseEmulators in firebase-auth.js).
+ */
+(function() {
+  function isConfigured() {
+    return typeof firebase !== 'undefined' && typeof FIREBASE_CONFIG !== 'undefined' && !!(FIREBASE_CONFIG && FIREBASE_CONFIG.apiKey);
+  }
+
+  function initStorage() {
+    if (!isConfigured() || typeof firebase.storage !== 'function') return false;
+    try {
+      if (!firebase.apps || firebase.apps.length === 0) {
+        firebase.initializeApp(FIREBASE_CONFIG);
+        if (typeof connectFirebaseEmulators === 'function') connectFirebaseEmulators();
+      }
+      return true;
+    } catch (e) {
+      console.warn('Firebase Storage init failed:', e);
+      return false;
+    }
+  }
+
+  /** Storage object names allow most characters, but keep paths readable in the console. */
+  function safeFileName(name) {
+    return String(name || 'file').replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 100) || 'file';
+  }
+
+  /**
+   * Uploads a file into a folder. The object name is prefixed with the upload
+   * time so a second file with the same name doesn't replace the first.
+   * @param {string} folder - e.g. "submissions/<pid>/<meetingId>"
+   * @param {File} file - Chosen file
+   * @returns {Promise<Object|null>} {name, path, contentType, size}, or null if Storage is unavailable
+   */
+  window.uploadAttachmentAsync = async function(folder, file) {
+    if (!initStorage()) return null;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const path = `${folder}/${Date.now()}-${safeFileName(file.name)}`;
+    await firebase.storage().ref(path).put(file, {
+      contentType: file.type,
+      customMetadata: { originalName: file.name }
+    });
+    return { name: file.name, path, contentType: file.type, size: file.size };
+  };
+
+  /**
+   * Gets a download URL for an attachment.
+   * @param {string} path - Attachment path
+   * @returns {Promise<string|null>} URL, or null if Storage is unavailable
+   */
+  window.getAttachmentUrlAsync = async function(path) {
+    if (!initStorage()) return null;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    return firebase.storage().ref(path).getDownloadURL();
+  };
+
+  /**
+   * Deletes an attachment's file. A file that is already gone is not an error.
+   * @param {string} path - Attachment path
+   * @returns {Promise<boolean>} true if deleted (or already gone), false if Storage is unavailable
+   */
+  window.deleteAttachmentAsync = async function(path) {
+    if (!initStorage()) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    try {
+      await firebase.storage().ref(path).delete();
+    } catch (e) {
+      if (e.code !== 'storage/object-not-found') throw e;
+    }
+    return true;
+  };
+})();
@@ -5,6 +5,12 @@
  */
 (function() {
   const SUBMISSIONS_KEY = 'vt_gov_submissions';
+  // Imported submissions per batch. firestore.rules read each one's audit
+  // entry and meeting twice, and a request may read at most 20 docs.
+  const CHANGES_PER_BATCH = 3;
+  const QUERY_CACHE_MS = 60 * 1000;
+  // Pages already fetched, keyed by filters + cursor; cleared on every write
+  const queryCache = new Map();
   let db = null;
 
   function initFirebase() {
@@ -15,6 +21,7 @@
         db = firebase.firestore();
       } else {
         firebase.initializeApp(FIREBASE_CONFIG);
+        if (typeof connectFirebaseEmulators === 'function') connectFirebaseEmulators();
         db = firebase.firestore();
       }
       return db;
@@ -24,6 +31,70 @@
     }
   }
 
+  /**
+   * Canonical document id for a senator's submission to a meeting, so each
+   * (pid, meetingId) pair maps to exactly one document.
+   */
+  function submissionDocId(pid, meetingId) {
+    return `${String(pid)}_${String(meetingId)}`.replace(/\//g, '-');
+  }
+
+  function toSubmissionDoc(submission) {
+    return {
+      pid: String(submission.pid || ''),
+      committeeName: String(submission.committeeName || ''),
+      meetingDate: String(submission.meetingDate || ''),
+      meetingId: String(submission.meetingId || ''),
+      timestamp: String(submission.timestamp || ''),
+      attendanceConfirmed: !!submission.attendanceConfirmed,
+      summary: String(submission.summary || ''),
+      motions: String(submission.motions || ''),
+      actionItems: String(submission.actionItems || ''),
+      followUp: String(submission.followUp || ''),
+      nextMeetingDate: String(submission.nextMeetingDate || ''),
+      notes: String(submission.notes || ''),
+      // Reports filed by a substitute name the senator whose seat they covered
+      ...(submission.substituteFor ? { substituteFor: String(submission.substituteFor) } : {}),
+      // File details only; the files themselves are in Firebase Storage
+      ...(Array.isArray(submission.attachments) && submission.attachments.length
+        ? { attachments: submission.attachments.map(normalizeAttachment) }
+        : {})
+    };
+  }
+
+  /**
+   * Keeps only the latest submission per (pid, meetingId). Older duplicates
+   * created before submissions became editable are dropped from views.
+   */
+  function latestPerMeeting(submissions) {
+    const byKey = new Map();
+    submissions.forEach(s => {
+      const key = `${s.pid}|${s.meetingId}`;
+      const prev = byKey.get(key);
+      if (!prev || (s.timestamp || '') > (prev.timestamp || '')) byKey.set(key, s);
+    });
+    return [...byKey.values()];
+  }
+
+  function sortSubmissions(docs) {
+    docs.sort((a, b) => {
+      const dA = a.meetingDate || '';
+      const dB = b.meetingDate || '';
+      if (dA !== dB) return dB.localeCompare(dA);
+      return (b.timestamp || '').localeCompare(a.timestamp || '');
+    });
+    return docs;
+  }
+
+  function readLocalSubmissions() {
+    try {
+      const stored = localStorage.getItem(SUBMISSIONS_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch {
+      return [];
+    }
+  }
+
   window.getSubmissionsAsync = async function() {
     const firestore = initFirebase();
     if (firestore) {
@@ -31,57 +102,184 @@
         if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
         const snap = await firestore.collection('submissions').get();
         const docs = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-        docs.sort((a, b) => {
-          const dA = a.meetingDate || '';
-          const dB = b.meetingDate || '';
-          if (dA !== dB) return dB.localeCompare(dA);
-          return (b.timestamp || '').localeCompare(a.timestamp || '');
-        });
-        return docs;
+        return sortSubmissions(latestPerMeeting(docs));
       } catch (e) {
         console.error('Firestore getSubmissions failed:', e);
         return [];
       }
     }
+    return sortSubmissions(latestPerMeeting(readLocalSubmissions()));
+  };
+
+  /**
+   * Gets one senator's submissions (latest per meeting).
+   * @param {string} pid - Senator PID
+   * @returns {Promise<Array>}
+   */
+  window.getSubmissionsByPidAsync = async function(pid) {
+    const firestore = initFirebase();
+    if (firestore) {
+      try {
+        if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+        const snap = await firestore.collection('submissions').where('pid', '==', String(pid)).get();
+        const docs = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        return sortSubmissions(latestPerMeeting(docs));
+      } catch (e) {
+        console.error('Firestore getSubmissionsByPid failed:', e);
+        return [];
+      }
+    }
+    const mine = readLocalSubmissions().filter(s => String(s.pid) === String(pid));
+    return sortSubmissions(latestPerMeeting(mine));
+  };
+
+  /**
+   * Gets one page of submissions matching the filters, newest meeting first.
+   * Filters run as a Firestore query (see firestore.indexes.json), and pages
+   * are cached for a minute so switching filters back and forth doesn't
+   * re-download them.
+   * @param {Object} filters - {pid, committee, from, to} (all optional)
+   * @param {Object} options - {pageSize, cursor} where cursor comes from the previous page
+   * @returns {Promise<{submissions: Array, cursor: Object, hasMore: boolean}|null>} Null if Firestore is unavailable
+   */
+  window.querySubmissionsAsync = async function(filters = {}, options = {}) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    const pageSize = options.pageSize || 50;
+    const cursor = options.cursor || null;
+    const cacheKey = JSON.stringify([filters.pid || '', filters.committee || '',
+      filters.from || '', filters.to || '', pageSize, cursor ? cursor.id : '']);
+    const cached = queryCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < QUERY_CACHE_MS) return cached.page;
+
     try {
-      const stored = localStorage.getItem(SUBMISSIONS_KEY);
-      return stored ? JSON.parse(stored) : [];
-    } catch {
-      return [];
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      let query = firestore.collection('submissions');
+      if (filters.pid) query = query.where('pid', '==', String(filters.pid));
+      if (filters.committee) query = query.where('committeeName', '==', String(filters.committee));
+      if (filters.from) query = query.where('meetingDate', '>=', filters.from);
+      if (filters.to) query = query.where('meetingDate', '<=', filters.to);
+      query = query.orderBy('meetingDate', 'desc').orderBy('timestamp', 'desc');
+      if (cursor) query = query.startAfter(cursor);
+      // One extra doc tells us whether another page exists
+      const snap = await query.limit(pageSize + 1).get();
+      const docs = snap.docs.slice(0, pageSize);
+      const page = {
+        submissions: sortSubmissions(latestPerMeeting(docs.map(d => ({ id: d.id, ...d.data() })))),
+        cursor: docs.length ? docs[docs.length - 1] : cursor,
+        hasMore: snap.docs.length > pageSize
+      };
+      queryCache.set(cacheKey, { page, loadedAt: Date.now() });
+      return page;
+    } catch (e) {
+      // A missing composite index logs a link that creates it
+      console.error('Firestore querySubmissions failed:', e);
+      return { submissions: [], cursor, hasMore: false };
     }
   };
 
+  /**
+   * Creates or updates the senator's submission for a meeting. The previous
+   * version (and any legacy duplicate documents) are kept under the
+   * submission's revisions subcollection.
+   * @param {Object} submission - Submission object
+   * @returns {Promise<Object>} The saved submission
+   */
   window.saveSubmissionAsync = async function(submission) {
+    const data = toSubmissionDoc(submission);
     const firestore = initFirebase();
     if (firestore) {
       try {
         if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
-        await firestore.collection('submissions').add({
-          pid: String(submission.pid || ''),
-          committeeName: String(submission.committeeName || ''),
-          meetingDate: String(submission.meetingDate || ''),
-          meetingId: String(submission.meetingId || ''),
-          timestamp: String(submission.timestamp || ''),
-          attendanceConfirmed: !!submission.attendanceConfirmed,
-          notes: String(submission.notes || '')
+        const col = firestore.collection('submissions');
+        const ref = col.doc(submissionDocId(data.pid, data.meetingId));
+        const legacySnap = await col
+          .where('pid', '==', data.pid)
+          .where('meetingId', '==', data.meetingId)
+          .get();
+        const legacy = legacySnap.docs.filter(d => d.id !== ref.id);
+        const saved = await firestore.runTransaction(async tx => {
+          const current = await tx.get(ref);
+          const prev = current.exists ? current.data() : null;
+          const previousVersions = legacy.map(d => d.data());
+          if (prev) previousVersions.push(prev);
+          previousVersions.forEach(v => {
+            tx.set(ref.collection('revisions').doc(), toSubmissionDoc(v));
+          });
+          legacy.forEach(d => tx.delete(d.ref));
+          const oldest = previousVersions
+            .map(v => v.createdAt || v.timestamp || '')
+            .filter(Boolean)
+            .sort()[0];
+          const record = {
+            ...data,
+            createdAt: (prev && prev.createdAt) || oldest || data.timestamp,
+            revision: ((prev && prev.revision) || previousVersions.length) + 1
+          };
+          tx.set(ref, record);
+          return record;
         });
-        return;
+        queryCache.clear();
+        return { id: ref.id, ...saved };
       } catch (e) {
         console.error('Firestore saveSubmission failed:', e);
         throw e;
       }
     }
     try {
-      const stored = localStorage.getItem(SUBMISSIONS_KEY) || '[]';
-      const submissions = JSON.parse(stored);
-      submissions.push(submission);
-      localStorage.setItem(SUBMISSIONS_KEY, JSON.stringify(submissions));
+      const submissions = readLocalSubmissions();
+      const matches = submissions.filter(s => String(s.pid) === data.pid && String(s.meetingId) === data.meetingId);
+      const rest = submissions.filter(s => !matches.includes(s));
+      const revisions = [];
+      matches.forEach(m => {
+        (m.revisions || []).forEach(r => revisions.push(r));
+        const { revisions: _r, ...version } = m;
+        revisions.push(toSubmissionDoc(version));
+      });
+      revisions.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+      const record = {
+        ...data,
+        createdAt: revisions.length ? (revisions[0].timestamp || data.timestamp) : data.timestamp,
+        revision: revisions.length + 1,
+        revisions
+      };
+      rest.push(record);
+      localStorage.setItem(SUBMISSIONS_KEY, JSON.stringify(rest));
+      return record;
     } catch (e) {
       console.error('localStorage save failed:', e);
       throw e;
     }
   };
 
+  /**
+   * Gets the revision history (previous versions, oldest first) of a submission.
+   * @param {string} pid - Senator PID
+   * @param {string} meetingId - Meeting id
+   * @returns {Promise<Array>}
+   */
+  window.getSubmissionRevisionsAsync = async function(pid, meetingId) {
+    const firestore = initFirebase();
+    if (firestore) {
+      try {
+        if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+        const snap = await firestore.collection('submissions')
+          .doc(submissionDocId(pid, meetingId))
+          .collection('revisions')
+          .where('pid', '==', String(pid))
+          .get();
+        return snap.docs
+          .map(d => d.data())
+          .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+      } catch (e) {
+        console.error('Firestore getSubmissionRevisions failed:', e);
+        return [];
+      }
+    }
+    const match = readLocalSubmissions().find(s => String(s.pid) === String(pid) && String(s.meetingId) === String(meetingId));
+    return match && Array.isArray(match.revisions) ? match.revisions : [];
+  };
+
   window.importSubmissionsToFirestore = async function(submissions) {
     const firestore = initFirebase();
     if (!firestore) return { ok: false, added: 0 };
@@ -90,33 +288,326 @@
     } catch (e) {
       return { ok: false, added: 0 };
     }
-    const batch = firestore.batch();
     const existing = await window.getSubmissionsAsync();
-    const existingKeys = new Set(existing.map(s => `${s.pid}|${s.meetingId}|${s.timestamp}`));
-    let added = 0;
+    const latestByKey = new Map(existing.map(s => [`${s.pid}|${s.meetingId}`, s]));
+    const changes = [];
     for (const s of submissions) {
       if (s.pid && s.committeeName && s.timestamp) {
-        const key = `${s.pid}|${s.meetingId}|${s.timestamp}`;
-        if (!existingKeys.has(key)) {
-          const ref = firestore.collection('submissions').doc();
-          batch.set(ref, {
-            pid: s.pid,
-            committeeName: s.committeeName,
-            meetingDate: s.meetingDate || '',
-            meetingId: s.meetingId || '',
-            timestamp: s.timestamp,
-            attendanceConfirmed: s.attendanceConfirmed || false,
-            notes: s.notes || ''
-          });
-          existingKeys.add(key);
-          added++;
+        const key = `${s.pid}|${s.meetingId}`;
+        const current = latestByKey.get(key);
+        // Only import when newer than what's stored for that senator and meeting
+        if (!current || s.timestamp > (current.timestamp || '')) {
+          const id = submissionDocId(s.pid, s.meetingId || '');
+          const ref = firestore.collection('submissions').doc(id);
+          const before = current ? toSubmissionDoc(current) : null;
+          const doc = {
+            ...toSubmissionDoc(s),
+            createdAt: (current && (current.createdAt || current.timestamp)) || s.createdAt || s.timestamp,
+            revision: current ? (current.revision || 0) + 1 : 1
+          };
+          changes.push({ ref, entity: 'submission', entityId: id, action: 'import', before, after: doc });
+          latestByKey.set(key, doc);
         }
       }
     }
-    if (added > 0) await batch.commit();
+    const added = changes.length;
+    // A submission, its previous version (kept under revisions, as when the
+    // senator edits it) and its audit entry always go in the same batch, so a
+    // failed batch leaves no unaudited writes behind.
+    for (let i = 0; i < changes.length; i += CHANGES_PER_BATCH) {
+      const chunk = changes.slice(i, i + CHANGES_PER_BATCH);
+      const batch = firestore.batch();
+      const audited = typeof auditWriteOps === 'function';
+      chunk.forEach(change => {
+        if (change.before) batch.set(change.ref.collection('revisions').doc(), change.before);
+        if (audited) change.auditId = auditIdFor(firestore, change, null);
+        batch.set(change.ref, audited ? { ...change.after, auditId: change.auditId } : change.after);
+      });
+      if (audited) auditWriteOps(firestore, chunk).forEach(op => op(batch));
+      await batch.commit();
+    }
+    queryCache.clear();
     return { ok: true, added };
   };
 
+  function toDraftDoc(draft) {
+    const fields = {};
+    Object.keys(draft.fields || {}).forEach(key => {
+      const value = draft.fields[key];
+      fields[key] = typeof value === 'boolean' ? value : String(value || '');
+    });
+    return {
+      pid: String(draft.pid || ''),
+      meetingId: String(draft.meetingId || ''),
+      updatedAt: String(draft.updatedAt || ''),
+      fields
+    };
+  }
+
+  /**
+   * Saves a report draft to the senator's Firestore drafts (doc id "<pid>_<meetingId>").
+   * @param {Object} draft - {pid, meetingId, fields, updatedAt}
+   * @returns {Promise<boolean>} False when Firestore is unavailable
+   */
+  window.saveDraftAsync = async function(draft) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const data = toDraftDoc(draft);
+    await firestore.collection('drafts').doc(submissionDocId(data.pid, data.meetingId)).set(data);
+    return true;
+  };
+
+  /**
+   * Gets a senator's Firestore drafts.
+   * @param {string} pid - Senator PID
+   * @returns {Promise<Array>} Drafts; [] when Firestore is unavailable
+   */
+  window.getDraftsByPidAsync = async function(pid) {
+    const firestore = initFirebase();
+    if (!firestore) return [];
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      const snap = await firestore.collection('drafts').where('pid', '==', String(pid)).get();
+      return snap.docs.map(d => d.data());
+    } catch (e) {
+      console.warn('Firestore getDrafts failed:', e);
+      return [];
+    }
+  };
+
+  /**
+   * Deletes a Firestore draft unless it was updated after `savedAt`.
+   * @param {string} pid - Senator PID
+   * @param {string} meetingId - Meeting id
+   * @param {string} savedAt - Submission timestamp (optional)
+   */
+  window.deleteDraftAsync = async function(pid, meetingId, savedAt) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const ref = firestore.collection('drafts').doc(submissionDocId(pid, meetingId));
+    const snap = await ref.get();
+    if (!snap.exists || (savedAt && snap.data().updatedAt > savedAt)) return false;
+    await ref.delete();
+    return true;
+  };
+
+  /**
+   * Gets admin reviews keyed by "<pid>_<meetingId>".
+   * @param {string} pid - Only this senator's reviews (omit for all; admins only)
+   * @returns {Promise<Object|null>} Reviews, or null if Firestore is unavailable
+   */
+  window.getReviewsAsync = async function(pid) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      let query = firestore.collection('reviews');
+      if (pid) query = query.where('pid', '==', String(pid));
+      const snap = await query.get();
+      const reviews = {};
+      snap.docs.forEach(d => { reviews[d.id] = d.data(); });
+      return reviews;
+    } catch (e) {
+      console.error('Firestore get reviews failed:', e);
+      return null;
+    }
+  };
+
+  /**
+   * Sets a submission's review status and/or adds an admin comment, and
+   * records the change in the audit log.
+   * @param {string} pid - Senator PID
+   * @param {string} meetingId - Meeting id
+   * @param {Object} change - {status, comment, author}
+   * @returns {Promise<Object|null>} The updated review, or null if Firestore is unavailable
+   */
+  window.saveReviewAsync = async function(pid, meetingId, change) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const ref = firestore.collection('reviews').doc(submissionDocId(pid, meetingId));
+    return firestore.runTransaction(async tx => {
+      const current = await tx.get(ref);
+      const before = current.exists ? current.data() : null;
+      const review = applyReviewChange(before, pid, meetingId, change);
+      tx.set(ref, review);
+      if (typeof auditWriteOps === 'function') {
+        auditWriteOps(firestore, [{
+          entity: 'review',
+          entityId: ref.id,
+          action: before ? 'update' : 'create',
+          before,
+          after: review
+        }]).forEach(op => op(tx));
+      }
+      return review;
+    });
+  };
+
+  function toSubstitutionDoc(sub) {
+    return {
+      pid: String(sub.pid || ''),
+      meetingId: String(sub.meetingId || ''),
+      committee: String(sub.committee || ''),
+      meetingDate: String(sub.meetingDate || ''),
+      substitutePid: String(sub.substitutePid || ''),
+      status: String(sub.status || 'requested'),
+      requestedAt: String(sub.requestedAt || ''),
+      updatedAt: String(sub.updatedAt || ''),
+      updatedBy: String(sub.updatedBy || '')
+    };
+  }
+
+  /**
+   * Gets substitute requests, id "<pid>_<meetingId>" of the senator who asked.
+   * @param {string} pid - Only requests made by or sent to this senator (omit for all; admins only)
+   * @returns {Promise<Array|null>} Requests, or null if Firestore is unavailable
+   */
+  window.getSubstitutionsAsync = async function(pid) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      const col = firestore.collection('substitutions');
+      const snaps = pid
+        ? await Promise.all([
+          col.where('pid', '==', String(pid)).get(),
+          col.where('substitutePid', '==', String(pid)).get()
+        ])
+        : [await col.get()];
+      const byId = new Map();
+      snaps.forEach(snap => snap.docs.forEach(d => byId.set(d.id, d.data())));
+      return [...byId.values()];
+    } catch (e) {
+      console.error('Firestore get substitutions failed:', e);
+      return null;
+    }
+  };
+
+  /**
+   * Creates or updates a substitute request. Admin changes are recorded in
+   * the audit log.
+   * @param {Object} substitution - Substitution record
+   * @param {Object} options - {audit: true} for admin changes
+   * @returns {Promise<Object|null>} The saved record, or null if Firestore is unavailable
+   */
+  window.saveSubstitutionAsync = async function(substitution, options = {}) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const data = toSubstitutionDoc(substitution);
+    const ref = firestore.collection('substitutions').doc(submissionDocId(data.pid, data.meetingId));
+    if (!options.audit || typeof auditWriteOps !== 'function') {
+      await ref.set(data);
+      return data;
+    }
+    return firestore.runTransaction(async tx => {
+      const current = await tx.get(ref);
+      const before = current.exists ? current.data() : null;
+      tx.set(ref, data);
+      auditWriteOps(firestore, [{
+        entity: 'substitution',
+        entityId: ref.id,
+        action: before ? 'update' : 'create',
+        before,
+        after: data
+      }]).forEach(op => op(tx));
+      return data;
+    });
+  };
+
+  /**
+   * Deletes a substitute request.
+   * @returns {Promise<boolean>} False if Firestore is unavailable
+   */
+  window.deleteSubstitutionAsync = async function(pid, meetingId) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    await firestore.collection('substitutions').doc(submissionDocId(pid, meetingId)).delete();
+    return true;
+  };
+
+  function toAbsenceDoc(absence) {
+    return {
+      pid: String(absence.pid || ''),
+      meetingId: String(absence.meetingId || ''),
+      committee: String(absence.committee || ''),
+      meetingDate: String(absence.meetingDate || ''),
+      reason: String(absence.reason || ''),
+      status: String(absence.status || 'pending'),
+      requestedAt: String(absence.requestedAt || ''),
+      updatedAt: String(absence.updatedAt || ''),
+      updatedBy: String(absence.updatedBy || '')
+    };
+  }
+
+  /**
+   * Gets absence requests, id "<pid>_<meetingId>".
+   * @param {string} pid - Only this senator's requests (omit for all; admins only)
+   * @returns {Promise<Array|null>} Requests, or null if Firestore is unavailable
+   */
+  window.getAbsencesAsync = async function(pid) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    try {
+      if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+      let query = firestore.collection('absences');
+      if (pid) query = query.where('pid', '==', String(pid));
+      const snap = await query.get();
+      return snap.docs.map(d => d.data());
+    } catch (e) {
+      console.error('Firestore get absences failed:', e);
+      return null;
+    }
+  };
+
+  /**
+   * Creates or updates an absence request. Admin decisions are recorded in
+   * the audit log.
+   * @param {Object} absence - Absence record
+   * @param {Object} options - {audit: true} for admin changes
+   * @returns {Promise<Object|null>} The saved record, or null if Firestore is unavailable
+   */
+  window.saveAbsenceAsync = async function(absence, options = {}) {
+    const firestore = initFirebase();
+    if (!firestore) return null;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    const data = toAbsenceDoc(absence);
+    const ref = firestore.collection('absences').doc(submissionDocId(data.pid, data.meetingId));
+    if (!options.audit || typeof auditWriteOps !== 'function') {
+      await ref.set(data);
+      return data;
+    }
+    return firestore.runTransaction(async tx => {
+      const current = await tx.get(ref);
+      const before = current.exists ? current.data() : null;
+      tx.set(ref, data);
+      auditWriteOps(firestore, [{
+        entity: 'absence',
+        entityId: ref.id,
+        action: before ? 'update' : 'create',
+        before,
+        after: data
+      }]).forEach(op => op(tx));
+      return data;
+    });
+  };
+
+  /**
+   * Deletes an absence request.
+   * @returns {Promise<boolean>} False if Firestore is unavailable
+   */
+  window.deleteAbsenceAsync = async function(pid, meetingId) {
+    const firestore = initFirebase();
+    if (!firestore) return false;
+    if (typeof firebaseAuthReady === 'function') await firebaseAuthReady();
+    await firestore.collection('absences').doc(submissionDocId(pid, meetingId)).delete();
+    return true;
+  };
+
   window.isFirebaseEnabled = function() {
     return !!(typeof FIREBASE_CONFIG === 'object' && FIREBASE_CONFIG && FIREBASE_CONFIG.apiKey);
   };
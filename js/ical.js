@@ -0,0 +1,250 @@
+/**
+ * VT Shared Governance Tracker - iCalendar (.ics) Export
+ * Turns meetings into RFC 5545 calendars that Outlook, Google Calendar and
+ * Apple Calendar can import or subscribe to. Times are America/New_York.
+ */
+
+const ICS_TIMEZONE = 'America/New_York';
+const ICS_PRODID = '-//VT Shared Governance Tracker//Meetings//EN';
+const ICS_DEFAULT_DURATION_MINUTES = 60;
+
+// Eastern Time definition (US DST rules since 2007) so clients don't need to look it up.
+const ICS_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:America/New_York',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * Parses one clock time such as "10:30 AM", "3 pm", "15:30" or "noon".
+ * @param {string} text - Time text
+ * @returns {{hour: number, minute: number, meridiem: string|null}|null}
+ */
+function parseClockTime(text) {
+  const t = String(text || '').trim().toLowerCase();
+  if (t === 'noon') return { hour: 12, minute: 0, meridiem: 'pm' };
+  if (t === 'midnight') return { hour: 0, minute: 0, meridiem: 'am' };
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*(?:m\.?)?$/.exec(t);
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute, meridiem: match[3] ? `${match[3]}m` : null };
+}
+
+function to24Hour(time, meridiem) {
+  if (!meridiem || time.hour > 12) return time.hour;
+  if (meridiem === 'am') return time.hour === 12 ? 0 : time.hour;
+  return time.hour === 12 ? 12 : time.hour + 12;
+}
+
+/**
+ * Parses a free-text meeting time range, e.g. "10:30 AM - 12:00 PM" or
+ * "3:30-5:00 PM". When only one side has AM/PM, the other side borrows it
+ * (flipping to AM if that would put the start after the end).
+ * @param {string} timeStr - The meeting's `time` field
+ * @returns {{start: {hour: number, minute: number}, end: {hour: number, minute: number}|null}|null}
+ *   24-hour times, or null when the text has no usable time (e.g. "TBD")
+ */
+function parseMeetingTimeRange(timeStr) {
+  const parts = String(timeStr || '').split(/\s*(?:-|–|—|\bto\b)\s*/i).filter(Boolean);
+  if (!parts.length) return null;
+  const start = parseClockTime(parts[0]);
+  if (!start) return null;
+  const end = parts[1] ? parseClockTime(parts[1]) : null;
+
+  if (!end) {
+    return { start: { hour: to24Hour(start, start.meridiem), minute: start.minute }, end: null };
+  }
+
+  const endMeridiem = end.meridiem || start.meridiem;
+  let startMeridiem = start.meridiem || endMeridiem;
+  const endHour = to24Hour(end, endMeridiem);
+  let startHour = to24Hour(start, startMeridiem);
+  if (!start.meridiem && startMeridiem === 'pm' && startHour * 60 + start.minute > endHour * 60 + end.minute) {
+    startMeridiem = 'am';
+    startHour = to24Hour(start, startMeridiem);
+  }
+  return {
+    start: { hour: startHour, minute: start.minute },
+    end: { hour: endHour, minute: end.minute }
+  };
+}
+
+function icsPad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Formats a local (floating) date-time as YYYYMMDDTHHMMSS.
+ */
+function icsLocalDateTime(dateStr, hour, minute) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  // Normalize via Date so durations can roll past midnight
+  const dt = new Date(Date.UTC(y, m - 1, d, hour, minute));
+  return `${dt.getUTCFullYear()}${icsPad(dt.getUTCMonth() + 1)}${icsPad(dt.getUTCDate())}T${icsPad(dt.getUTCHours())}${icsPad(dt.getUTCMinutes())}00`;
+}
+
+function icsDate(dateStr, addDays = 0) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + addDays));
+  return `${dt.getUTCFullYear()}${icsPad(dt.getUTCMonth() + 1)}${icsPad(dt.getUTCDate())}`;
+}
+
+function icsUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes TEXT property values (RFC 5545 §3.3.11).
+ */
+function icsEscapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets (RFC 5545 §3.1), without splitting
+ * multi-byte characters.
+ */
+function icsFoldLine(line) {
+  const encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+  const byteLength = s => (encoder ? encoder.encode(s).length : s.length);
+  if (byteLength(line) <= 75) return line;
+  const chunks = [];
+  let current = '';
+  let limit = 75;
+  for (const ch of line) {
+    if (byteLength(current + ch) > limit) {
+      chunks.push(current);
+      current = ch;
+      limit = 74; // continuation lines start with a space
+    } else {
+      current += ch;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Stable UID for a meeting so re-imports update the event instead of duplicating it.
+ * @param {Object} meeting - Meeting object
+ * @returns {string}
+ */
+function meetingEventUid(meeting) {
+  return `meeting-${String(meeting.id).replace(/[^A-Za-z0-9_-]/g, '')}@sharedgovernance-tracker`;
+}
+
+const ICS_EVENT_STATUS = { tentative: 'TENTATIVE', cancelled: 'CANCELLED', rescheduled: 'CANCELLED' };
+
+/**
+ * Builds the VEVENT lines for one meeting. Meetings without a parseable
+ * time become all-day events. Cancelled and rescheduled meetings stay in the
+ * calendar marked cancelled, so subscribers see the change.
+ * @param {Object} meeting - Meeting object
+ * @param {Date} now - DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildMeetingEventLines(meeting, now) {
+  const lines = ['BEGIN:VEVENT', `UID:${meetingEventUid(meeting)}`, `DTSTAMP:${icsUtcStamp(now)}`];
+  const range = parseMeetingTimeRange(meeting.time);
+  if (range) {
+    const startMinutes = range.start.hour * 60 + range.start.minute;
+    let endMinutes = range.end ? range.end.hour * 60 + range.end.minute : startMinutes + ICS_DEFAULT_DURATION_MINUTES;
+    if (endMinutes <= startMinutes) endMinutes = startMinutes + ICS_DEFAULT_DURATION_MINUTES;
+    lines.push(`DTSTART;TZID=${ICS_TIMEZONE}:${icsLocalDateTime(meeting.date, range.start.hour, range.start.minute)}`);
+    lines.push(`DTEND;TZID=${ICS_TIMEZONE}:${icsLocalDateTime(meeting.date, 0, endMinutes)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(meeting.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${icsDate(meeting.date, 1)}`);
+  }
+  const status = ICS_EVENT_STATUS[meeting.status] || '';
+  const prefix = status === 'CANCELLED' ? `${meeting.status === 'rescheduled' ? 'Rescheduled' : 'Cancelled'}: ` : '';
+  lines.push(`SUMMARY:${icsEscapeText(prefix + (meeting.name || meeting.committee || 'Meeting'))}`);
+  if (status) lines.push(`STATUS:${status}`);
+  if (meeting.location && meeting.location !== 'TBD') {
+    lines.push(`LOCATION:${icsEscapeText(meeting.location)}`);
+  }
+  const url = typeof getCommitteeUrl === 'function' ? getCommitteeUrl(meeting.committee) : '';
+  const description = [meeting.committee, meeting.time ? `Time: ${meeting.time}` : '', url].filter(Boolean).join('\n');
+  lines.push(`DESCRIPTION:${icsEscapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (meeting.committee) lines.push(`CATEGORIES:${icsEscapeText(meeting.committee)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Builds an RFC 5545 calendar for a list of meetings.
+ * @param {Array} meetings - Meetings (e.g. filterMeetingsByCommittees output)
+ * @param {Object} options - { name: calendar display name }
+ * @returns {string} .ics file contents (CRLF line endings)
+ */
+function buildMeetingsICS(meetings, options = {}) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscapeText(options.name || 'Shared Governance Meetings')}`,
+    `X-WR-TIMEZONE:${ICS_TIMEZONE}`,
+    ...ICS_VTIMEZONE
+  ];
+  (Array.isArray(meetings) ? meetings : [])
+    .filter(m => m && m.id && parseCalendarDate(m.date))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(m => lines.push(...buildMeetingEventLines(m, now)));
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFoldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Triggers a browser download of an .ics file.
+ * @param {string} filename - File name (should end in .ics)
+ * @param {string} content - Calendar contents
+ */
+function downloadICS(filename, content) {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * File name for a committee's calendar, e.g. "CFA-meetings.ics".
+ * @param {string} committee - Committee name
+ * @returns {string}
+ */
+function committeeCalendarFilename(committee) {
+  const acronym = typeof getCommitteeAcronym === 'function' ? getCommitteeAcronym(committee) : null;
+  const slug = acronym || String(committee || 'committee').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug}-meetings.ics`;
+}
+
+// Node scripts (scripts/) reuse the time parser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseMeetingTimeRange, meetingEventUid };
+}
@@ -0,0 +1,262 @@
+/**
+ * VT Shared Governance Tracker - Offline Support
+ * Submissions that can't reach Firestore (no connection) are kept in
+ * IndexedDB and uploaded when the device is back online. One pending
+ * submission per senator and meeting; submitting again replaces it.
+ * Report drafts are autosaved here too (and to Firestore when available).
+ */
+
+const OFFLINE_DB_NAME = 'vt_gov_offline';
+const OFFLINE_DB_VERSION = 2;
+const PENDING_STORE = 'pendingSubmissions';
+const DRAFTS_STORE = 'drafts';
+let offlineDbPromise = null;
+let offlineSyncRunning = false;
+
+/**
+ * Opens (and creates/upgrades) the offline IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOfflineDb() {
+  if (offlineDbPromise) return offlineDbPromise;
+  offlineDbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PENDING_STORE)) {
+        db.createObjectStore(PENDING_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+        db.createObjectStore(DRAFTS_STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  offlineDbPromise.catch(() => { offlineDbPromise = null; });
+  return offlineDbPromise;
+}
+
+/**
+ * Runs one request against an object store and resolves with its result.
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>}
+ */
+async function offlineStoreRequest(storeName, mode, makeRequest) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function pendingKey(pid, meetingId) {
+  return `${pid}_${meetingId}`;
+}
+
+/**
+ * Whether a save failed because the device is offline (worth retrying later)
+ * rather than, say, a permissions error.
+ * @param {Error} err - Error from saveSubmission
+ * @returns {boolean}
+ */
+function isOfflineError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  const code = err && err.code;
+  return code === 'unavailable' || code === 'deadline-exceeded' || (err instanceof TypeError && /fetch|network/i.test(err.message));
+}
+
+/**
+ * Stores a submission to upload later.
+ * @param {Object} submission - Submission object
+ * @returns {Promise<Object>} The queued record {key, submission, queuedAt}
+ */
+async function queuePendingSubmission(submission) {
+  const record = {
+    key: pendingKey(submission.pid, submission.meetingId),
+    submission,
+    queuedAt: new Date().toISOString()
+  };
+  await offlineStoreRequest(PENDING_STORE, 'readwrite', store => store.put(record));
+  return record;
+}
+
+/**
+ * Gets a senator's submissions still waiting to upload.
+ * @param {string} pid - Senator PID
+ * @returns {Promise<Array>} Queued records; [] when IndexedDB is unavailable
+ */
+async function getPendingSubmissions(pid) {
+  try {
+    const all = await offlineStoreRequest(PENDING_STORE, 'readonly', store => store.getAll());
+    return (all || []).filter(r => String(r.submission.pid) === String(pid));
+  } catch (e) {
+    console.warn('Offline queue unavailable:', e);
+    return [];
+  }
+}
+
+/**
+ * Removes a queued submission, unless it was replaced after `queuedAt`.
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @param {string} queuedAt - Only remove this version (optional)
+ */
+async function removePendingSubmission(pid, meetingId, queuedAt) {
+  const key = pendingKey(pid, meetingId);
+  try {
+    const current = await offlineStoreRequest(PENDING_STORE, 'readonly', store => store.get(key));
+    if (!current || (queuedAt && current.queuedAt !== queuedAt)) return;
+    await offlineStoreRequest(PENDING_STORE, 'readwrite', store => store.delete(key));
+  } catch (e) {
+    console.warn('Offline queue unavailable:', e);
+  }
+}
+
+/**
+ * Saves a submission, or queues it when the device is offline. Without
+ * Firebase, submissions live in localStorage and never need queueing.
+ * @param {Object} submission - Submission object
+ * @returns {Promise<{saved: Object, queued: boolean}>}
+ */
+async function saveSubmissionOrQueue(submission) {
+  const usesFirestore = typeof isFirebaseEnabled === 'function' && isFirebaseEnabled();
+  if (usesFirestore && typeof navigator !== 'undefined' && navigator.onLine === false) {
+    await queuePendingSubmission(submission);
+    return { saved: submission, queued: true };
+  }
+  try {
+    const saved = await saveSubmission(submission);
+    // A newer save supersedes anything still queued for this meeting
+    await removePendingSubmission(submission.pid, submission.meetingId);
+    return { saved, queued: false };
+  } catch (err) {
+    if (!usesFirestore || !isOfflineError(err)) throw err;
+    await queuePendingSubmission(submission);
+    return { saved: submission, queued: true };
+  }
+}
+
+/**
+ * Uploads a senator's queued submissions, oldest first. Stops at the first
+ * connection failure; other failures stay queued for the next attempt.
+ * @param {string} pid - Senator PID
+ * @param {Function} onSynced - Called with each saved submission
+ * @returns {Promise<number>} How many were uploaded
+ */
+async function syncPendingSubmissions(pid, onSynced) {
+  if (offlineSyncRunning) return 0;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return 0;
+  offlineSyncRunning = true;
+  let synced = 0;
+  try {
+    const pending = (await getPendingSubmissions(pid)).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    for (const record of pending) {
+      try {
+        const saved = await saveSubmission(record.submission);
+        await removePendingSubmission(pid, record.submission.meetingId, record.queuedAt);
+        synced++;
+        if (typeof onSynced === 'function') onSynced(saved);
+      } catch (err) {
+        console.warn('Pending submission upload failed:', err);
+        if (isOfflineError(err)) break;
+      }
+    }
+  } finally {
+    offlineSyncRunning = false;
+  }
+  return synced;
+}
+
+/**
+ * Autosaves a report draft on this device and, when Firebase is configured,
+ * to the senator's Firestore drafts so it follows them to other devices.
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @param {Object} fields - {attendanceConfirmed, summary, motions, ...}
+ * @returns {Promise<Object>} The saved draft {key, pid, meetingId, fields, updatedAt}
+ */
+async function saveDraft(pid, meetingId, fields) {
+  const draft = {
+    key: pendingKey(pid, meetingId),
+    pid: String(pid),
+    meetingId: String(meetingId),
+    fields,
+    updatedAt: new Date().toISOString()
+  };
+  try {
+    await offlineStoreRequest(DRAFTS_STORE, 'readwrite', store => store.put(draft));
+  } catch (e) {
+    console.warn('Local draft save failed:', e);
+  }
+  if (typeof saveDraftAsync === 'function' && !(typeof navigator !== 'undefined' && navigator.onLine === false)) {
+    saveDraftAsync(draft).catch(e => console.warn('Firestore draft save failed:', e));
+  }
+  return draft;
+}
+
+/**
+ * Gets a senator's drafts, keeping the newer of the local and Firestore copy.
+ * @param {string} pid - Senator PID
+ * @returns {Promise<Array>} Drafts
+ */
+async function getDrafts(pid) {
+  let local = [];
+  try {
+    local = (await offlineStoreRequest(DRAFTS_STORE, 'readonly', store => store.getAll()) || [])
+      .filter(d => String(d.pid) === String(pid));
+  } catch (e) {
+    console.warn('Local drafts unavailable:', e);
+  }
+  const remote = typeof getDraftsByPidAsync === 'function' ? await getDraftsByPidAsync(pid) : [];
+  const byKey = new Map();
+  [...local, ...remote].forEach(d => {
+    const key = pendingKey(d.pid, d.meetingId);
+    const prev = byKey.get(key);
+    if (!prev || (d.updatedAt || '') > (prev.updatedAt || '')) byKey.set(key, { ...d, key });
+  });
+  return [...byKey.values()];
+}
+
+/**
+ * Deletes a draft once its submission succeeded. Drafts edited after
+ * `savedAt` (typing after pressing Submit) are kept.
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @param {string} savedAt - Submission timestamp (optional)
+ * @returns {Promise<boolean>} False if a newer draft was kept
+ */
+async function deleteDraft(pid, meetingId, savedAt) {
+  const key = pendingKey(pid, meetingId);
+  try {
+    const current = await offlineStoreRequest(DRAFTS_STORE, 'readonly', store => store.get(key));
+    if (current && savedAt && current.updatedAt > savedAt) return false;
+    if (current) await offlineStoreRequest(DRAFTS_STORE, 'readwrite', store => store.delete(key));
+  } catch (e) {
+    console.warn('Local draft delete failed:', e);
+  }
+  if (typeof deleteDraftAsync === 'function') {
+    deleteDraftAsync(pid, meetingId, savedAt).catch(e => console.warn('Firestore draft delete failed:', e));
+  }
+  return true;
+}
+
+/**
+ * Registers the service worker (sw.js) that caches the app shell and
+ * data/*.json so the dashboard opens without a connection.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(getBasePath() + '/sw.js').catch(e => {
+    console.warn('Service worker registration failed:', e);
+  });
+}
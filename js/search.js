@@ -0,0 +1,220 @@
+/**
+ * VT Shared Governance Tracker - Meeting Notes Search
+ * Full-text search over report text for the cabinet ("which commissions
+ * discussed the parking fee increase?"). Uses an in-memory inverted index
+ * built from the loaded submissions (no external search service).
+ */
+
+const SEARCH_RESULT_LIMIT = 50;
+const SEARCH_SNIPPET_RADIUS = 90;
+const SEARCH_STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'with']);
+
+/**
+ * Splits text into lowercase search terms (letters and digits), without stopwords.
+ * @param {string} text - Any text
+ * @returns {Array<string>}
+ */
+function tokenizeSearchText(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(term => !SEARCH_STOPWORDS.has(term));
+}
+
+/** Report sections worth searching (free text, not dates). */
+function searchableSections() {
+  return REPORT_SECTIONS.filter(section => section.type !== 'date');
+}
+
+/**
+ * Builds an inverted index: term -> Map(submission position -> occurrences).
+ * @param {Array} submissions - Submissions to search
+ * @returns {{submissions: Array, terms: Map}}
+ */
+function buildSearchIndex(submissions) {
+  const terms = new Map();
+  submissions.forEach((submission, position) => {
+    searchableSections().forEach(section => {
+      tokenizeSearchText(submission[section.key]).forEach(term => {
+        if (!terms.has(term)) terms.set(term, new Map());
+        const postings = terms.get(term);
+        postings.set(position, (postings.get(position) || 0) + 1);
+      });
+    });
+  });
+  return { submissions, terms };
+}
+
+/**
+ * Finds submissions containing every query term. A query term also matches
+ * longer words it starts ("park" finds "parking"); exact matches rank higher.
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} query - What the user typed
+ * @param {{committee: string, from: string, to: string}} filters - Optional filters ('' = any)
+ * @returns {Array} [{submission, score}] best match first, then newest meeting
+ */
+function searchSubmissions(index, query, filters = {}) {
+  const queryTerms = [...new Set(tokenizeSearchText(query))];
+  if (!queryTerms.length) return [];
+
+  let scores = null;
+  queryTerms.forEach(queryTerm => {
+    const termScores = new Map();
+    index.terms.forEach((postings, term) => {
+      if (!term.startsWith(queryTerm)) return;
+      const weight = term === queryTerm ? 2 : 1;
+      postings.forEach((count, position) => {
+        termScores.set(position, (termScores.get(position) || 0) + count * weight);
+      });
+    });
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const both = new Map();
+      scores.forEach((score, position) => {
+        if (termScores.has(position)) both.set(position, score + termScores.get(position));
+      });
+      scores = both;
+    }
+  });
+
+  return [...scores.entries()]
+    .map(([position, score]) => ({ submission: index.submissions[position], score }))
+    .filter(({ submission }) => {
+      if (filters.committee && submission.committeeName !== filters.committee) return false;
+      if (filters.from && (submission.meetingDate || '') < filters.from) return false;
+      if (filters.to && (submission.meetingDate || '') > filters.to) return false;
+      return true;
+    })
+    .sort((a, b) => b.score - a.score || (b.submission.meetingDate || '').localeCompare(a.submission.meetingDate || ''));
+}
+
+function searchTermPattern(queryTerms) {
+  const escaped = queryTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(?:${escaped.join('|')})[a-z0-9]*`, 'gi');
+}
+
+/**
+ * Escapes text and wraps words matching the query terms in <mark>.
+ * @param {string} text - Plain text
+ * @param {Array<string>} queryTerms - From tokenizeSearchText
+ * @returns {string} HTML string
+ */
+function highlightSearchTerms(text, queryTerms) {
+  if (!queryTerms.length) return escapeHtml(text);
+  const pattern = searchTermPattern(queryTerms);
+  let html = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Shortens text to the part around the first matching word.
+ * @param {string} text - Plain text
+ * @param {Array<string>} queryTerms - From tokenizeSearchText
+ * @returns {string|null} Excerpt, or null if nothing in the text matches
+ */
+function searchSnippet(text, queryTerms) {
+  const value = String(text || '');
+  const match = searchTermPattern(queryTerms).exec(value);
+  if (!match) return null;
+  const start = Math.max(0, match.index - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(value.length, match.index + match[0].length + SEARCH_SNIPPET_RADIUS);
+  return (start > 0 ? '...' : '') + value.slice(start, end).replace(/\s+/g, ' ').trim() + (end < value.length ? '...' : '');
+}
+
+/**
+ * Renders the notes search box, filters and results. Clicking a result opens
+ * the submission detail dialog.
+ * @param {Array} submissions - All submissions
+ * @param {Array} meetings - All meetings (committee filter and detail view)
+ * @param {Object} reviews - Admin reviews keyed by "<pid>_<meetingId>"
+ * @param {Array} absences - Absence requests (detail view)
+ */
+function renderSearchSection(submissions, meetings = [], reviews = {}, absences = []) {
+  const container = document.getElementById('searchSection');
+  if (!container) return;
+
+  // Keep what the admin typed when the section re-renders after a data refresh
+  const value = id => (document.getElementById(id) || {}).value || '';
+  const current = { query: value('notesSearch'), committee: value('searchCommittee'), from: value('searchFrom'), to: value('searchTo') };
+  const index = buildSearchIndex(submissions.filter(s => !s.isMissing));
+  const committees = [...new Set([...submissions.map(s => s.committeeName), ...meetings.map(m => m.committee)].filter(Boolean))].sort();
+  const committeeOptions = [{ value: '', label: 'All Committees' }, ...committees.map(c => ({ value: c, label: c }))];
+
+  container.innerHTML = `
+    <div class="filter-bar filter-bar-dropdowns">
+      <div class="dropdown-wrap search-query-wrap">
+        <label for="notesSearch" class="dropdown-label">Search</label>
+        <input type="search" id="notesSearch" value="${escapeHtml(current.query)}" placeholder="e.g. parking fee increase" autocomplete="off">
+      </div>
+      <div class="dropdown-wrap">
+        <label for="searchCommittee" class="dropdown-label">Committee</label>
+        ${customDropdownHTML('searchCommittee', committeeOptions, current.committee, 'All Committees')}
+      </div>
+      <div class="dropdown-wrap">
+        <label for="searchFrom" class="dropdown-label">From</label>
+        <input type="date" id="searchFrom" value="${escapeHtml(current.from)}">
+      </div>
+      <div class="dropdown-wrap">
+        <label for="searchTo" class="dropdown-label">To</label>
+        <input type="date" id="searchTo" value="${escapeHtml(current.to)}">
+      </div>
+    </div>
+    <div id="searchResults" aria-live="polite"></div>
+  `;
+  initCustomDropdowns(container);
+
+  const showResults = () => {
+    const query = document.getElementById('notesSearch').value;
+    const queryTerms = [...new Set(tokenizeSearchText(query))];
+    const resultsEl = document.getElementById('searchResults');
+    if (!queryTerms.length) {
+      resultsEl.innerHTML = '<p class="empty-state">Type a word or phrase to search every report.</p>';
+      return;
+    }
+    const results = searchSubmissions(index, query, {
+      committee: document.getElementById('searchCommittee').value,
+      from: document.getElementById('searchFrom').value,
+      to: document.getElementById('searchTo').value
+    });
+    const shown = results.slice(0, SEARCH_RESULT_LIMIT);
+
+    resultsEl.innerHTML = results.length === 0
+      ? '<p class="empty-state">No reports match.</p>'
+      : `
+        <p class="search-count">${results.length} matching report${results.length === 1 ? '' : 's'}${results.length > shown.length ? ` (showing the best ${shown.length})` : ''}</p>
+        <ul class="search-results">
+          ${shown.map((result, position) => `
+            <li class="search-result" data-result-index="${position}" tabindex="0" title="Open details">
+              <div class="search-result-header">
+                <strong>${escapeHtml(result.submission.committeeName || '')}</strong>
+                <span>${formatDate(result.submission.meetingDate)} · ${escapeHtml(result.submission.pid)}</span>
+              </div>
+              ${searchableSections().map(section => {
+                const snippet = searchSnippet(result.submission[section.key], queryTerms);
+                return snippet === null ? '' : `<p class="search-snippet"><span class="search-snippet-label">${escapeHtml(section.label)}:</span> ${highlightSearchTerms(snippet, queryTerms)}</p>`;
+              }).join('')}
+            </li>
+          `).join('')}
+        </ul>
+      `;
+
+    resultsEl.querySelectorAll('.search-result').forEach(item => {
+      const open = () => openSubmissionDetail(shown[Number(item.dataset.resultIndex)].submission, { meetings, reviews, absences });
+      item.addEventListener('click', open);
+      item.addEventListener('keydown', e => {
+        if (e.key === 'Enter') open();
+      });
+    });
+  };
+
+  document.getElementById('notesSearch').addEventListener('input', debounce(showResults, 200));
+  ['searchCommittee', 'searchFrom', 'searchTo'].forEach(id => {
+    document.getElementById(id).addEventListener('change', showResults);
+  });
+  showResults();
+}
@@ -0,0 +1,291 @@
+/**
+ * VT Shared Governance Tracker - Semester Report
+ * Builds the report handed to Senate leadership: every committee, then each
+ * of its meetings, with attendance summaries and the full text of every
+ * report. Used by report.html (printed to PDF from the browser) and by
+ * scripts/generate-report.js (HTML or Markdown from an exported JSON file).
+ */
+
+// In Node the shared helpers come from utils.js; in the browser they are globals
+const semesterReportUtils = typeof module !== 'undefined' && module.exports
+  ? require('./utils.js')
+  : {
+    REPORT_SECTIONS, ATTENDANCE_STATUSES, MEETING_STATUSES, meetingStatus, meetingExpectsReport,
+    attendanceStatus, absenceFor, acceptedSubstitution, meetingsInTerm
+  };
+
+const SEMESTER_REPORT_COUNTS = ['attended', 'excused', 'absent', 'missing'];
+
+function emptyAttendanceCounts() {
+  return { attended: 0, excused: 0, absent: 0, missing: 0 };
+}
+
+/**
+ * Groups a term's past meetings by committee with who attended and what
+ * they reported. Each assigned seat gets one entry per meeting (filed by the
+ * accepted substitute, if any); reports from anyone else are listed too.
+ * @param {Object} data - {submissions, meetings, assignments (of the term), absences, substitutions}
+ * @param {Object} options - {term (null = every meeting), today: 'YYYY-MM-DD'}
+ * @returns {Object} {term, today, totals, committees: [{name, seats, counts, senators, meetings}]}
+ */
+function buildSemesterReport(data, options = {}) {
+  const { meetingStatus, meetingExpectsReport, attendanceStatus, absenceFor, acceptedSubstitution, meetingsInTerm } = semesterReportUtils;
+  const { submissions = [], meetings = [], assignments = [], absences = [], substitutions = [] } = data;
+  const term = options.term || null;
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const totals = { meetings: 0, expected: 0, submitted: 0, counts: emptyAttendanceCounts() };
+
+  const past = meetingsInTerm(meetings, term).filter(m => m.date && m.date <= today);
+  const committeeNames = [...new Set(past.map(m => m.committee).filter(Boolean))].sort();
+
+  const committees = committeeNames.map(name => {
+    const seats = assignments.filter(a => (a.committees || []).includes(name)).map(a => String(a.pid)).sort();
+    const counts = emptyAttendanceCounts();
+    const bySenator = new Map();
+    const committeeMeetings = past.filter(m => m.committee === name).sort((a, b) => a.date.localeCompare(b.date));
+
+    const reportMeetings = committeeMeetings.map(meeting => {
+      const expectsReport = meetingExpectsReport(meeting);
+      const forMeeting = submissions.filter(s => String(s.meetingId) === String(meeting.id));
+      const entries = [];
+      if (expectsReport) {
+        seats.forEach(pid => {
+          // A substitute's report counts for the seat they covered
+          const submission = forMeeting.find(s => String(s.substituteFor || s.pid) === pid) || null;
+          const substitution = acceptedSubstitution(substitutions, pid, meeting.id);
+          const reporter = submission ? String(submission.pid) : substitution ? String(substitution.substitutePid) : pid;
+          entries.push({ pid: reporter, substituteFor: reporter === pid ? '' : pid, submission });
+        });
+      }
+      forMeeting.forEach(s => {
+        if (!entries.some(e => e.submission === s)) entries.push({ pid: String(s.pid), substituteFor: s.substituteFor || '', submission: s });
+      });
+      entries.forEach(entry => {
+        entry.absence = absenceFor(absences, entry.pid, meeting.id);
+        entry.attendance = attendanceStatus(entry.submission, entry.absence);
+        if (!expectsReport) return;
+        counts[entry.attendance]++;
+        totals.counts[entry.attendance]++;
+        totals.expected++;
+        if (entry.submission) totals.submitted++;
+        if (!bySenator.has(entry.pid)) bySenator.set(entry.pid, { pid: entry.pid, counts: emptyAttendanceCounts() });
+        bySenator.get(entry.pid).counts[entry.attendance]++;
+      });
+      if (expectsReport) totals.meetings++;
+      return { meeting, status: meetingStatus(meeting), entries };
+    });
+
+    return {
+      name,
+      seats,
+      counts,
+      senators: [...bySenator.values()].sort((a, b) => a.pid.localeCompare(b.pid)),
+      meetings: reportMeetings
+    };
+  });
+
+  return { term, today, totals, committees };
+}
+
+function semesterReportEscape(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function semesterReportDate(dateKey) {
+  if (!dateKey) return '';
+  const date = new Date(`${dateKey}T12:00:00Z`);
+  if (isNaN(date.getTime())) return dateKey;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function semesterReportLabel(list, value) {
+  return (list.find(item => item.value === value) || {}).label || value;
+}
+
+function semesterReportSlug(name) {
+  return 'committee-' + String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function semesterReportPercent(part, whole) {
+  return whole ? `${Math.round((part / whole) * 100)}%` : '—';
+}
+
+/**
+ * Title line, e.g. "Spring 2026 (Jan 1, 2026 – May 31, 2026)".
+ * @param {Object} report - From buildSemesterReport
+ * @returns {string} Plain text
+ */
+function semesterReportSubtitle(report) {
+  const range = report.term ? `${report.term.name} (${semesterReportDate(report.term.start)} – ${semesterReportDate(report.term.end)})` : 'All meetings';
+  return `${range} · meetings through ${semesterReportDate(report.today)}`;
+}
+
+/** Filled-in report sections of a submission: [{label, text}]. */
+function semesterReportSections(submission) {
+  return semesterReportUtils.REPORT_SECTIONS
+    .map(section => {
+      const value = String(submission[section.key] || '').trim();
+      return { label: section.label, text: section.type === 'date' ? semesterReportDate(value) : value };
+    })
+    .filter(section => section.text);
+}
+
+/**
+ * Renders the report as HTML (an <article>, styled by css/report.css).
+ * @param {Object} report - From buildSemesterReport
+ * @returns {string} HTML string
+ */
+function semesterReportHTML(report) {
+  const { ATTENDANCE_STATUSES, MEETING_STATUSES } = semesterReportUtils;
+  const esc = semesterReportEscape;
+  const { totals } = report;
+  const countHeaders = SEMESTER_REPORT_COUNTS.map(c => `<th>${esc(semesterReportLabel(ATTENDANCE_STATUSES, c))}</th>`).join('');
+  const countCells = counts => SEMESTER_REPORT_COUNTS.map(c => `<td>${counts[c]}</td>`).join('');
+
+  const entryHTML = entry => {
+    const sections = entry.submission ? semesterReportSections(entry.submission) : [];
+    return `
+      <div class="report-entry">
+        <h4>${esc(entry.pid)}${entry.substituteFor ? ` <span class="report-muted">(substitute for ${esc(entry.substituteFor)})</span>` : ''}
+          <span class="report-attendance report-attendance-${esc(entry.attendance)}">${esc(semesterReportLabel(ATTENDANCE_STATUSES, entry.attendance))}</span></h4>
+        ${entry.absence ? `<p class="report-muted">Absence (${esc(entry.absence.status)}): ${esc(entry.absence.reason)}</p>` : ''}
+        ${!entry.submission ? '<p class="report-muted">No report submitted.</p>' : sections.length === 0 ? '<p class="report-muted">The report is empty.</p>' : sections.map(section => `
+          <h5>${esc(section.label)}</h5>
+          <p class="report-text">${esc(section.text)}</p>
+        `).join('')}
+      </div>
+    `;
+  };
+
+  return `
+    <article class="semester-report">
+      <header class="report-header">
+        <h1>Shared Governance Report</h1>
+        <p class="report-muted">${esc(semesterReportSubtitle(report))}</p>
+      </header>
+
+      <section class="report-summary">
+        <h2>Summary</h2>
+        <table class="report-table">
+          <thead><tr><th>Meetings held</th><th>Reports submitted</th>${countHeaders}<th>Attendance rate</th></tr></thead>
+          <tbody><tr>
+            <td>${totals.meetings}</td>
+            <td>${totals.submitted} of ${totals.expected}</td>
+            ${countCells(totals.counts)}
+            <td>${semesterReportPercent(totals.counts.attended, totals.expected - totals.counts.excused)}</td>
+          </tr></tbody>
+        </table>
+        ${report.committees.length ? `
+        <ol class="report-contents">
+          ${report.committees.map(c => `<li><a href="#${semesterReportSlug(c.name)}">${esc(c.name)}</a></li>`).join('')}
+        </ol>` : '<p class="report-muted">No meetings in this range.</p>'}
+      </section>
+
+      ${report.committees.map(committee => `
+        <section class="report-committee" id="${semesterReportSlug(committee.name)}">
+          <h2>${esc(committee.name)}</h2>
+          <p class="report-muted">Senators: ${committee.seats.length ? esc(committee.seats.join(', ')) : 'none assigned'}</p>
+          ${committee.senators.length ? `
+          <table class="report-table">
+            <thead><tr><th>Senator</th>${countHeaders}</tr></thead>
+            <tbody>
+              ${committee.senators.map(s => `<tr><td>${esc(s.pid)}</td>${countCells(s.counts)}</tr>`).join('')}
+            </tbody>
+          </table>` : ''}
+          ${committee.meetings.map(({ meeting, status, entries }) => `
+            <section class="report-meeting">
+              <h3>${esc(semesterReportDate(meeting.date))}${meeting.time ? ` · ${esc(meeting.time)}` : ''}${meeting.location && meeting.location !== 'TBD' ? ` · ${esc(meeting.location)}` : ''}
+                ${status !== 'scheduled' ? `<span class="report-status">${esc(semesterReportLabel(MEETING_STATUSES, status))}</span>` : ''}</h3>
+              ${entries.length ? entries.map(entryHTML).join('') : `<p class="report-muted">${status === 'cancelled' || status === 'rescheduled' ? 'No report expected.' : 'No senator assigned.'}</p>`}
+            </section>
+          `).join('')}
+        </section>
+      `).join('')}
+    </article>
+  `;
+}
+
+/**
+ * Wraps the report in a standalone HTML document (for the Node script).
+ * @param {Object} report - From buildSemesterReport
+ * @param {string} css - Contents of css/report.css
+ * @returns {string} HTML document
+ */
+function semesterReportDocument(report, css = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Shared Governance Report - ${semesterReportEscape(report.term ? report.term.name : 'All meetings')}</title>
+  <style>${css}</style>
+</head>
+<body>
+${semesterReportHTML(report)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the report as Markdown.
+ * @param {Object} report - From buildSemesterReport
+ * @returns {string} Markdown text
+ */
+function semesterReportMarkdown(report) {
+  const { ATTENDANCE_STATUSES, MEETING_STATUSES } = semesterReportUtils;
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  // Hard line breaks so the notes keep their lines
+  const block = text => String(text).replace(/\r?\n/g, '  \n');
+  const countLabels = SEMESTER_REPORT_COUNTS.map(c => semesterReportLabel(ATTENDANCE_STATUSES, c));
+  const { totals } = report;
+  const lines = [
+    '# Shared Governance Report',
+    '',
+    `_${semesterReportSubtitle(report)}_`,
+    '',
+    '## Summary',
+    '',
+    `| Meetings held | Reports submitted | ${countLabels.join(' | ')} | Attendance rate |`,
+    `|---|---|${countLabels.map(() => '---').join('|')}|---|`,
+    `| ${totals.meetings} | ${totals.submitted} of ${totals.expected} | ${SEMESTER_REPORT_COUNTS.map(c => totals.counts[c]).join(' | ')} | ${semesterReportPercent(totals.counts.attended, totals.expected - totals.counts.excused)} |`,
+    ''
+  ];
+  if (!report.committees.length) lines.push('No meetings in this range.', '');
+
+  report.committees.forEach(committee => {
+    lines.push(`## ${committee.name}`, '', `Senators: ${committee.seats.length ? committee.seats.join(', ') : 'none assigned'}`, '');
+    if (committee.senators.length) {
+      lines.push(`| Senator | ${countLabels.join(' | ')} |`, `|---|${countLabels.map(() => '---').join('|')}|`);
+      committee.senators.forEach(s => lines.push(`| ${cell(s.pid)} | ${SEMESTER_REPORT_COUNTS.map(c => s.counts[c]).join(' | ')} |`));
+      lines.push('');
+    }
+    committee.meetings.forEach(({ meeting, status, entries }) => {
+      const details = [semesterReportDate(meeting.date), meeting.time, meeting.location && meeting.location !== 'TBD' ? meeting.location : '']
+        .filter(Boolean).join(' · ');
+      lines.push(`### ${details}${status !== 'scheduled' ? ` (${semesterReportLabel(MEETING_STATUSES, status)})` : ''}`, '');
+      if (!entries.length) {
+        lines.push(status === 'cancelled' || status === 'rescheduled' ? '_No report expected._' : '_No senator assigned._', '');
+      }
+      entries.forEach(entry => {
+        lines.push(`#### ${entry.pid}${entry.substituteFor ? ` (substitute for ${entry.substituteFor})` : ''} · ${semesterReportLabel(ATTENDANCE_STATUSES, entry.attendance)}`, '');
+        if (entry.absence) lines.push(`_Absence (${entry.absence.status}): ${entry.absence.reason}_`, '');
+        if (!entry.submission) {
+          lines.push('_No report submitted._', '');
+          return;
+        }
+        const sections = semesterReportSections(entry.submission);
+        if (!sections.length) lines.push('_The report is empty._', '');
+        sections.forEach(section => lines.push(`**${section.label}**`, '', block(section.text), ''));
+      });
+    });
+  });
+  return lines.join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildSemesterReport, semesterReportHTML, semesterReportDocument, semesterReportMarkdown };
+}
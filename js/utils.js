@@ -2,15 +2,22 @@
  * VT Shared Governance Tracker - Shared Utilities
  * Handles data loading, localStorage persistence, and common helpers.
  * 
- * Note: GitHub Pages serves static files. Submissions and admin edits
- * are stored in localStorage. Use Export to save submissions for backup.
+ * Note: GitHub Pages serves static files. When Firebase is configured,
+ * submissions, meetings and assignments live in Firestore; otherwise they
+ * fall back to localStorage. Use Export to save submissions for backup.
  */
 
 const GOV_STORAGE_KEYS = {
   SESSION: 'vt_gov_session',
   SUBMISSIONS: 'vt_gov_submissions',
   MEETINGS_OVERRIDE: 'vt_gov_meetings_override',
-  ASSIGNMENTS_OVERRIDE: 'vt_gov_assignments_override'
+  ASSIGNMENTS_OVERRIDE: 'vt_gov_assignments_override',
+  REPORT_TEMPLATES: 'vt_gov_report_templates',
+  REVIEWS: 'vt_gov_reviews',
+  TERMS: 'vt_gov_terms',
+  SUBSTITUTIONS: 'vt_gov_substitutions',
+  ABSENCES: 'vt_gov_absences',
+  COMMITTEES: 'vt_gov_committees'
 };
 const GOV_DATA_VERSION = '20260228';
 
@@ -48,25 +55,262 @@ async function getSubmissions() {
 }
 
 /**
- * Saves a new submission. Uses Firestore when configured, else localStorage.
+ * Gets one senator's submissions (latest per meeting).
+ * @param {string} pid - Senator PID
+ * @returns {Promise<Array>} Array of submission objects
+ */
+async function getSubmissionsForPid(pid) {
+  if (typeof getSubmissionsByPidAsync === 'function') {
+    return getSubmissionsByPidAsync(pid);
+  }
+  const all = await getSubmissions();
+  return all.filter(s => String(s.pid) === String(pid));
+}
+
+/**
+ * Whether a submission passes the admin table filters.
  * @param {Object} submission - Submission object
- * @returns {Promise<void>}
+ * @param {Object} filters - {pid, committee, from, to} (all optional)
+ * @returns {boolean}
+ */
+function submissionMatchesFilters(submission, filters = {}) {
+  if (filters.pid && String(submission.pid) !== String(filters.pid)) return false;
+  if (filters.committee && String(submission.committeeName || '') !== String(filters.committee)) return false;
+  const date = submission.meetingDate || '';
+  if (filters.from && date < filters.from) return false;
+  if (filters.to && date > filters.to) return false;
+  return true;
+}
+
+/**
+ * Gets one page of submissions matching filters, newest meeting first.
+ * Uses an indexed Firestore query when configured, else filters localStorage.
+ * @param {Object} filters - {pid, committee, from, to} (all optional)
+ * @param {Object} options - {pageSize, cursor} where cursor comes from the previous page
+ * @returns {Promise<{submissions: Array, cursor: *, hasMore: boolean}>}
+ */
+async function querySubmissions(filters = {}, options = {}) {
+  if (typeof querySubmissionsAsync === 'function') {
+    const page = await querySubmissionsAsync(filters, options);
+    if (page) return page;
+  }
+  const pageSize = options.pageSize || 50;
+  const start = options.cursor || 0;
+  const matching = (await getSubmissions())
+    .filter(s => submissionMatchesFilters(s, filters))
+    .sort((a, b) => (b.meetingDate || '').localeCompare(a.meetingDate || '') || (b.timestamp || '').localeCompare(a.timestamp || ''));
+  return {
+    submissions: matching.slice(start, start + pageSize),
+    cursor: start + pageSize,
+    hasMore: matching.length > start + pageSize
+  };
+}
+
+/**
+ * Creates or updates the senator's submission for a meeting (one per pid and
+ * meetingId). Uses Firestore when configured, else localStorage.
+ * @param {Object} submission - Submission object
+ * @returns {Promise<Object>} The saved submission
  */
 async function saveSubmission(submission) {
   if (typeof saveSubmissionAsync === 'function') {
     return saveSubmissionAsync(submission);
   }
-  const submissions = JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.SUBMISSIONS) || '[]');
+  const submissions = JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.SUBMISSIONS) || '[]')
+    .filter(s => !(String(s.pid) === String(submission.pid) && String(s.meetingId) === String(submission.meetingId)));
   submissions.push(submission);
   localStorage.setItem(GOV_STORAGE_KEYS.SUBMISSIONS, JSON.stringify(submissions));
+  return submission;
+}
+
+/**
+ * Attachments: files on a submission (the commission's agenda, slides) or a
+ * meeting (agenda, official minutes), kept in Firebase Storage. Submissions
+ * and meetings store only the file details [{name, path, contentType, size,
+ * uploadedAt, uploadedBy, kind}]; storage.rules enforce the same limits.
+ */
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_MAX_FILES = 5;
+const ATTACHMENT_TYPES = {
+  'application/pdf': 'PDF',
+  'application/vnd.ms-powerpoint': 'PowerPoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PowerPoint',
+  'application/msword': 'Word',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word',
+  'image/png': 'Image',
+  'image/jpeg': 'Image'
+};
+const ATTACHMENT_ACCEPT = '.pdf,.ppt,.pptx,.doc,.docx,.png,.jpg,.jpeg';
+const MEETING_ATTACHMENT_KINDS = [
+  { value: 'agenda', label: 'Agenda' },
+  { value: 'minutes', label: 'Minutes' },
+  { value: 'slides', label: 'Slides' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Whether files can be attached here: needs Firebase (Storage lives next to
+ * the shared submissions; localStorage-only setups have nowhere to put files).
+ * @returns {boolean}
+ */
+function attachmentsAvailable() {
+  return typeof uploadAttachmentAsync === 'function' && typeof isFirebaseEnabled === 'function' && isFirebaseEnabled() &&
+    typeof firebase !== 'undefined' && typeof firebase.storage === 'function';
+}
+
+/**
+ * Storage folder for a senator's files on a meeting report.
+ * @param {string} pid - Senator who filed the report
+ * @param {string} meetingId - Meeting id
+ * @returns {string}
+ */
+function submissionAttachmentFolder(pid, meetingId) {
+  return `submissions/${pid}/${meetingId}`;
+}
+
+/**
+ * Storage folder for a meeting's agenda and minutes.
+ * @param {string} meetingId - Meeting id
+ * @returns {string}
+ */
+function meetingAttachmentFolder(meetingId) {
+  return `meetings/${meetingId}`;
+}
+
+/**
+ * Checks a file against the attachment type, size and count limits.
+ * @param {File} file - Chosen file
+ * @param {number} attachedCount - Files already attached
+ * @returns {string|null} What's wrong, or null if the file can be attached
+ */
+function attachmentError(file, attachedCount = 0) {
+  if (attachedCount >= ATTACHMENT_MAX_FILES) return `Attach at most ${ATTACHMENT_MAX_FILES} files.`;
+  if (!ATTACHMENT_TYPES[file.type]) return `${file.name}: only PDF, PowerPoint, Word, PNG and JPEG files can be attached.`;
+  if (file.size > ATTACHMENT_MAX_BYTES) return `${file.name} is larger than ${formatFileSize(ATTACHMENT_MAX_BYTES)}.`;
+  return null;
+}
+
+/**
+ * Keeps an attachment's known fields (as stored on submissions and meetings).
+ * @param {Object} attachment - Attachment record
+ * @returns {Object}
+ */
+function normalizeAttachment(attachment) {
+  const a = attachment || {};
+  const record = {
+    name: String(a.name || ''),
+    path: String(a.path || ''),
+    contentType: String(a.contentType || ''),
+    size: Math.max(0, parseInt(a.size, 10) || 0),
+    uploadedAt: String(a.uploadedAt || ''),
+    uploadedBy: String(a.uploadedBy || '')
+  };
+  if (a.kind) record.kind = String(a.kind);
+  return record;
+}
+
+/**
+ * @param {number} bytes - File size
+ * @returns {string} e.g. "1.4 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Uploads a file to Firebase Storage after checking the limits.
+ * @param {string} folder - From submissionAttachmentFolder or meetingAttachmentFolder
+ * @param {File} file - Chosen file
+ * @param {Object} details - {uploadedBy, kind (meetings), attachedCount}
+ * @returns {Promise<Object>} Attachment record
+ */
+async function uploadAttachment(folder, file, details = {}) {
+  const problem = attachmentError(file, details.attachedCount || 0);
+  if (problem) throw new Error(problem);
+  const uploaded = typeof uploadAttachmentAsync === 'function' ? await uploadAttachmentAsync(folder, file) : null;
+  if (!uploaded) throw new Error('Attachments need Firebase Storage, which is not set up on this site.');
+  return normalizeAttachment({
+    ...uploaded,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: details.uploadedBy,
+    kind: details.kind
+  });
+}
+
+/**
+ * Deletes an attachment's file. A file that is already gone counts as deleted.
+ * @param {Object} attachment - Attachment record
+ * @returns {Promise<void>}
+ */
+async function deleteAttachment(attachment) {
+  if (typeof deleteAttachmentAsync === 'function') await deleteAttachmentAsync(attachment.path);
+}
+
+/**
+ * Opens an attachment in a new tab. The tab is opened right away (inside the
+ * click) so popup blockers allow it, then pointed at the download URL.
+ * @param {Object} attachment - Attachment record
+ */
+async function openAttachment(attachment) {
+  const tab = window.open('', '_blank');
+  try {
+    const url = typeof getAttachmentUrlAsync === 'function' ? await getAttachmentUrlAsync(attachment.path) : null;
+    if (!url) throw new Error('Firebase Storage is not available.');
+    if (tab) tab.location.href = url;
+    else window.location.href = url;
+  } catch (e) {
+    console.error('Open attachment failed:', e);
+    if (tab) tab.close();
+    alert(`Couldn't open ${attachment.name}. It may have been removed.`);
+  }
+}
+
+/**
+ * Lists attachments as buttons that open the file (bind with bindAttachmentLinks).
+ * @param {Array} attachments - Attachment records
+ * @param {Object} options - {removable: adds a Remove button to each}
+ * @returns {string} HTML string ('' when there are none)
+ */
+function attachmentListHTML(attachments, options = {}) {
+  if (!Array.isArray(attachments) || !attachments.length) return '';
+  const kinds = Object.fromEntries(MEETING_ATTACHMENT_KINDS.map(k => [k.value, k.label]));
+  return `
+    <ul class="attachment-list">
+      ${attachments.map((a, i) => `
+        <li class="attachment-item">
+          <button type="button" class="btn-link attachment-open" data-attachment-index="${i}">${calendarEscapeHtml(a.name)}</button>
+          <span class="attachment-meta">${[kinds[a.kind], ATTACHMENT_TYPES[a.contentType], a.size ? formatFileSize(a.size) : ''].filter(Boolean).map(calendarEscapeHtml).join(' · ')}</span>
+          ${options.removable ? `<button type="button" class="btn-link attachment-remove" data-attachment-index="${i}">Remove</button>` : ''}
+        </li>
+      `).join('')}
+    </ul>
+  `;
 }
 
 /**
- * Gets meetings - uses localStorage override if admin has edited, else fetches from JSON.
+ * Makes the attachment buttons inside a container open their file.
+ * @param {HTMLElement} container - Element holding one attachmentListHTML list
+ * @param {Array} attachments - The same attachments, in the same order
+ */
+function bindAttachmentLinks(container, attachments) {
+  container.querySelectorAll('.attachment-open').forEach(btn => {
+    btn.addEventListener('click', () => openAttachment(attachments[Number(btn.dataset.attachmentIndex)]));
+  });
+}
+
+/**
+ * Gets meetings. Uses the Firestore meetings collection when configured
+ * (seeded from meetings.json if empty), else a localStorage override.
  * @param {Array} meetingsFromFile - Meetings loaded from meetings.json
- * @returns {Array} Merged/override meetings
+ * @returns {Promise<Array>} Shared/override meetings
  */
-function getMeetingsWithOverride(meetingsFromFile) {
+async function getMeetingsWithOverride(meetingsFromFile) {
+  if (typeof getMeetingsAsync === 'function') {
+    const shared = await getMeetingsAsync(meetingsFromFile);
+    if (shared) return shared;
+  }
   const versionKey = `${GOV_STORAGE_KEYS.MEETINGS_OVERRIDE}_version`;
   try {
     const override = localStorage.getItem(GOV_STORAGE_KEYS.MEETINGS_OVERRIDE);
@@ -81,20 +325,28 @@ function getMeetingsWithOverride(meetingsFromFile) {
 }
 
 /**
- * Saves meetings override to localStorage (admin edits).
+ * Saves meetings (admin edits). Writes to Firestore when configured so every
+ * user sees the change, else to localStorage.
  * @param {Array} meetings - Updated meetings array
+ * @returns {Promise<void>}
  */
-function saveMeetingsOverride(meetings) {
+async function saveMeetingsOverride(meetings) {
+  if (typeof saveMeetingsAsync === 'function' && await saveMeetingsAsync(meetings)) return;
   localStorage.setItem(GOV_STORAGE_KEYS.MEETINGS_OVERRIDE, JSON.stringify(meetings));
   localStorage.setItem(`${GOV_STORAGE_KEYS.MEETINGS_OVERRIDE}_version`, GOV_DATA_VERSION);
 }
 
 /**
- * Gets assignments - uses localStorage override if admin has edited.
+ * Gets assignments. Uses the Firestore assignments collection when configured
+ * (seeded from assignments.json if empty), else a localStorage override.
  * @param {Array} assignmentsFromFile - Assignments from assignments.json
- * @returns {Array} Merged/override assignments
+ * @returns {Promise<Array>} Shared/override assignments
  */
-function getAssignmentsWithOverride(assignmentsFromFile) {
+async function getAssignmentsWithOverride(assignmentsFromFile) {
+  if (typeof getAssignmentsAsync === 'function') {
+    const shared = await getAssignmentsAsync(assignmentsFromFile);
+    if (shared) return shared;
+  }
   try {
     const override = localStorage.getItem(GOV_STORAGE_KEYS.ASSIGNMENTS_OVERRIDE);
     if (override) return JSON.parse(override);
@@ -103,13 +355,714 @@ function getAssignmentsWithOverride(assignmentsFromFile) {
 }
 
 /**
- * Saves assignments override to localStorage (admin edits).
+ * Saves assignments (admin edits). Writes to Firestore when configured, else localStorage.
  * @param {Array} assignments - Updated assignments array
+ * @returns {Promise<void>}
  */
-function saveAssignmentsOverride(assignments) {
+async function saveAssignmentsOverride(assignments) {
+  if (typeof saveAssignmentsAsync === 'function' && await saveAssignmentsAsync(assignments)) return;
   localStorage.setItem(GOV_STORAGE_KEYS.ASSIGNMENTS_OVERRIDE, JSON.stringify(assignments));
 }
 
+/**
+ * Gets academic terms, newest first. Uses the Firestore terms collection when
+ * configured (seeded from terms.json if empty), else a localStorage override.
+ * @param {Array} termsFromFile - Terms from terms.json
+ * @returns {Promise<Array>} [{id, name, start, end, archived, archivedAt}]
+ */
+async function getTerms(termsFromFile) {
+  if (typeof getTermsAsync === 'function') {
+    const shared = await getTermsAsync(termsFromFile);
+    if (shared) return shared;
+  }
+  let terms = Array.isArray(termsFromFile) ? termsFromFile : [];
+  try {
+    const override = localStorage.getItem(GOV_STORAGE_KEYS.TERMS);
+    if (override) terms = JSON.parse(override);
+  } catch {}
+  return [...terms].sort((a, b) => String(b.start).localeCompare(String(a.start)));
+}
+
+/**
+ * Creates or updates a term. Writes to Firestore when configured, else localStorage.
+ * @param {Object} term - {id, name, start, end, archived, archivedAt}
+ * @param {Array} terms - All terms (for the localStorage fallback)
+ * @returns {Promise<void>}
+ */
+async function saveTerm(term, terms) {
+  if (typeof saveTermAsync === 'function' && await saveTermAsync(term)) return;
+  const others = terms.filter(t => t.id !== term.id);
+  localStorage.setItem(GOV_STORAGE_KEYS.TERMS, JSON.stringify([...others, term]));
+}
+
+/**
+ * Builds a term id from its name, e.g. "Fall 2026" -> "fall-2026".
+ * @param {string} name - Term name
+ * @returns {string}
+ */
+function termIdFromName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Picks the term to show by default: the active term that contains today,
+ * else the most recent active term, else the most recent term.
+ * @param {Array} terms - From getTerms (newest first)
+ * @returns {Object|null}
+ */
+function getCurrentTerm(terms) {
+  const today = new Date().toISOString().split('T')[0];
+  const active = terms.filter(t => !t.archived);
+  return active.find(t => t.start <= today && today <= t.end) || active[0] || terms[0] || null;
+}
+
+/**
+ * Assignments made before terms existed carry no term. They belong to the
+ * oldest active term until it is ended, which pins them to it.
+ * @param {Array} terms - All terms
+ * @returns {string} Term id, or '' if no term is active
+ */
+function untaggedAssignmentsTermId(terms) {
+  const active = terms.filter(t => !t.archived).sort((a, b) => String(a.start).localeCompare(String(b.start)));
+  return active.length ? active[0].id : '';
+}
+
+/**
+ * Gets the assignments of one term.
+ * @param {Array} assignments - Assignments of every term
+ * @param {Object} term - Term to select (null = every assignment)
+ * @param {Array} terms - All terms
+ * @returns {Array}
+ */
+function assignmentsForTerm(assignments, term, terms) {
+  if (!term) return assignments;
+  const untaggedTermId = untaggedAssignmentsTermId(terms);
+  return assignments.filter(a => (a.term ? a.term === term.id : term.id === untaggedTermId));
+}
+
+/**
+ * Gets the meetings dated within a term.
+ * @param {Array} meetings - All meetings
+ * @param {Object} term - Term to select (null = every meeting)
+ * @returns {Array}
+ */
+function meetingsInTerm(meetings, term) {
+  if (!term) return meetings;
+  return meetings.filter(m => m.date && m.date >= term.start && m.date <= term.end);
+}
+
+/**
+ * Committee metadata, one object per governance body:
+ * {id, name, acronym, url (governance.vt.edu page), color (calendar color),
+ * chairName, chairEmail, seats (Senate seats), active}. Meetings and
+ * assignments refer to committees by name. The directory below holds the
+ * committees last loaded by getCommitteesWithOverride, so name lookups
+ * (acronyms, links, calendar colors) don't need them passed around.
+ */
+let committeeDirectory = [];
+
+// Colors for meetings of committees that aren't in the directory
+const COMMITTEE_FALLBACK_COLORS = [
+  '#861f41', '#e87722', '#2a9d8f', '#457b9d', '#7b2cbf', '#ef476f',
+  '#118ab2', '#6a994e', '#bc6c25', '#3a86ff', '#ff6b6b', '#2b9348'
+];
+
+/**
+ * Builds a committee id from its acronym or name, e.g. "CFA" -> "cfa".
+ * @param {string} acronymOrName - Acronym, else the full name
+ * @returns {string}
+ */
+function committeeIdFrom(acronymOrName) {
+  return String(acronymOrName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Fills in a committee object's fields. Plain names (the old committees.json
+ * format) become active committees with one seat.
+ * @param {Object|string} committee - Committee object or name
+ * @returns {Object} {id, name, acronym, url, color, chairName, chairEmail, seats, active}
+ */
+function normalizeCommittee(committee) {
+  const c = typeof committee === 'string' ? { name: committee } : (committee || {});
+  const name = String(c.name || '').trim();
+  const acronym = String(c.acronym || '').trim().toUpperCase();
+  const seats = parseInt(c.seats, 10);
+  return {
+    id: String(c.id || committeeIdFrom(acronym || name)),
+    name,
+    acronym,
+    url: String(c.url || '').trim(),
+    color: /^#[0-9a-f]{6}$/i.test(c.color || '') ? c.color.toLowerCase() : '',
+    chairName: String(c.chairName || '').trim(),
+    chairEmail: String(c.chairEmail || '').trim(),
+    seats: isNaN(seats) || seats < 0 ? 1 : seats,
+    active: c.active !== false
+  };
+}
+
+/**
+ * Replaces the committee directory used for name lookups.
+ * @param {Array} committees - Committee objects (or names)
+ * @returns {Array} The normalized committees
+ */
+function setCommitteeDirectory(committees) {
+  committeeDirectory = (Array.isArray(committees) ? committees : []).map(normalizeCommittee).filter(c => c.name);
+  return committeeDirectory;
+}
+
+/**
+ * Gets committees, sorted by name. Uses the Firestore committees collection
+ * when configured (seeded from committees.json if empty), else a
+ * localStorage override. Also sets the committee directory.
+ * @param {Array} committeesFromFile - Committees from committees.json
+ * @returns {Promise<Array>} Committee objects
+ */
+async function getCommitteesWithOverride(committeesFromFile) {
+  let committees = null;
+  if (typeof getCommitteesAsync === 'function') committees = await getCommitteesAsync(committeesFromFile);
+  if (!committees) {
+    committees = Array.isArray(committeesFromFile) ? committeesFromFile : [];
+    try {
+      const override = localStorage.getItem(GOV_STORAGE_KEYS.COMMITTEES);
+      if (override) committees = JSON.parse(override);
+    } catch {}
+  }
+  return setCommitteeDirectory(committees).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves committees (admin edits). Writes to Firestore when configured, else
+ * localStorage, and updates the committee directory.
+ * @param {Array} committees - Every committee
+ * @returns {Promise<void>}
+ */
+async function saveCommitteesOverride(committees) {
+  const normalized = committees.map(normalizeCommittee);
+  if (!(typeof saveCommitteesAsync === 'function' && await saveCommitteesAsync(normalized))) {
+    localStorage.setItem(GOV_STORAGE_KEYS.COMMITTEES, JSON.stringify(normalized));
+  }
+  setCommitteeDirectory(normalized);
+}
+
+/**
+ * Names of the committees senators can be assigned to (active ones).
+ * @param {Array} committees - Committee objects
+ * @returns {Array<string>}
+ */
+function activeCommitteeNames(committees) {
+  return (committees || []).filter(c => c.active !== false).map(c => c.name);
+}
+
+// Committee assignments each senator is expected to hold in a term
+const REQUIRED_ASSIGNMENTS_PER_SENATOR = 1;
+
+/**
+ * Filled and open Senate seats per committee for one term. Covers active
+ * committees and any committee that still has senators assigned; committees
+ * missing from the list have no seat count (seats: null).
+ * @param {Array} assignments - Assignments of the term
+ * @param {Array} committees - Committee objects (default: the committee directory)
+ * @returns {Array} [{name, acronym, seats, filled, open, over, pids}] sorted by name
+ */
+function committeeSeatSummary(assignments, committees = committeeDirectory) {
+  const pidsByName = new Map();
+  (assignments || []).forEach(a => (a.committees || []).forEach(name => {
+    const committee = findCommittee(name, committees);
+    const key = committee ? committee.name : name;
+    if (!pidsByName.has(key)) pidsByName.set(key, []);
+    pidsByName.get(key).push(String(a.pid));
+  }));
+  const names = new Set([...committees.filter(c => c.active !== false).map(c => c.name), ...pidsByName.keys()]);
+  return [...names].sort().map(name => {
+    const committee = committees.find(c => c.name === name) || null;
+    const pids = (pidsByName.get(name) || []).sort();
+    const seats = committee ? committee.seats : null;
+    return {
+      name,
+      acronym: committee ? committee.acronym : '',
+      seats,
+      filled: pids.length,
+      open: seats === null ? 0 : Math.max(0, seats - pids.length),
+      over: seats === null ? 0 : Math.max(0, pids.length - seats),
+      pids
+    };
+  });
+}
+
+/**
+ * Senators holding fewer committee assignments than required. Senators are
+ * members who aren't admins or disabled, plus anyone with an assignment.
+ * @param {Array} members - Members [{pid, role, disabled}] (may be empty)
+ * @param {Array} assignments - Assignments of the term
+ * @param {number} required - Assignments each senator should hold
+ * @returns {Array} [{pid, count}] fewest assignments first
+ */
+function underassignedSenators(members, assignments, required = REQUIRED_ASSIGNMENTS_PER_SENATOR) {
+  const counts = new Map();
+  (members || []).filter(m => m.role !== 'admin' && !m.disabled).forEach(m => counts.set(String(m.pid), 0));
+  (assignments || []).forEach(a => counts.set(String(a.pid), (counts.get(String(a.pid)) || 0) + (a.committees || []).length));
+  return [...counts.entries()]
+    .filter(([, count]) => count < required)
+    .map(([pid, count]) => ({ pid, count }))
+    .sort((a, b) => a.count - b.count || a.pid.localeCompare(b.pid));
+}
+
+/**
+ * Plain-text list of open seats to paste into an email or group chat.
+ * @param {Array} summary - From committeeSeatSummary
+ * @param {Object} term - Term of the assignments (optional)
+ * @returns {string}
+ */
+function vacancyListText(summary, term = null) {
+  const open = summary.filter(s => s.open > 0);
+  const lines = [`Open Senate seats${term ? ` - ${term.name}` : ''}`, ''];
+  if (!open.length) lines.push('Every committee seat is filled.');
+  open.forEach(s => {
+    const url = getCommitteeUrl(s.name);
+    lines.push(`- ${s.name}${s.acronym ? ` (${s.acronym})` : ''}: ${s.open} of ${s.seats} seat${s.seats === 1 ? '' : 's'} open${url ? ` - ${url}` : ''}`);
+  });
+  const total = open.reduce((sum, s) => sum + s.open, 0);
+  if (total) lines.push('', `${total} open seat${total === 1 ? '' : 's'} in all.`);
+  return lines.join('\n');
+}
+
+/**
+ * Meeting statuses. Meetings without a status are scheduled. A rescheduled
+ * meeting keeps its original date and links to its replacement through
+ * `rescheduledTo` (a meeting id).
+ */
+const MEETING_STATUSES = [
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'tentative', label: 'Tentative' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'rescheduled', label: 'Rescheduled' }
+];
+
+/**
+ * @param {Object} meeting - Meeting object
+ * @returns {string} One of the MEETING_STATUSES values
+ */
+function meetingStatus(meeting) {
+  const status = meeting && meeting.status;
+  return MEETING_STATUSES.some(s => s.value === status) ? status : 'scheduled';
+}
+
+/**
+ * Whether senators owe a report for a meeting. Cancelled meetings don't, and
+ * neither do rescheduled ones (the replacement meeting does).
+ * @param {Object} meeting - Meeting object
+ * @returns {boolean}
+ */
+function meetingExpectsReport(meeting) {
+  const status = meetingStatus(meeting);
+  return status !== 'cancelled' && status !== 'rescheduled';
+}
+
+/**
+ * Badge for a meeting's status; empty for scheduled meetings. Rescheduled
+ * meetings say when they moved to.
+ * @param {Object} meeting - Meeting object
+ * @param {Array} meetings - All meetings (to find the replacement)
+ * @returns {string} HTML string
+ */
+function meetingStatusBadgeHTML(meeting, meetings = []) {
+  const status = meetingStatus(meeting);
+  if (status === 'scheduled') return '';
+  let label = MEETING_STATUSES.find(s => s.value === status).label;
+  const replacement = status === 'rescheduled' && meetings.find(m => String(m.id) === String(meeting.rescheduledTo));
+  if (replacement && parseCalendarDate(replacement.date)) {
+    label += ' to ' + parseCalendarDate(replacement.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  }
+  return `<span class="meeting-status-badge meeting-status-${status}">${calendarEscapeHtml(label)}</span>`;
+}
+
+/**
+ * Sections of the structured meeting report. Each key is stored as its own
+ * field on the submission document. `notes` holds free-form notes (and the
+ * full text of submissions made before the template existed).
+ */
+const REPORT_SECTIONS = [
+  { key: 'summary', label: 'Summary', type: 'textarea', hint: 'What was discussed, in a few sentences.' },
+  { key: 'motions', label: 'Motions / Votes & Outcome', type: 'textarea', hint: 'Each motion, how the vote went, and the result.' },
+  { key: 'actionItems', label: 'Action Items for Senate', type: 'textarea', hint: 'Anything the Senate needs to act on or know about.' },
+  { key: 'followUp', label: 'Items Needing Follow-up', type: 'textarea', hint: 'Open questions or items to revisit.' },
+  { key: 'nextMeetingDate', label: 'Next Meeting Date', type: 'date', hint: '' },
+  { key: 'notes', label: 'Additional Notes', type: 'textarea', hint: 'Enter your meeting notes here...' }
+];
+
+/**
+ * Resolves the report template for a committee: its own template, else the
+ * default template, else every section enabled with built-in labels.
+ * @param {string} committee - Committee name
+ * @param {Object} templates - Saved templates keyed by committee ('' = default)
+ * @returns {Array} Sections [{key, label, type, hint, enabled, required}]
+ */
+function getReportTemplate(committee, templates = {}) {
+  const saved = templates[committee] || templates[''] || null;
+  const overrides = {};
+  ((saved && saved.sections) || []).forEach(s => { overrides[s.key] = s; });
+  return REPORT_SECTIONS.map(section => {
+    const o = overrides[section.key] || {};
+    return {
+      ...section,
+      label: o.label || section.label,
+      hint: o.hint !== undefined ? o.hint : section.hint,
+      enabled: o.enabled !== undefined ? !!o.enabled : true,
+      required: !!o.required
+    };
+  });
+}
+
+/**
+ * Gets admin-edited report templates keyed by committee ('' = default).
+ * Uses Firestore when configured, else localStorage.
+ * @returns {Promise<Object>}
+ */
+async function getReportTemplates() {
+  if (typeof getReportTemplatesAsync === 'function') {
+    const shared = await getReportTemplatesAsync();
+    if (shared) return shared;
+  }
+  try {
+    const stored = localStorage.getItem(GOV_STORAGE_KEYS.REPORT_TEMPLATES);
+    return stored ? JSON.parse(stored) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Saves one committee's report template ('' committee = default for all).
+ * Pass null sections to reset the committee to the default.
+ * @param {string} committee - Committee name
+ * @param {Array|null} sections - [{key, label, hint, enabled, required}]
+ * @returns {Promise<void>}
+ */
+async function saveReportTemplate(committee, sections) {
+  if (typeof saveReportTemplateAsync === 'function' && await saveReportTemplateAsync(committee, sections)) return;
+  const templates = JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.REPORT_TEMPLATES) || '{}');
+  if (sections) {
+    templates[committee] = { committee, sections };
+  } else {
+    delete templates[committee];
+  }
+  localStorage.setItem(GOV_STORAGE_KEYS.REPORT_TEMPLATES, JSON.stringify(templates));
+}
+
+/**
+ * Admin review statuses for a submission, shown to the senator on their card.
+ */
+const REVIEW_STATUSES = [
+  { value: '', label: 'Not reviewed' },
+  { value: 'reviewed', label: 'Reviewed' },
+  { value: 'needs-follow-up', label: 'Needs follow-up' }
+];
+
+/**
+ * Gets admin reviews (status and comments) keyed by "<pid>_<meetingId>".
+ * Uses Firestore when configured, else localStorage.
+ * @param {string} pid - Only this senator's reviews (omit for all)
+ * @returns {Promise<Object>}
+ */
+async function getReviews(pid) {
+  if (typeof getReviewsAsync === 'function') {
+    const shared = await getReviewsAsync(pid);
+    if (shared) return shared;
+  }
+  try {
+    const all = JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.REVIEWS) || '{}');
+    if (!pid) return all;
+    const mine = {};
+    Object.keys(all).forEach(id => {
+      if (String(all[id].pid) === String(pid)) mine[id] = all[id];
+    });
+    return mine;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Sets the review status of a submission and/or adds a comment.
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @param {Object} change - {status, comment, author}
+ * @returns {Promise<Object>} The updated review
+ */
+async function saveReview(pid, meetingId, change) {
+  if (typeof saveReviewAsync === 'function') {
+    const shared = await saveReviewAsync(pid, meetingId, change);
+    if (shared) return shared;
+  }
+  const all = JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.REVIEWS) || '{}');
+  const id = `${pid}_${meetingId}`;
+  const review = applyReviewChange(all[id], pid, meetingId, change);
+  all[id] = review;
+  localStorage.setItem(GOV_STORAGE_KEYS.REVIEWS, JSON.stringify(all));
+  return review;
+}
+
+/**
+ * Applies a status change and/or new comment to a review record.
+ * @param {Object|null} current - Existing review
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @param {Object} change - {status, comment, author}
+ * @returns {Object} New review record
+ */
+function applyReviewChange(current, pid, meetingId, change) {
+  const now = new Date().toISOString();
+  const comments = [...((current && current.comments) || [])];
+  const text = String(change.comment || '').trim();
+  if (text) comments.push({ author: String(change.author || ''), text, timestamp: now });
+  return {
+    pid: String(pid),
+    meetingId: String(meetingId),
+    status: change.status !== undefined ? String(change.status) : ((current && current.status) || ''),
+    comments,
+    updatedAt: now,
+    updatedBy: String(change.author || '')
+  };
+}
+
+/**
+ * Substitute requests: a senator who can't attend a meeting asks another
+ * senator to go in their place. The substitute or an admin accepts.
+ */
+const SUBSTITUTION_STATUSES = [
+  { value: 'requested', label: 'Requested' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'declined', label: 'Declined' }
+];
+
+function readLocalSubstitutions() {
+  try {
+    return JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.SUBSTITUTIONS) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Gets substitute requests. Uses Firestore when configured, else localStorage.
+ * @param {string} pid - Only requests made by or sent to this senator (omit for all)
+ * @returns {Promise<Array>} [{pid, meetingId, committee, meetingDate, substitutePid, status, requestedAt, updatedAt, updatedBy}]
+ */
+async function getSubstitutions(pid) {
+  if (typeof getSubstitutionsAsync === 'function') {
+    const shared = await getSubstitutionsAsync(pid);
+    if (shared) return shared;
+  }
+  return Object.values(readLocalSubstitutions())
+    .filter(sub => !pid || String(sub.pid) === String(pid) || String(sub.substitutePid) === String(pid));
+}
+
+/**
+ * Creates or updates a substitute request (one per senator and meeting).
+ * @param {Object} substitution - Substitution record
+ * @param {Object} options - {audit: true} to record the change in the audit log (admins)
+ * @returns {Promise<Object>} The saved record
+ */
+async function saveSubstitution(substitution, options = {}) {
+  if (typeof saveSubstitutionAsync === 'function') {
+    const shared = await saveSubstitutionAsync(substitution, options);
+    if (shared) return shared;
+  }
+  const all = readLocalSubstitutions();
+  all[`${substitution.pid}_${substitution.meetingId}`] = substitution;
+  localStorage.setItem(GOV_STORAGE_KEYS.SUBSTITUTIONS, JSON.stringify(all));
+  return substitution;
+}
+
+/**
+ * Withdraws a substitute request.
+ * @param {string} pid - PID of the senator who asked
+ * @param {string} meetingId - Meeting id
+ * @returns {Promise<void>}
+ */
+async function deleteSubstitution(pid, meetingId) {
+  if (typeof deleteSubstitutionAsync === 'function' && await deleteSubstitutionAsync(pid, meetingId)) return;
+  const all = readLocalSubstitutions();
+  delete all[`${pid}_${meetingId}`];
+  localStorage.setItem(GOV_STORAGE_KEYS.SUBSTITUTIONS, JSON.stringify(all));
+}
+
+/**
+ * Builds a new substitute request for a meeting.
+ * @param {string} pid - Senator who can't attend
+ * @param {Object} meeting - Meeting object
+ * @param {string} substitutePid - Senator asked to go instead
+ * @returns {Object} Substitution record
+ */
+function newSubstitution(pid, meeting, substitutePid) {
+  const now = new Date().toISOString();
+  return {
+    pid: String(pid),
+    meetingId: String(meeting.id),
+    committee: String(meeting.committee || ''),
+    meetingDate: String(meeting.date || ''),
+    substitutePid: String(substitutePid),
+    status: 'requested',
+    requestedAt: now,
+    updatedAt: now,
+    updatedBy: String(pid)
+  };
+}
+
+/**
+ * Finds the accepted substitute for a senator's meeting, if any.
+ * @param {Array} substitutions - From getSubstitutions
+ * @param {string} pid - Assigned senator
+ * @param {string} meetingId - Meeting id
+ * @returns {Object|null} Accepted substitution
+ */
+function acceptedSubstitution(substitutions, pid, meetingId) {
+  return (substitutions || []).find(sub => sub.status === 'accepted' &&
+    String(sub.pid) === String(pid) && String(sub.meetingId) === String(meetingId)) || null;
+}
+
+/**
+ * Absence requests: a senator tells the cabinet (before or after a meeting)
+ * that they can't attend, with a reason. An admin approves or denies it;
+ * approved absences count as excused and need no report.
+ */
+const ABSENCE_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'denied', label: 'Denied' }
+];
+
+/**
+ * How a senator's attendance at a past meeting is reported.
+ */
+const ATTENDANCE_STATUSES = [
+  { value: 'attended', label: 'Attended' },
+  { value: 'excused', label: 'Excused' },
+  { value: 'absent', label: 'Absent' },
+  { value: 'missing', label: 'Missing' }
+];
+
+function readLocalAbsences() {
+  try {
+    return JSON.parse(localStorage.getItem(GOV_STORAGE_KEYS.ABSENCES) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Gets absence requests. Uses Firestore when configured, else localStorage.
+ * @param {string} pid - Only this senator's requests (omit for all)
+ * @returns {Promise<Array>} [{pid, meetingId, committee, meetingDate, reason, status, requestedAt, updatedAt, updatedBy}]
+ */
+async function getAbsences(pid) {
+  if (typeof getAbsencesAsync === 'function') {
+    const shared = await getAbsencesAsync(pid);
+    if (shared) return shared;
+  }
+  return Object.values(readLocalAbsences()).filter(absence => !pid || String(absence.pid) === String(pid));
+}
+
+/**
+ * Creates or updates an absence request (one per senator and meeting).
+ * @param {Object} absence - Absence record
+ * @param {Object} options - {audit: true} to record the change in the audit log (admins)
+ * @returns {Promise<Object>} The saved record
+ */
+async function saveAbsence(absence, options = {}) {
+  if (typeof saveAbsenceAsync === 'function') {
+    const shared = await saveAbsenceAsync(absence, options);
+    if (shared) return shared;
+  }
+  const all = readLocalAbsences();
+  all[`${absence.pid}_${absence.meetingId}`] = absence;
+  localStorage.setItem(GOV_STORAGE_KEYS.ABSENCES, JSON.stringify(all));
+  return absence;
+}
+
+/**
+ * Withdraws an absence request.
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @returns {Promise<void>}
+ */
+async function deleteAbsence(pid, meetingId) {
+  if (typeof deleteAbsenceAsync === 'function' && await deleteAbsenceAsync(pid, meetingId)) return;
+  const all = readLocalAbsences();
+  delete all[`${pid}_${meetingId}`];
+  localStorage.setItem(GOV_STORAGE_KEYS.ABSENCES, JSON.stringify(all));
+}
+
+/**
+ * Builds a new absence request for a meeting.
+ * @param {string} pid - Senator who can't attend
+ * @param {Object} meeting - Meeting object
+ * @param {string} reason - Why they can't attend
+ * @returns {Object} Absence record
+ */
+function newAbsence(pid, meeting, reason) {
+  const now = new Date().toISOString();
+  return {
+    pid: String(pid),
+    meetingId: String(meeting.id),
+    committee: String(meeting.committee || ''),
+    meetingDate: String(meeting.date || ''),
+    reason: String(reason || '').trim(),
+    status: 'pending',
+    requestedAt: now,
+    updatedAt: now,
+    updatedBy: String(pid)
+  };
+}
+
+/**
+ * Finds a senator's absence request for a meeting, if any.
+ * @param {Array} absences - From getAbsences
+ * @param {string} pid - Senator PID
+ * @param {string} meetingId - Meeting id
+ * @returns {Object|null}
+ */
+function absenceFor(absences, pid, meetingId) {
+  return (absences || []).find(absence =>
+    String(absence.pid) === String(pid) && String(absence.meetingId) === String(meetingId)) || null;
+}
+
+/**
+ * Attendance at a past meeting: attended (report says so), excused (approved
+ * absence), absent (report says not attended, or an absence that wasn't
+ * approved) or missing (nothing on file).
+ * @param {Object} submission - The senator's submission (missing rows have isMissing)
+ * @param {Object} absence - The senator's absence request (optional)
+ * @returns {string} One of ATTENDANCE_STATUSES
+ */
+function attendanceStatus(submission, absence) {
+  const submitted = submission && !submission.isMissing;
+  if (submitted && submission.attendanceConfirmed) return 'attended';
+  if (absence && absence.status === 'approved') return 'excused';
+  if (submitted || absence) return 'absent';
+  return 'missing';
+}
+
+/**
+ * Badge for an attendance status.
+ * @param {string} status - From attendanceStatus
+ * @returns {string} HTML string
+ */
+function attendanceBadgeHTML(status) {
+  const label = (ATTENDANCE_STATUSES.find(a => a.value === status) || {}).label || status;
+  return `<span class="attendance-badge attendance-${calendarEscapeHtml(status)}">${calendarEscapeHtml(label)}</span>`;
+}
+
+/**
+ * Badge for an absence request's status.
+ * @param {Object} absence - Absence record
+ * @returns {string} HTML string
+ */
+function absenceBadgeHTML(absence) {
+  const label = (ABSENCE_STATUSES.find(a => a.value === absence.status) || {}).label || absence.status;
+  return `<span class="absence-badge absence-${calendarEscapeHtml(absence.status)}">${calendarEscapeHtml(label)}</span>`;
+}
+
 /**
  * Generates a unique ID for new meetings.
  * @param {Array} meetings - Existing meetings
@@ -121,6 +1074,116 @@ function generateMeetingId(meetings) {
   return `m${max + 1}`;
 }
 
+const SERIES_MAX_MEETINGS = 200;
+
+/**
+ * Recurrence patterns for meeting series. `monthly` means chosen weekdays of
+ * the month, e.g. the first and third Thursday.
+ */
+const SERIES_FREQUENCIES = [
+  { value: 'weekly', label: 'Every week' },
+  { value: 'biweekly', label: 'Every other week' },
+  { value: 'monthly', label: 'Monthly (nth weekday)' }
+];
+
+function addDaysToDateKey(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOfDateKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * The nth weekday of a month, e.g. the 3rd Thursday.
+ * @param {number} year - Full year
+ * @param {number} month - 0-11
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} n - 1-5, or -1 for the last one
+ * @returns {string|null} YYYY-MM-DD, or null when the month has no such day
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let day;
+  if (n === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month, daysInMonth)).getUTCDay();
+    day = daysInMonth - ((lastWeekday - weekday + 7) % 7);
+  } else {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+    if (day > daysInMonth) return null;
+  }
+  return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the dates of a recurring meeting series.
+ * @param {Object} pattern - {frequency, weekday (0 = Sunday), weeks (monthly: [1-5 or -1]),
+ *   start, end (YYYY-MM-DD, inclusive), skipDates: [YYYY-MM-DD]}
+ * @returns {Array<string>} Dates in order, at most SERIES_MAX_MEETINGS
+ */
+function generateSeriesDates(pattern) {
+  const { frequency, start, end } = pattern;
+  const weekday = Number(pattern.weekday);
+  if (!parseCalendarDate(start) || !parseCalendarDate(end) || start > end) return [];
+  const skip = new Set(pattern.skipDates || []);
+  const dates = [];
+
+  if (frequency === 'monthly') {
+    const weeks = [...new Set((pattern.weeks || []).map(Number))];
+    let [year, month] = start.split('-').map(Number);
+    month -= 1;
+    while (`${year}-${String(month + 1).padStart(2, '0')}` <= end.slice(0, 7)) {
+      weeks.map(n => nthWeekdayOfMonth(year, month, weekday, n))
+        .filter(date => date && date >= start && date <= end)
+        .sort()
+        .forEach(date => { if (!dates.includes(date)) dates.push(date); });
+      month += 1;
+      if (month > 11) {
+        month = 0;
+        year += 1;
+      }
+    }
+  } else {
+    const step = frequency === 'biweekly' ? 14 : 7;
+    let date = addDaysToDateKey(start, (weekday - weekdayOfDateKey(start) + 7) % 7);
+    while (date <= end && dates.length < SERIES_MAX_MEETINGS + skip.size) {
+      dates.push(date);
+      date = addDaysToDateKey(date, step);
+    }
+  }
+  return dates.filter(date => !skip.has(date)).slice(0, SERIES_MAX_MEETINGS);
+}
+
+/**
+ * Creates the meetings of a series, with ids from generateMeetingId.
+ * @param {Array} meetings - Existing meetings (not modified)
+ * @param {Array<string>} dates - From generateSeriesDates
+ * @param {Object} details - {committee, name, time, location}
+ * @returns {Array} New meetings, sharing a seriesId
+ */
+function buildSeriesMeetings(meetings, dates, details) {
+  const all = [...meetings];
+  const created = [];
+  dates.forEach(date => {
+    const meeting = {
+      id: generateMeetingId(all),
+      committee: details.committee,
+      name: details.name || `${details.committee} Meeting`,
+      date,
+      time: details.time || '',
+      location: details.location || ''
+    };
+    all.push(meeting);
+    created.push(meeting);
+  });
+  const seriesId = created.length ? `series-${created[0].id}` : '';
+  created.forEach(m => { m.seriesId = seriesId; });
+  return created;
+}
+
 /**
  * Renders a month-view calendar with meetings grouped by day.
  * Meetings are color-coded by committee.
@@ -192,18 +1255,19 @@ function renderMeetingsCalendar(containerId, meetings, options = {}) {
       const dayMeetings = meetingsByDay[dayKey] || [];
       const meetingChips = dayMeetings.map(meeting => {
         const color = committeeColorMap[meeting.committee] || '#6c757d';
+        const status = meetingStatus(meeting);
         const committeeLabel = meeting.committee || 'Meeting';
         const timeLabel = meeting.time ? meeting.time : 'Time TBD';
-        const acronym = getCommitteeAcronym(committeeLabel);
-        const url = acronym ? `https://governance.vt.edu/BodyDetails/${acronym}` : '';
-        
+        const url = getCommitteeUrl(committeeLabel);
+
         return `
-          <div class="calendar-event" 
+          <div class="calendar-event calendar-event-${status}" 
                style="border-left-color: ${color}; cursor: ${url ? 'pointer' : 'default'};" 
-               data-redirect-url="${url}"
+               data-redirect-url="${calendarEscapeHtml(url)}"
                title="${url ? `View ${calendarEscapeHtml(committeeLabel)} details on governance.vt.edu` : ''}">
             <span class="calendar-event-name">${calendarEscapeHtml(committeeLabel)}</span>
             <span class="calendar-event-time">${calendarEscapeHtml(timeLabel)}</span>
+            ${meetingStatusBadgeHTML(meeting, safeMeetings)}
           </div>
         `;
       }).join('');
@@ -271,15 +1335,24 @@ function renderMeetingsCalendar(containerId, meetings, options = {}) {
   renderMonth();
 }
 
-function buildCommitteeColorMap(meetings) {
-  const palette = [
-    '#861f41', '#e87722', '#2a9d8f', '#457b9d', '#7b2cbf', '#ef476f',
-    '#118ab2', '#6a994e', '#bc6c25', '#3a86ff', '#ff6b6b', '#2b9348'
-  ];
-  const committees = [...new Set(meetings.map(m => m.committee).filter(Boolean))].sort();
+/**
+ * Calendar color per committee name: the committee's own color, else one
+ * picked from the committee name (so it doesn't change as committees are added).
+ * @param {Array} meetings - Meetings on the calendar
+ * @param {Array} committees - Committee objects (default: the committee directory)
+ * @returns {Object} Color keyed by committee name
+ */
+function buildCommitteeColorMap(meetings, committees = committeeDirectory) {
   const colorMap = {};
-  committees.forEach((committee, i) => {
-    colorMap[committee] = palette[i % palette.length];
+  [...new Set(meetings.map(m => m.committee).filter(Boolean))].forEach(name => {
+    const committee = findCommittee(name, committees);
+    if (committee && committee.color) {
+      colorMap[name] = committee.color;
+      return;
+    }
+    let hash = 0;
+    for (const ch of normalizeCommitteeName(name)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    colorMap[name] = COMMITTEE_FALLBACK_COLORS[hash % COMMITTEE_FALLBACK_COLORS.length];
   });
   return colorMap;
 }
@@ -312,52 +1385,89 @@ function calendarEscapeHtml(text) {
     .replace(/"/g, '&quot;');
 }
 
+/**
+ * Normalizes a committee name for comparison: trim, lowercase, collapse
+ * spaces, and treat "commission/committee of" like "on".
+ * @param {string} committeeName - Name as typed
+ * @returns {string}
+ */
+function normalizeCommitteeName(committeeName) {
+  return String(committeeName || '').trim().toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\b(commission|committee) of\b/g, '$1 on');
+}
+
+/**
+ * Finds a committee by its name (ignoring case, spacing and "of"/"on"),
+ * acronym or id.
+ * @param {string} committeeName - Name, acronym or id
+ * @param {Array} committees - Committee objects (default: the committee directory)
+ * @returns {Object|null}
+ */
+function findCommittee(committeeName, committees = committeeDirectory) {
+  const normalized = normalizeCommitteeName(committeeName);
+  if (!normalized) return null;
+  return committees.find(c => normalizeCommitteeName(c.name) === normalized) ||
+    committees.find(c => (c.acronym && c.acronym.toLowerCase() === normalized) || c.id === normalized) ||
+    null;
+}
+
+/**
+ * Matches a committee name (or acronym) as typed in a spreadsheet to one of
+ * the allowed committee names.
+ * @param {string} committeeName - Name or acronym as typed
+ * @param {Array<string>} allowedCommittees - Committee names to choose from
+ * @returns {string|null} The allowed name, or null if none matches
+ */
+function resolveCommitteeName(committeeName, allowedCommittees) {
+  const normalized = normalizeCommitteeName(committeeName);
+  if (!normalized) return null;
+  const exact = allowedCommittees.find(c => normalizeCommitteeName(c) === normalized);
+  if (exact) return exact;
+  const committee = findCommittee(committeeName);
+  return (committee && allowedCommittees.find(c => normalizeCommitteeName(c) === normalizeCommitteeName(committee.name))) || null;
+}
+
 /**
  * Maps a committee name to its governance.vt.edu acronym.
  * @param {string} committeeName - The full name of the committee
- * @returns {string|null} The acronym or null if no mapping exists
- */
-function getCommitteeAcronym(committeeName) {
-  if (!committeeName) return null;
-  
-  // Normalize: trim, lowercase, handle "on" vs "of", and remove multiple spaces
-  const name = committeeName.trim();
-  const normalized = name.toLowerCase()
-    .replace(/\s+/g, ' ')
-    .replace(' commission of ', ' commission on ')
-    .replace(' committee of ', ' committee on ');
-
-  const map = {
-    'athletics committee': 'AC',
-    'campus development committee': 'CDC',
-    'university curriculum committee for general education': 'UCCGE',
-    'climate action, sustainability, and energy committee': 'CASE',
-    'intellectual property committee': 'IPC',
-    'budgeting and planning committee': 'BPC',
-    'transportation and parking committee': 'TPC',
-    'commission on administrative and professional faculty affairs': 'CAPFA',
-    'commission on faculty affairs': 'CFA',
-    'commission on undergraduate studies and policies': 'CUSP',
-    'commission on research': 'COR',
-    'commission on outreach and international affairs': 'COIA',
-    'commission on graduate and professional student affairs': 'CGPSA',
-    'library committee': 'LC',
-    'commission on staff policies and affairs': 'CSPA',
-    'commission on graduate and professional studies and policies': 'CGPSP',
-    'commission on undergraduate student affairs': 'CUSA'
-  };
-  
-  if (map[normalized]) return map[normalized];
-
-  // Secondary match: Try matching just the keywords if the full name has extra words
-  const keys = Object.keys(map);
-  for (const key of keys) {
-    if (normalized.includes(key) || key.includes(normalized)) {
-      return map[key];
-    }
+ * @param {Array} committees - Committee objects (default: the committee directory)
+ * @returns {string|null} The acronym or null if the committee is unknown
+ */
+function getCommitteeAcronym(committeeName, committees = committeeDirectory) {
+  const committee = findCommittee(committeeName, committees);
+  return (committee && committee.acronym) || null;
+}
+
+// Same pattern as isValidCommittee in firestore.rules: https only, and no
+// quotes, spaces or angle brackets that could break out of an HTML attribute
+const COMMITTEE_URL_PATTERN = /^https:\/\/[A-Za-z0-9.-]+([:/?#][A-Za-z0-9._~:/?#@!$&()*+,;=%-]*)?$/;
+
+/**
+ * Whether a committee page url is safe to link to.
+ * @param {string} url - Committee url
+ * @returns {boolean}
+ */
+function isValidCommitteeUrl(url) {
+  if (!COMMITTEE_URL_PATTERN.test(String(url || ''))) return false;
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch (e) {
+    return false;
   }
+}
 
-  return null;
+/**
+ * Link to a committee's page: its url, else its governance.vt.edu BodyDetails page.
+ * @param {string} committeeName - The full name of the committee
+ * @param {Array} committees - Committee objects (default: the committee directory)
+ * @returns {string} URL, or '' if the committee is unknown
+ */
+function getCommitteeUrl(committeeName, committees = committeeDirectory) {
+  const committee = findCommittee(committeeName, committees);
+  if (!committee) return '';
+  if (isValidCommitteeUrl(committee.url)) return committee.url;
+  return committee.acronym ? `https://governance.vt.edu/BodyDetails/${encodeURIComponent(committee.acronym)}` : '';
 }
 
 /**
@@ -382,6 +1492,19 @@ function initRevealOnScroll() {
 }
 
 // Initialize on DOMContentLoaded
-document.addEventListener('DOMContentLoaded', () => {
-  initRevealOnScroll();
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    initRevealOnScroll();
+  });
+}
+
+// Node scripts (scripts/) reuse the pure helpers
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getCommitteeAcronym, getCommitteeUrl, isValidCommitteeUrl, findCommittee, normalizeCommittee, setCommitteeDirectory, activeCommitteeNames,
+    generateMeetingId, parseCalendarDate, toCalendarKey, meetingStatus, meetingExpectsReport,
+    generateSeriesDates, buildSeriesMeetings, attendanceStatus, normalizeCommitteeName, resolveCommitteeName,
+    REPORT_SECTIONS, MEETING_STATUSES, ATTENDANCE_STATUSES, absenceFor, acceptedSubstitution,
+    getCurrentTerm, assignmentsForTerm, meetingsInTerm, committeeSeatSummary, underassignedSenators, vacancyListText
+  };
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Writes the semester report (same as report.html) as an HTML or Markdown
+ * file.
+ *
+ * Data comes from Firestore (meetings, assignments, terms, submissions,
+ * absences, substitutions) with --firestore, or from a submissions JSON export
+ * (admin dashboard → Export JSON) plus data/meetings.json,
+ * data/assignments.json and data/terms.json, which only match Firestore until
+ * an admin edits them on the site; pass current exports with --meetings,
+ * --assignments and --terms. Substitutions and absences are only kept in
+ * Firestore, so file runs need their JSON from --absences and --substitutions;
+ * without them nobody counts as excused.
+ *
+ * Prerequisites:
+ *   Firestore: GOOGLE_APPLICATION_CREDENTIALS set to service account JSON path.
+ *
+ * Usage:
+ *   node scripts/generate-report.js --firestore
+ *   node scripts/generate-report.js --submissions ./governance-submissions.json
+ *   node scripts/generate-report.js --submissions ./governance-submissions.json --format md --out report.md
+ *   node scripts/generate-report.js --submissions ./governance-submissions.json --term 2026-spring
+ *
+ * Options:
+ *   --firestore           Read everything from Firestore instead of files
+ *   --term ID             Term to report on (default: the current term; "all" for every meeting)
+ *   --format html|md      Output format (default html)
+ *   --out FILE            Output file (default governance-report-<term>.<format>)
+ *   --today YYYY-MM-DD    Only meetings up to this date (default today in Blacksburg)
+ *   --submissions FILE    Submissions JSON (required without --firestore)
+ *   --meetings FILE       Meetings JSON (default data/meetings.json)
+ *   --assignments FILE    Assignments JSON (default data/assignments.json)
+ *   --terms FILE          Terms JSON (default data/terms.json)
+ *   --absences FILE       Absence requests JSON (optional)
+ *   --substitutions FILE  Substitutions JSON (optional)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCurrentTerm, assignmentsForTerm } = require('../js/utils.js');
+const { buildSemesterReport, semesterReportDocument, semesterReportMarkdown } = require('../js/semester-report.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const TIME_ZONE = 'America/New_York';
+
+function parseArgs(argv) {
+  const args = {
+    firestore: false,
+    submissions: null,
+    absences: null,
+    substitutions: null,
+    meetings: path.join(DATA_DIR, 'meetings.json'),
+    assignments: path.join(DATA_DIR, 'assignments.json'),
+    terms: path.join(DATA_DIR, 'terms.json'),
+    term: null,
+    format: 'html',
+    out: null,
+    today: null
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--firestore') args.firestore = true;
+    else if (arg === '--submissions') args.submissions = path.resolve(next());
+    else if (arg === '--absences') args.absences = path.resolve(next());
+    else if (arg === '--substitutions') args.substitutions = path.resolve(next());
+    else if (arg === '--meetings') args.meetings = path.resolve(next());
+    else if (arg === '--assignments') args.assignments = path.resolve(next());
+    else if (arg === '--terms') args.terms = path.resolve(next());
+    else if (arg === '--term') args.term = next();
+    else if (arg === '--format') args.format = next();
+    else if (arg === '--out') args.out = path.resolve(next());
+    else if (arg === '--today') args.today = next();
+    else {
+      console.error('Unknown option:', arg);
+      process.exit(1);
+    }
+  }
+  if (!args.submissions && !args.firestore) {
+    console.error('Pass the exported submissions with --submissions <file.json>, or read Firestore with --firestore');
+    process.exit(1);
+  }
+  if (!['html', 'md'].includes(args.format)) {
+    console.error('--format must be html or md');
+    process.exit(1);
+  }
+  if (args.today && !/^\d{4}-\d{2}-\d{2}$/.test(args.today)) {
+    console.error('--today must be YYYY-MM-DD');
+    process.exit(1);
+  }
+  return args;
+}
+
+// Meeting dates are Blacksburg dates, so "today" is too
+function easternToday() {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date())
+    .forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function initFirestore() {
+  let admin;
+  try {
+    admin = require('firebase-admin');
+  } catch (e) {
+    console.error('Install firebase-admin: npm install firebase-admin');
+    process.exit(1);
+  }
+  if (!admin.apps || admin.apps.length === 0) {
+    const credPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    if (!credPath || !fs.existsSync(credPath)) {
+      console.error('Set GOOGLE_APPLICATION_CREDENTIALS to your service account JSON path, or pass exports with --submissions.');
+      process.exit(1);
+    }
+    admin.initializeApp({ credential: admin.credential.cert(require(path.resolve(credPath))) });
+  }
+  return admin.firestore();
+}
+
+async function loadData(args) {
+  if (!args.firestore) {
+    return {
+      submissions: readJson(args.submissions),
+      meetings: readJson(args.meetings),
+      assignments: readJson(args.assignments),
+      terms: fs.existsSync(args.terms) ? readJson(args.terms) : [],
+      absences: args.absences ? readJson(args.absences) : [],
+      substitutions: args.substitutions ? readJson(args.substitutions) : []
+    };
+  }
+  const db = initFirestore();
+  const [submissions, meetings, assignments, terms, absences, substitutions] = await Promise.all(
+    ['submissions', 'meetings', 'assignments', 'terms', 'absences', 'substitutions'].map(async name => {
+      const snap = await db.collection(name).get();
+      return snap.docs.map(d => d.data());
+    })
+  );
+  // Reports filed before they became editable may have older duplicates; the
+  // admin export keeps only the latest per senator and meeting, and so do we
+  const latest = new Map();
+  submissions.forEach(s => {
+    const key = `${s.pid}|${s.meetingId}`;
+    if (!latest.has(key) || (s.timestamp || '') > (latest.get(key).timestamp || '')) latest.set(key, s);
+  });
+  return { submissions: [...latest.values()], meetings, assignments, terms, absences, substitutions };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const data = await loadData(args);
+  const terms = data.terms;
+
+  let term = null;
+  if (args.term && args.term !== 'all') {
+    term = terms.find(t => t.id === args.term);
+    if (!term) {
+      console.error(`Unknown term "${args.term}". Terms: ${terms.map(t => t.id).join(', ') || 'none'}`);
+      process.exit(1);
+    }
+  } else if (!args.term) {
+    term = getCurrentTerm(terms);
+  }
+
+  const report = buildSemesterReport({
+    ...data,
+    assignments: assignmentsForTerm(data.assignments, term, terms)
+  }, { term, today: args.today || easternToday() });
+
+  const output = args.format === 'md'
+    ? semesterReportMarkdown(report)
+    : semesterReportDocument(report, fs.readFileSync(path.join(ROOT_DIR, 'css', 'report.css'), 'utf8'));
+  const out = args.out || path.join(process.cwd(), `governance-report-${term ? term.id : 'all'}.${args.format}`);
+  fs.writeFileSync(out, output);
+  console.log(`Wrote ${report.committees.length} committee(s), ${report.totals.meetings} meeting(s) to ${out}`);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+/**
+ * Syncs meetings from a saved copy of the governance.vt.edu Upcoming Events
+ * calendar (https://governance.vt.edu/UpcomingEvents).
+ *
+ * Accepts either the page saved as HTML (File → Save Page As) or an iCal (.ics)
+ * export. Only active bodies listed in data/committees.json are kept; titles
+ * are matched by full committee name or acronym. Events are
+ * matched to existing meetings by committee and date so their ids stay the same.
+ *
+ * Prints a diff of added, changed and cancelled meetings. Cancelled meetings
+ * are kept with status "cancelled" (submissions may point at them). Meetings
+ * inside the imported date range that the file doesn't list are only
+ * reported, since a partial or filtered export leaves real meetings out; pass
+ * --cancel-missing to cancel them too. Nothing is written unless --write is
+ * passed.
+ *
+ * Usage:
+ *   node scripts/import-governance-events.js <file.html|file.ics>             # dry run against data/meetings.json
+ *   node scripts/import-governance-events.js <file> --write                   # update data/meetings.json
+ *   node scripts/import-governance-events.js <file> --write --cancel-missing  # also cancel meetings the file doesn't list
+ *   node scripts/import-governance-events.js <file> --firestore [--write]     # diff/update the Firestore meetings collection
+ *
+ * --firestore requires GOOGLE_APPLICATION_CREDENTIALS (see scripts/migrate-users-to-firebase.js).
+ * Firestore writes are logged to auditLog with actor "import-governance-events".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateMeetingId, meetingStatus, normalizeCommitteeName, setCommitteeDirectory } = require('../js/utils.js');
+const { parseMeetingTimeRange } = require('../js/ical.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const AUDIT_ACTOR = 'import-governance-events';
+// Each meeting takes two writes (the doc and its audit entry); a batch holds at most 500
+const CHANGES_PER_BATCH = 200;
+const TIME_ZONE = 'America/New_York';
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&ndash;/g, '–')
+    .replace(/&mdash;/g, '—')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)));
+}
+
+/**
+ * Formats 24-hour {hour, minute} as "3:30 PM" (the style used in meetings.json).
+ */
+function formatClock(t) {
+  const meridiem = t.hour >= 12 ? 'PM' : 'AM';
+  const hour = t.hour % 12 === 0 ? 12 : t.hour % 12;
+  return `${hour}:${pad(t.minute)} ${meridiem}`;
+}
+
+/**
+ * Normalizes free-text times to "10:30 AM - 12:00 PM".
+ */
+function normalizeTime(text) {
+  const range = parseMeetingTimeRange(text);
+  if (!range) return '';
+  return range.end ? `${formatClock(range.start)} - ${formatClock(range.end)}` : formatClock(range.start);
+}
+
+/**
+ * Converts a JS Date to {date: 'YYYY-MM-DD', hour, minute} in Eastern Time.
+ */
+function toEastern(date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+/**
+ * Parses a human date such as "Thursday, March 5, 2026", "Mar 5, 2026",
+ * "3/5/2026" or "2026-03-05" into YYYY-MM-DD.
+ */
+function parseHumanDate(text) {
+  const t = String(text || '');
+  let m = /(\d{4})-(\d{2})-(\d{2})/.exec(t);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/.exec(t);
+  if (m) return `${m[3]}-${pad(m[1])}-${pad(m[2])}`;
+  m = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i.exec(t);
+  if (m) {
+    const month = MONTHS.findIndex(name => name.startsWith(m[1].toLowerCase().slice(0, 3))) + 1;
+    return `${m[3]}-${pad(month)}-${pad(m[2])}`;
+  }
+  return null;
+}
+
+const TIME_RANGE_RE = /(\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?)?|noon)\s*(?:-|–|—|to)\s*(\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?)|noon)/i;
+const SINGLE_TIME_RE = /\b(\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?|\d{1,2}\s*[ap]\.?m\.?)/i;
+
+function findTime(text) {
+  const range = TIME_RANGE_RE.exec(text);
+  if (range) return normalizeTime(`${range[1]} - ${range[2]}`);
+  const single = SINGLE_TIME_RE.exec(text);
+  return single ? normalizeTime(single[1]) : '';
+}
+
+// ---------------------------------------------------------------------------
+// iCal
+// ---------------------------------------------------------------------------
+
+function unfoldIcs(text) {
+  return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeIcsText(text) {
+  return String(text || '').replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parses DTSTART/DTEND values. UTC (Z) values are converted to Eastern;
+ * TZID and floating values are taken as Eastern already.
+ * @returns {{date: string, hour: number|null, minute: number|null}|null}
+ */
+function parseIcsDateTime(params, value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  if (!m[4] || /VALUE=DATE(?!-)/i.test(params)) return { date: `${m[1]}-${m[2]}-${m[3]}`, hour: null, minute: null };
+  if (m[7]) {
+    return toEastern(new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5])));
+  }
+  return { date: `${m[1]}-${m[2]}-${m[3]}`, hour: +m[4], minute: +m[5] };
+}
+
+function parseIcs(text) {
+  const events = [];
+  let current = null;
+  unfoldIcs(text).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+    const colon = line.indexOf(':');
+    if (colon < 0) return;
+    const head = line.slice(0, colon);
+    const value = line.slice(colon + 1);
+    const [prop, ...paramParts] = head.split(';');
+    current[prop.toUpperCase()] = { params: paramParts.join(';'), value };
+  });
+
+  return events.map(e => {
+    const start = e.DTSTART && parseIcsDateTime(e.DTSTART.params, e.DTSTART.value);
+    if (!start) return null;
+    const end = e.DTEND && parseIcsDateTime(e.DTEND.params, e.DTEND.value);
+    let time = '';
+    if (start.hour !== null) {
+      time = formatClock(start);
+      if (end && end.hour !== null) time += ` - ${formatClock(end)}`;
+    }
+    return {
+      title: unescapeIcsText(e.SUMMARY && e.SUMMARY.value),
+      date: start.date,
+      time,
+      location: unescapeIcsText(e.LOCATION && e.LOCATION.value),
+      cancelled: !!(e.STATUS && /CANCELLED/i.test(e.STATUS.value))
+    };
+  }).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads schema.org Event entries from JSON-LD blocks, if the page has any.
+ */
+function parseJsonLdEvents(html) {
+  const events = [];
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    let data;
+    try {
+      data = JSON.parse(m[1]);
+    } catch (e) {
+      continue;
+    }
+    const items = [].concat(data, data && data['@graph'] ? data['@graph'] : []);
+    items.forEach(item => {
+      if (!item || !/Event$/.test(String(item['@type'] || '')) || !item.startDate) return;
+      const start = new Date(item.startDate);
+      const end = item.endDate ? new Date(item.endDate) : null;
+      const hasTime = /T\d{2}:\d{2}/.test(item.startDate);
+      const startEt = hasTime ? toEastern(start) : { date: String(item.startDate).slice(0, 10) };
+      let time = '';
+      if (hasTime) {
+        time = formatClock(startEt);
+        if (end && !isNaN(end.getTime())) time += ` - ${formatClock(toEastern(end))}`;
+      }
+      const location = item.location && (typeof item.location === 'string' ? item.location : item.location.name);
+      events.push({
+        title: decodeEntities(item.name),
+        date: startEt.date,
+        time,
+        location: decodeEntities(location || ''),
+        cancelled: /Cancelled/i.test(String(item.eventStatus || ''))
+      });
+    });
+  }
+  return events;
+}
+
+/**
+ * Flattens HTML to trimmed text lines (one per block element).
+ */
+function htmlToLines(html) {
+  return decodeEntities(String(html)
+    .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(div|p|li|ul|ol|tr|td|th|h[1-6]|section|article|header|footer|table|tbody|dd|dt|dl)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Heuristic parser for the listing markup: each event is a title line naming
+ * a committee followed (within a few lines) by its date, time and location.
+ */
+function parseHtmlListing(html, resolveCommittee) {
+  const lines = htmlToLines(html);
+  const events = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    if (!resolveCommittee(lines[i]) || parseHumanDate(lines[i])) continue;
+    const event = { title: lines[i], date: null, time: '', location: '', cancelled: /cancel+ed/i.test(lines[i]) };
+    for (let j = i + 1; j < Math.min(lines.length, i + 6); j += 1) {
+      const line = lines[j];
+      if (resolveCommittee(line) && !parseHumanDate(line)) break;
+      if (!event.date) event.date = parseHumanDate(line);
+      if (!event.time) event.time = findTime(line);
+      const loc = /^(?:location|where|place)\s*:\s*(.+)$/i.exec(line);
+      if (loc) event.location = loc[1];
+      if (/cancel+ed/i.test(line)) event.cancelled = true;
+    }
+    if (event.date) events.push(event);
+  }
+  return events;
+}
+
+// ---------------------------------------------------------------------------
+// Matching & diff
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a resolver from event titles to committee names. Titles are matched
+ * by the full name they contain (the longest one, so a body whose name
+ * contains another's isn't mistaken for it) or by a bare acronym token.
+ * @param {Array} committees - Active committee objects
+ */
+function buildCommitteeResolver(committees) {
+  const byAcronym = {};
+  committees.forEach(c => {
+    if (c.acronym) byAcronym[c.acronym] = c.name;
+  });
+  const longestFirst = committees
+    .map(c => ({ name: c.name, normalized: normalizeCommitteeName(c.name) }))
+    .sort((a, b) => b.normalized.length - a.normalized.length);
+  return function resolve(title) {
+    const text = String(title || '').replace(/\bmeeting\b/gi, '').replace(/\bcancel+ed\b/gi, '').replace(/[-–—:|]+\s*$/, '').trim();
+    if (!text) return null;
+    const normalized = normalizeCommitteeName(text.replace(/\s*&\s*/g, ' and '));
+    const named = longestFirst.find(c => normalized.includes(c.normalized));
+    if (named) return named.name;
+    const tokens = text.toUpperCase().replace(/&/g, '').split(/[^A-Z]+/);
+    const token = tokens.find(t => byAcronym[t]);
+    return token ? byAcronym[token] : null;
+  };
+}
+
+/**
+ * Parses a saved page (JSON-LD events, else the listing markup) or an .ics
+ * export, and keeps the events whose title names an allowed committee.
+ * @param {string} text - File contents
+ * @param {Function} resolveCommittee - From buildCommitteeResolver
+ * @returns {{raw: Array, imported: Array}} All parsed events, and those to import (with committee and normalized time)
+ */
+function parseEventsFile(text, resolveCommittee) {
+  let raw;
+  if (/BEGIN:VCALENDAR/.test(text)) {
+    raw = parseIcs(text);
+  } else {
+    raw = parseJsonLdEvents(text);
+    if (!raw.length) raw = parseHtmlListing(text, resolveCommittee);
+  }
+  const imported = [];
+  raw.forEach(e => {
+    const committee = resolveCommittee(e.title);
+    if (committee && e.date) imported.push({ ...e, committee, time: e.time ? normalizeTime(e.time) || e.time : '' });
+  });
+  return { raw, imported };
+}
+
+function meetingKey(committee, date) {
+  return `${committee}|${date}`;
+}
+
+/**
+ * Diffs imported events against existing meetings.
+ * Existing meetings are "cancelled" when the source marks them cancelled.
+ * Those inside the imported date window (and not in the past) that no longer
+ * appear are "missing": cancelled only with options.cancelMissing, otherwise
+ * just reported. Meetings already cancelled or rescheduled are left alone.
+ * @param {Object} options - {cancelMissing: boolean}
+ * @returns {{added: Array, changed: Array, cancelled: Array, missing: Array, unchanged: Array, next: Array}}
+ */
+function diffMeetings(existing, imported, today, options = {}) {
+  const byKey = new Map();
+  existing.filter(m => meetingStatus(m) !== 'cancelled' && meetingStatus(m) !== 'rescheduled').forEach(m => {
+    const key = meetingKey(m.committee, m.date);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(m);
+  });
+
+  const dates = imported.map(e => e.date).sort();
+  const windowStart = dates[0] > today ? dates[0] : today;
+  const windowEnd = dates[dates.length - 1];
+
+  const added = [];
+  const changed = [];
+  const cancelled = [];
+  const missing = [];
+  const unchanged = [];
+  const matchedIds = new Set();
+  const next = existing.map(m => ({ ...m }));
+
+  imported.forEach(event => {
+    const candidates = (byKey.get(meetingKey(event.committee, event.date)) || []).filter(m => !matchedIds.has(m.id));
+    const match = candidates.find(m => normalizeTime(m.time) === event.time) || candidates[0];
+    if (event.cancelled) {
+      if (match) {
+        matchedIds.add(match.id);
+        cancelled.push(match);
+      }
+      return;
+    }
+    if (match) {
+      matchedIds.add(match.id);
+      const updates = {};
+      if (event.time && normalizeTime(match.time) !== event.time) updates.time = event.time;
+      if (event.location && event.location !== match.location) updates.location = event.location;
+      if (Object.keys(updates).length) {
+        changed.push({ id: match.id, before: match, after: { ...match, ...updates } });
+        Object.assign(next.find(m => m.id === match.id), updates);
+      } else {
+        unchanged.push(match);
+      }
+      return;
+    }
+    const meeting = {
+      id: generateMeetingId(next),
+      committee: event.committee,
+      name: event.title || `${event.committee} Meeting`,
+      date: event.date,
+      time: event.time,
+      location: event.location
+    };
+    next.push(meeting);
+    added.push(meeting);
+  });
+
+  if (windowEnd) {
+    existing.forEach(m => {
+      if (matchedIds.has(m.id) || meetingStatus(m) === 'cancelled' || meetingStatus(m) === 'rescheduled') return;
+      if (m.date >= windowStart && m.date <= windowEnd) missing.push(m);
+    });
+  }
+  if (options.cancelMissing) cancelled.push(...missing);
+
+  const cancelledIds = new Set(cancelled.map(m => m.id));
+  return {
+    added,
+    changed,
+    cancelled,
+    missing,
+    unchanged,
+    next: next.map(m => (cancelledIds.has(m.id) ? { ...m, status: 'cancelled' } : m))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+  };
+}
+
+function describe(m) {
+  return `${m.id}  ${m.date}  ${m.time || 'Time TBD'}  ${m.committee}${m.location ? `  @ ${m.location}` : ''}`;
+}
+
+function printDiff(diff) {
+  console.log(`\nAdded (${diff.added.length}):`);
+  diff.added.forEach(m => console.log('  + ' + describe(m)));
+  console.log(`\nChanged (${diff.changed.length}):`);
+  diff.changed.forEach(c => {
+    console.log('  ~ ' + describe(c.after));
+    Object.keys(c.after).forEach(field => {
+      if (c.before[field] !== c.after[field]) {
+        console.log(`      ${field}: "${c.before[field] || ''}" → "${c.after[field] || ''}"`);
+      }
+    });
+  });
+  console.log(`\nCancelled (${diff.cancelled.length}):`);
+  diff.cancelled.forEach(m => console.log('  - ' + describe(m)));
+  const keptMissing = diff.missing.filter(m => !diff.cancelled.includes(m));
+  if (keptMissing.length) {
+    console.log(`\nNot in the file, left as is (${keptMissing.length}); check them, or re-run with --cancel-missing to cancel them:`);
+    keptMissing.forEach(m => console.log('  ? ' + describe(m)));
+  }
+  console.log(`\nUnchanged: ${diff.unchanged.length}`);
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+function initFirestore() {
+  let admin;
+  try {
+    admin = require('firebase-admin');
+  } catch (e) {
+    console.error('Install firebase-admin: npm install firebase-admin');
+    process.exit(1);
+  }
+  if (!admin.apps || admin.apps.length === 0) {
+    const credPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    if (!credPath || !fs.existsSync(credPath)) {
+      console.error('Set GOOGLE_APPLICATION_CREDENTIALS to your service account JSON path.');
+      process.exit(1);
+    }
+    admin.initializeApp({ credential: admin.credential.cert(require(path.resolve(credPath))) });
+  }
+  return admin.firestore();
+}
+
+async function loadExisting(useFirestore) {
+  if (useFirestore) {
+    const db = initFirestore();
+    const snap = await db.collection('meetings').get();
+    // auditId only ties a doc to its audit entry; it isn't meeting data
+    return snap.docs.map(d => {
+      const { auditId, ...meeting } = d.data();
+      return meeting;
+    });
+  }
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'meetings.json'), 'utf8'));
+}
+
+/**
+ * The meeting docs a diff writes, as audit changes (same shape as
+ * js/firebase-audit.js): added meetings are creates, changed and cancelled
+ * ones updates.
+ * @returns {Array} [{entity, entityId, action, before, after}]
+ */
+function meetingChanges(diff) {
+  return [
+    ...diff.added.map(m => ({ entity: 'meeting', entityId: m.id, action: 'create', before: null, after: m })),
+    ...diff.changed.map(c => ({ entity: 'meeting', entityId: c.id, action: 'update', before: c.before, after: c.after })),
+    ...diff.cancelled.map(m => ({ entity: 'meeting', entityId: m.id, action: 'update', before: m, after: { ...m, status: 'cancelled' } }))
+  ];
+}
+
+async function writeMeetings(useFirestore, diff) {
+  if (useFirestore) {
+    const db = initFirestore();
+    const changes = meetingChanges(diff);
+    const timestamp = new Date().toISOString();
+    // Each meeting is committed in the same batch as its audit entry and,
+    // like admin page writes (see firestore.rules), names it in auditId
+    for (let i = 0; i < changes.length; i += CHANGES_PER_BATCH) {
+      const batch = db.batch();
+      changes.slice(i, i + CHANGES_PER_BATCH).forEach(change => {
+        const auditRef = db.collection('auditLog').doc();
+        batch.set(db.collection('meetings').doc(change.entityId), { ...change.after, auditId: auditRef.id });
+        batch.set(auditRef, { actor: AUDIT_ACTOR, timestamp, ...change });
+      });
+      await batch.commit();
+    }
+    return;
+  }
+  fs.writeFileSync(path.join(DATA_DIR, 'meetings.json'), JSON.stringify(diff.next, null, 2) + '\n');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(a => !a.startsWith('--'));
+  const write = args.includes('--write');
+  const useFirestore = args.includes('--firestore');
+  const cancelMissing = args.includes('--cancel-missing');
+
+  if (!file || !fs.existsSync(file)) {
+    console.error('Usage: node scripts/import-governance-events.js <saved UpcomingEvents .html or .ics> [--write] [--cancel-missing] [--firestore]');
+    process.exit(1);
+  }
+
+  const committees = setCommitteeDirectory(JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'committees.json'), 'utf8')));
+  const resolveCommittee = buildCommitteeResolver(committees.filter(c => c.active));
+  const { raw, imported } = parseEventsFile(fs.readFileSync(file, 'utf8'), resolveCommittee);
+  const skipped = raw.length - imported.length;
+
+  console.log(`Parsed ${raw.length} event(s) from ${path.basename(file)}; ${imported.length} for allowed committees, ${skipped} skipped.`);
+  if (!imported.length) {
+    console.log('Nothing to import.');
+    return;
+  }
+
+  const existing = await loadExisting(useFirestore);
+  const today = new Date().toISOString().slice(0, 10);
+  const diff = diffMeetings(existing, imported, today, { cancelMissing });
+  printDiff(diff);
+
+  if (!write) {
+    console.log('\nDry run. Re-run with --write to apply these changes.');
+    return;
+  }
+  await writeMeetings(useFirestore, diff);
+  console.log(`\nWrote ${useFirestore ? 'Firestore meetings collection' : 'data/meetings.json'}.`);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseIcs, parseJsonLdEvents, parseHtmlListing, parseEventsFile, buildCommitteeResolver, diffMeetings, meetingChanges, normalizeTime, parseHumanDate };
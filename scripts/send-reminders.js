@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/**
+ * Emails senators about their meetings. Meant to run once a day.
+ *
+ *   - Reminder: sent REMIND_DAYS before each assigned meeting.
+ *   - Nudge: sent 1, 3 and 7 days (NUDGE_DAYS) after a meeting that has no submission.
+ *
+ * Cancelled and rescheduled meetings get neither (the replacement meeting does).
+ * When a substitute has accepted a meeting, they get its reminder and nudges
+ * instead of the assigned senator. Approved absences get neither, and an
+ * absence still waiting for approval gets no nudge. Members whose users doc
+ * is disabled get nothing.
+ *
+ * One email per senator per kind, listing every matching meeting. Templates
+ * live in scripts/email-templates/ ({{placeholder}} syntax; first line is the Subject).
+ *
+ * Data comes from Firestore (meetings, assignments, substitutions, absences,
+ * submissions, users) or, with --from-files, from data/meetings.json,
+ * data/assignments.json and a submissions JSON export (admin dashboard →
+ * Export JSON); substitutions and absences are only kept in Firestore, so file
+ * runs ignore them. Pass --users with a JSON list of {pid, disabled} to leave
+ * out disabled members in file runs.
+ *
+ * Prerequisites:
+ *   Firestore: GOOGLE_APPLICATION_CREDENTIALS set to service account JSON path.
+ *   Sending:   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+ *              SMTP_USER, SMTP_PASS (optional), MAIL_FROM. Requires nodemailer.
+ *
+ * Usage:
+ *   node scripts/send-reminders.js --dry-run                        # write .eml files to reminders-out/
+ *   node scripts/send-reminders.js --dry-run --out ./tmp-mail
+ *   node scripts/send-reminders.js --from-files --submissions ./governance-submissions.json --dry-run
+ *   node scripts/send-reminders.js --today 2026-03-02 --dry-run     # pretend it's another day
+ *   SMTP_HOST=localhost SMTP_PORT=1025 node scripts/send-reminders.js   # send via a local SMTP stand-in
+ *
+ * Options:
+ *   --remind-days N     Days before a meeting to send the reminder (default 2)
+ *   --nudge-days 1,3,7  Days after a meeting to nudge if no submission (default 1,3,7)
+ *   --site-url URL      Dashboard base URL used in emails (default SITE_URL env)
+ *   --meetings FILE     With --from-files: meetings JSON (default data/meetings.json)
+ *   --assignments FILE  With --from-files: assignments JSON (default data/assignments.json)
+ *   --terms FILE        With --from-files: terms JSON (default data/terms.json)
+ *   --users FILE        With --from-files: members JSON [{pid, disabled}] (optional)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { meetingExpectsReport } = require('../js/utils.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const TEMPLATE_DIR = path.join(__dirname, 'email-templates');
+const EMAIL_SUFFIX = '@vt.edu';
+const TIME_ZONE = 'America/New_York';
+
+function parseArgs(argv) {
+  const args = {
+    dryRun: false,
+    fromFiles: false,
+    submissions: null,
+    meetings: path.join(DATA_DIR, 'meetings.json'),
+    assignments: path.join(DATA_DIR, 'assignments.json'),
+    terms: path.join(DATA_DIR, 'terms.json'),
+    users: null,
+    out: path.join(process.cwd(), 'reminders-out'),
+    today: null,
+    remindDays: 2,
+    nudgeDays: [1, 3, 7],
+    siteUrl: process.env.SITE_URL || ''
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--from-files') args.fromFiles = true;
+    else if (arg === '--submissions') args.submissions = next();
+    else if (arg === '--meetings') args.meetings = path.resolve(next());
+    else if (arg === '--assignments') args.assignments = path.resolve(next());
+    else if (arg === '--terms') args.terms = path.resolve(next());
+    else if (arg === '--users') args.users = path.resolve(next());
+    else if (arg === '--out') args.out = path.resolve(next());
+    else if (arg === '--today') args.today = next();
+    else if (arg === '--remind-days') args.remindDays = parseInt(next(), 10);
+    else if (arg === '--nudge-days') args.nudgeDays = next().split(',').map(n => parseInt(n, 10)).filter(n => n > 0);
+    else if (arg === '--site-url') args.siteUrl = next();
+    else {
+      console.error('Unknown option:', arg);
+      process.exit(1);
+    }
+  }
+  if (args.today && !/^\d{4}-\d{2}-\d{2}$/.test(args.today)) {
+    console.error('--today must be YYYY-MM-DD');
+    process.exit(1);
+  }
+  return args;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in Eastern Time, so a job running at night UTC
+ * still counts days the way senators see them.
+ */
+function easternToday() {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date())
+    .forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function daysBetween(fromDate, toDate) {
+  const a = Date.UTC(...fromDate.split('-').map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+  const b = Date.UTC(...toDate.split('-').map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+  return Math.round((b - a) / (1000 * 60 * 60 * 24));
+}
+
+function formatDate(dateStr) {
+  const d = new Date(dateStr + 'T12:00:00');
+  return d.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// ---------------------------------------------------------------------------
+// Data
+// ---------------------------------------------------------------------------
+
+function initFirestore() {
+  let admin;
+  try {
+    admin = require('firebase-admin');
+  } catch (e) {
+    console.error('Install firebase-admin: npm install firebase-admin');
+    process.exit(1);
+  }
+  if (!admin.apps || admin.apps.length === 0) {
+    const credPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    if (!credPath || !fs.existsSync(credPath)) {
+      console.error('Set GOOGLE_APPLICATION_CREDENTIALS to your service account JSON path, or use --from-files.');
+      process.exit(1);
+    }
+    admin.initializeApp({ credential: admin.credential.cert(require(path.resolve(credPath))) });
+  }
+  return admin.firestore();
+}
+
+async function loadData(args) {
+  if (args.fromFiles) {
+    const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+    const submissions = args.submissions ? read(path.resolve(args.submissions)) : [];
+    if (!args.submissions) console.warn('No --submissions file given; every past meeting counts as missing.');
+    return {
+      meetings: read(args.meetings),
+      assignments: read(args.assignments),
+      terms: fs.existsSync(args.terms) ? read(args.terms) : [],
+      substitutions: [],
+      absences: [],
+      submissions,
+      users: args.users ? read(args.users) : []
+    };
+  }
+  const db = initFirestore();
+  const [meetings, assignments, terms, substitutions, absences, submissions, users] = await Promise.all(
+    ['meetings', 'assignments', 'terms', 'substitutions', 'absences', 'submissions', 'users'].map(async name => {
+      const snap = await db.collection(name).get();
+      // users docs are keyed by PID
+      return snap.docs.map(d => (name === 'users' ? { ...d.data(), pid: d.id } : d.data()));
+    })
+  );
+  return { meetings, assignments, terms, substitutions, absences, submissions, users };
+}
+
+// ---------------------------------------------------------------------------
+// Who gets what
+// ---------------------------------------------------------------------------
+
+/**
+ * The term an assignment belongs to. Assignments without a term belong to
+ * the oldest active term (same rule as assignmentsForTerm in js/utils.js).
+ * @returns {Object|null}
+ */
+function assignmentTerm(assign, terms) {
+  if (assign.term) return terms.find(t => t.id === assign.term) || null;
+  const active = terms.filter(t => !t.archived).sort((a, b) => String(a.start).localeCompare(String(b.start)));
+  return active[0] || null;
+}
+
+/**
+ * Works out reminders and nudges for today. Each assignment only covers
+ * meetings inside its term that still expect a report; meetings with an
+ * accepted substitute go to the substitute. A substitute's report counts
+ * for the seat they covered. Approved absences are skipped; pending ones
+ * get their reminder but no nudge. Disabled members get no email.
+ * @returns {Array} [{pid, kind: 'reminder'|'nudge', meetings: [...]}]
+ */
+function planEmails({ meetings, assignments, terms = [], substitutions = [], absences = [], submissions, users = [] }, today, remindDays, nudgeDays) {
+  const disabled = new Set(users.filter(u => u.disabled === true).map(u => String(u.pid)));
+  const submitted = new Set(submissions.map(s => `${s.substituteFor || s.pid}|${s.meetingId}`));
+  const substitutes = new Map(substitutions
+    .filter(sub => sub.status === 'accepted')
+    .map(sub => [`${sub.pid}|${sub.meetingId}`, sub.substitutePid]));
+  const absenceStatus = new Map(absences.map(a => [`${a.pid}|${a.meetingId}`, a.status]));
+  const byPid = new Map();
+  const add = (pid, kind, meeting) => {
+    if (!byPid.has(pid)) byPid.set(pid, { reminder: [], nudge: [] });
+    byPid.get(pid)[kind].push(meeting);
+  };
+
+  assignments.forEach(assign => {
+    const committees = assign.committees || [];
+    const term = assignmentTerm(assign, terms);
+    const mine = meetings.filter(m => m.date && committees.includes(m.committee) && meetingExpectsReport(m) &&
+      (!term || (m.date >= term.start && m.date <= term.end)));
+    mine.forEach(m => {
+      const key = `${assign.pid}|${m.id}`;
+      const recipient = substitutes.get(key) || assign.pid;
+      if (disabled.has(String(recipient))) return;
+      const absence = absenceStatus.get(`${recipient}|${m.id}`);
+      if (absence === 'approved') return;
+      if (daysBetween(today, m.date) === remindDays) add(recipient, 'reminder', m);
+      if (nudgeDays.includes(daysBetween(m.date, today)) && !submitted.has(key) && absence !== 'pending') add(recipient, 'nudge', m);
+    });
+  });
+
+  const plans = [];
+  byPid.forEach((lists, pid) => {
+    if (lists.reminder.length) plans.push({ pid, kind: 'reminder', meetings: lists.reminder });
+    if (lists.nudge.length) plans.push({ pid, kind: 'nudge', meetings: lists.nudge });
+  });
+  return plans;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function loadTemplate(kind) {
+  const raw = fs.readFileSync(path.join(TEMPLATE_DIR, `${kind}.txt`), 'utf8');
+  const [first, ...rest] = raw.split('\n');
+  const subject = first.replace(/^Subject:\s*/i, '');
+  return { subject, body: rest.join('\n').replace(/^\n+/, '') };
+}
+
+function fill(text, vars) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+function renderEmail(plan, today, siteUrl) {
+  const template = loadTemplate(plan.kind);
+  const list = plan.meetings.map(m => {
+    const lines = [`  - ${m.committee}`, `    ${formatDate(m.date)}${m.time ? `, ${m.time}` : ''}`];
+    if (m.location && m.location !== 'TBD') lines.push(`    Location: ${m.location}`);
+    if (plan.kind === 'nudge') {
+      const days = daysBetween(m.date, today);
+      lines.push(`    ${days} day${days === 1 ? '' : 's'} overdue`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+  const vars = {
+    pid: plan.pid,
+    count: plan.meetings.length,
+    plural: plan.meetings.length === 1 ? '' : 's',
+    meetings: list,
+    dashboardUrl: siteUrl ? `${siteUrl.replace(/\/$/, '')}/dashboard.html` : 'the Shared Governance Tracker dashboard'
+  };
+  return {
+    to: `${plan.pid}${EMAIL_SUFFIX}`,
+    subject: fill(template.subject, vars),
+    text: fill(template.body, vars)
+  };
+}
+
+/**
+ * Serializes an email as an RFC 5322 message (.eml) for dry runs.
+ */
+function toEml(email, from) {
+  const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+  return [
+    `From: ${from}`,
+    `To: ${email.to}`,
+    `Subject: ${encodeHeader(email.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    email.text.replace(/\r?\n/g, '\r\n')
+  ].join('\r\n');
+}
+
+function createTransport() {
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch (e) {
+    console.error('Install nodemailer: npm install nodemailer');
+    process.exit(1);
+  }
+  if (!process.env.SMTP_HOST) {
+    console.error('Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS, MAIL_FROM), or use --dry-run.');
+    process.exit(1);
+  }
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE === 'true' || port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = args.today || easternToday();
+  const from = process.env.MAIL_FROM || 'Shared Governance Tracker <no-reply@vt.edu>';
+
+  const data = await loadData(args);
+  const plans = planEmails(data, today, args.remindDays, args.nudgeDays);
+  console.log(`${today}: ${plans.filter(p => p.kind === 'reminder').length} reminder(s), ${plans.filter(p => p.kind === 'nudge').length} nudge(s).`);
+  if (!plans.length) return;
+
+  const emails = plans.map(plan => ({ plan, email: renderEmail(plan, today, args.siteUrl) }));
+
+  if (args.dryRun) {
+    fs.mkdirSync(args.out, { recursive: true });
+    emails.forEach(({ plan, email }) => {
+      const file = path.join(args.out, `${today}-${plan.kind}-${plan.pid}.eml`);
+      fs.writeFileSync(file, toEml(email, from));
+      console.log('Wrote', path.relative(process.cwd(), file));
+    });
+    console.log('\nDry run. Nothing was sent.');
+    return;
+  }
+
+  const transport = createTransport();
+  let sent = 0;
+  let errors = 0;
+  for (const { plan, email } of emails) {
+    try {
+      await transport.sendMail({ from, to: email.to, subject: email.subject, text: email.text });
+      console.log(`Sent ${plan.kind} to`, email.to);
+      sent++;
+    } catch (err) {
+      console.error('Error sending to', email.to, ':', err.message);
+      errors++;
+    }
+  }
+  console.log('\nDone. Sent:', sent, 'Errors:', errors);
+  if (errors) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { planEmails, renderEmail };
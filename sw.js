@@ -0,0 +1,85 @@
+/**
+ * VT Shared Governance Tracker - Service Worker
+ * Caches the app shell, data/*.json and the Firebase SDK so the senator
+ * dashboard opens without a connection. Pages, scripts and data are fetched
+ * network-first (so deploys and admin edits show up right away) and fall
+ * back to the cache offline. Firestore/Auth/Storage API calls are never cached.
+ *
+ * Bump SHELL_CACHE when the file list changes.
+ */
+
+const SHELL_CACHE = 'vt-gov-shell-v3';
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'dashboard.html',
+  'css/styles.css',
+  'js/firebase-config.js',
+  'js/firebase-auth.js',
+  'js/firebase-submissions.js',
+  'js/firebase-data.js',
+  'js/firebase-storage.js',
+  'js/utils.js',
+  'js/auth.js',
+  'js/ical.js',
+  'js/offline-queue.js',
+  'js/dashboard.js',
+  'data/meetings.json',
+  'data/assignments.json',
+  'data/committees.json',
+  'data/terms.json'
+];
+const FIREBASE_SDK_PREFIX = 'https://www.gstatic.com/firebasejs/';
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => Promise.all(
+      // Add one by one so a missing file (e.g. firebase-config.js locally) doesn't fail the install
+      SHELL_FILES.map(file => cache.add(file).catch(() => console.warn('Not cached:', file)))
+    )).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    // Assets are requested with ?v= cache busters; any cached version beats nothing offline
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Script tags load the SDK without CORS, so responses are opaque (status 0)
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (request.url.startsWith(FIREBASE_SDK_PREFIX)) {
+    // Versioned URLs never change, so the cached copy is always current
+    event.respondWith(cacheFirst(request));
+  }
+});
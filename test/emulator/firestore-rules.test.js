@@ -0,0 +1,352 @@
+/**
+ * Firestore security rules (firestore.rules), run against the Firestore
+ * emulator: `npm run test:emulators`. Skipped by a plain `npm test`.
+ */
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'demo-sharedgovernance';
+const RULES_FILE = path.join(__dirname, '..', '..', 'firestore.rules');
+const NEEDS_EMULATOR = !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:emulators)';
+
+function submission(pid, meetingId, fields = {}) {
+  return {
+    pid,
+    committeeName: 'Commission on Student Affairs',
+    meetingDate: '2026-03-04',
+    meetingId,
+    timestamp: '2026-03-04T20:00:00.000Z',
+    attendanceConfirmed: true,
+    notes: '',
+    summary: 'Discussed the parking fee increase.',
+    ...fields
+  };
+}
+
+function meeting(id, fields = {}) {
+  return { id, committee: 'Commission on Student Affairs', name: '', date: '2026-03-04', time: '2:00 PM', location: 'Squires', ...fields };
+}
+
+function attachment(path, fields = {}) {
+  return {
+    name: 'agenda.pdf',
+    path,
+    contentType: 'application/pdf',
+    size: 48213,
+    uploadedAt: '2026-03-04T19:00:00.000Z',
+    uploadedBy: 'alice',
+    ...fields
+  };
+}
+
+function request(pid, meetingId, meetingDate, fields = {}) {
+  return {
+    pid,
+    meetingId,
+    committee: 'Commission on Student Affairs',
+    meetingDate,
+    requestedAt: '2026-03-01T12:00:00.000Z',
+    updatedAt: '2026-03-01T12:00:00.000Z',
+    updatedBy: pid,
+    ...fields
+  };
+}
+
+function term(id, start, end, fields = {}) {
+  return { id, name: id, start, end, archived: false, archivedAt: '', ...fields };
+}
+
+// An admin write and its audit entry in one batch, the way js/firebase-data.js
+// saves (auditIdFor in js/firebase-audit.js). A delete's entry id is
+// "<stored auditId>-delete".
+function auditedWrite(firestore, actor, docPath, entity, data, storedAuditId) {
+  const ref = firestore.doc(docPath);
+  const entryRef = data
+    ? firestore.collection('auditLog').doc()
+    : firestore.doc(`auditLog/${storedAuditId || `${entity}-${ref.id}`}-delete`);
+  const batch = firestore.batch();
+  if (data) batch.set(ref, { ...data, auditId: entryRef.id });
+  else batch.delete(ref);
+  batch.set(entryRef, {
+    actor,
+    timestamp: '2026-03-04T20:00:00.000Z',
+    entity,
+    entityId: ref.id,
+    action: data ? 'update' : 'delete',
+    before: null,
+    after: data || null
+  });
+  return batch.commit();
+}
+
+describe('firestore.rules', { skip: NEEDS_EMULATOR }, () => {
+  let testEnv;
+  const db = pid => testEnv.authenticatedContext(pid, { email: `${pid}@vt.edu` }).firestore();
+  const adminWrite = (docPath, entity, data, storedAuditId) => auditedWrite(db('admin1'), 'admin1', docPath, entity, data, storedAuditId);
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { rules: fs.readFileSync(RULES_FILE, 'utf8') }
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async context => {
+      const seed = context.firestore();
+      await seed.doc('users/admin1').set({ pid: 'admin1', role: 'admin' });
+      await seed.doc('users/alice').set({ pid: 'alice', role: 'senator' });
+      await seed.doc('users/bob').set({ pid: 'bob', role: 'senator' });
+      await seed.doc('submissions/bob_m1').set(submission('bob', 'm1'));
+      await seed.doc('meetings/m1').set(meeting('m1'));
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  describe('submissions', () => {
+    it('lets a senator create, read and edit their own submission', async () => {
+      const ref = db('alice').doc('submissions/alice_m1');
+      await assertSucceeds(ref.set(submission('alice', 'm1')));
+      await assertSucceeds(ref.get());
+      await assertSucceeds(ref.set(submission('alice', 'm1', { summary: 'Edited.' })));
+    });
+
+    it("doesn't let a senator read another PID's submission", async () => {
+      await assertFails(db('alice').doc('submissions/bob_m1').get());
+      await assertFails(db('alice').collection('submissions').where('pid', '==', 'bob').get());
+    });
+
+    it("doesn't let a senator write another PID's submission", async () => {
+      await assertFails(db('alice').doc('submissions/bob_m1').set(submission('bob', 'm1', { summary: 'Overwritten.' })));
+      await assertFails(db('alice').doc('submissions/bob_m2').set(submission('bob', 'm2')));
+      await assertFails(db('alice').doc('submissions/bob_m1').set(submission('alice', 'm1')));
+      await assertFails(db('alice').doc('submissions/bob_m1').delete());
+    });
+
+    it('lets admins read every submission', async () => {
+      await assertSucceeds(db('admin1').doc('submissions/bob_m1').get());
+      await assertSucceeds(db('admin1').collection('submissions').get());
+    });
+
+    it('rejects signed-out access', async () => {
+      const anon = testEnv.unauthenticatedContext().firestore();
+      await assertFails(anon.doc('submissions/bob_m1').get());
+      await assertFails(anon.doc('meetings/m1').get());
+    });
+  });
+
+  describe('admin-only collections', () => {
+    it("doesn't let a senator write meetings", async () => {
+      await assertSucceeds(db('alice').doc('meetings/m1').get());
+      await assertFails(db('alice').doc('meetings/m2').set(meeting('m2')));
+      await assertFails(db('alice').doc('meetings/m1').set(meeting('m1', { location: 'Elsewhere' })));
+      await assertFails(db('alice').doc('meetings/m1').delete());
+    });
+
+    it("doesn't let a senator write assignments", async () => {
+      await assertFails(db('alice').doc('assignments/alice').set({ pid: 'alice', committees: ['Commission on Student Affairs'] }));
+    });
+
+    it("doesn't let anyone write users from the client", async () => {
+      await assertFails(db('alice').doc('users/alice').set({ pid: 'alice', role: 'admin' }));
+      await assertFails(db('admin1').doc('users/bob').set({ pid: 'bob', role: 'admin' }));
+      await assertFails(db('alice').doc('users/bob').get());
+      await assertSucceeds(db('alice').doc('users/alice').get());
+    });
+
+    it('lets admins write meetings and assignments', async () => {
+      await assertSucceeds(adminWrite('meetings/m2', 'meeting', meeting('m2')));
+      await assertSucceeds(adminWrite('assignments/alice', 'assignment', { pid: 'alice', committees: ['Commission on Student Affairs'] }));
+    });
+
+    it('treats a disabled admin as a senator', async () => {
+      await testEnv.withSecurityRulesDisabled(context => context.firestore().doc('users/admin1').set({ pid: 'admin1', role: 'admin', disabled: true }));
+      await assertFails(adminWrite('meetings/m2', 'meeting', meeting('m2')));
+    });
+  });
+
+  describe('audit log', () => {
+    it('only accepts admin writes that add their audit entry', async () => {
+      const adminDb = db('admin1');
+      await assertFails(adminDb.doc('meetings/m2').set(meeting('m2')));
+      await assertFails(adminDb.doc('meetings/m1').delete());
+      await assertFails(adminDb.doc('committees/csa').set({
+        id: 'csa', name: 'Commission on Student Affairs', acronym: 'CSA', url: '', color: '', chairName: '', chairEmail: '', seats: 5, active: true
+      }));
+      await assertFails(adminDb.doc('submissions/bob_m1').set(submission('bob', 'm1', { summary: 'Imported.' })));
+      await assertSucceeds(adminWrite('submissions/bob_m1', 'submission', submission('bob', 'm1', { summary: 'Imported.' })));
+      await assertSucceeds(adminWrite('meetings/m1', 'meeting', null));
+    });
+
+    it("doesn't accept an entry about another doc or one that already exists", async () => {
+      const adminDb = db('admin1');
+      const batch = adminDb.batch();
+      const entryRef = adminDb.collection('auditLog').doc();
+      batch.set(adminDb.doc('meetings/m2'), { ...meeting('m2'), auditId: entryRef.id });
+      batch.set(entryRef, { actor: 'admin1', timestamp: '2026-03-04T20:00:00.000Z', entity: 'meeting', entityId: 'm3', action: 'create', before: null, after: null });
+      await assertFails(batch.commit());
+
+      await assertSucceeds(adminWrite('meetings/m2', 'meeting', meeting('m2')));
+      const stored = (await adminDb.doc('meetings/m2').get()).data();
+      await assertFails(adminDb.doc('meetings/m2').set(meeting('m2', { location: 'Elsewhere', auditId: stored.auditId })));
+      await assertSucceeds(adminWrite('meetings/m2', 'meeting', null, stored.auditId));
+    });
+
+    it("doesn't need an entry for a senator's own report", async () => {
+      await assertSucceeds(db('bob').doc('submissions/bob_m1').set(submission('bob', 'm1', { summary: 'Edited.' })));
+    });
+  });
+
+  describe('field validation', () => {
+    const rejects = (label, doc) => it(`rejects a submission with ${label}`, async () => {
+      await assertFails(db('alice').doc('submissions/alice_m1').set(doc));
+    });
+
+    rejects('a non-boolean attendanceConfirmed', submission('alice', 'm1', { attendanceConfirmed: 'yes' }));
+    rejects('a malformed meetingDate', submission('alice', 'm1', { meetingDate: '3/4/2026' }));
+    rejects('an unknown field', submission('alice', 'm1', { grade: 'A' }));
+    rejects('oversized notes', submission('alice', 'm1', { notes: 'x'.repeat(20001) }));
+    it('rejects a submission missing required fields', async () => {
+      const { notes, ...withoutNotes } = submission('alice', 'm1');
+      await assertFails(db('alice').doc('submissions/alice_m1').set(withoutNotes));
+    });
+
+    it('rejects a submission whose id does not match its pid and meeting', async () => {
+      await assertFails(db('alice').doc('submissions/alice_m9').set(submission('alice', 'm1')));
+    });
+
+    it('accepts attachments stored in the submission or meeting folder', async () => {
+      await assertSucceeds(db('alice').doc('submissions/alice_m1').set(submission('alice', 'm1', {
+        attachments: [attachment('submissions/alice/m1/1772650800000-agenda.pdf')]
+      })));
+      await assertSucceeds(adminWrite('meetings/m1', 'meeting', meeting('m1', {
+        attachments: [attachment('meetings/m1/1772650800000-minutes.pdf', { uploadedBy: 'admin1', kind: 'minutes' })]
+      })));
+    });
+
+    const rejectsAttachments = (label, attachments) => it(`rejects a submission with ${label}`, async () => {
+      await assertFails(db('alice').doc('submissions/alice_m1').set(submission('alice', 'm1', { attachments })));
+    });
+
+    rejectsAttachments('a file in another senator\'s folder', [attachment('submissions/bob/m1/1772650800000-agenda.pdf')]);
+    rejectsAttachments('a file of another meeting', [attachment('submissions/alice/m2/1772650800000-agenda.pdf')]);
+    rejectsAttachments('a file in a meeting folder', [attachment('meetings/m1/1772650800000-agenda.pdf')]);
+    rejectsAttachments('a file in a nested folder', [attachment('submissions/alice/m1/x/agenda.pdf')]);
+    rejectsAttachments('a folder instead of a file', [attachment('submissions/alice/m1/')]);
+    rejectsAttachments('an unknown attachment field', [attachment('submissions/alice/m1/a.pdf', { url: 'https://example.com/a.pdf' })]);
+    rejectsAttachments('a non-numeric size', [attachment('submissions/alice/m1/a.pdf', { size: '48213' })]);
+    rejectsAttachments('a bad entry after a good one', [attachment('submissions/alice/m1/a.pdf'), 'submissions/alice/m1/b.pdf']);
+    rejectsAttachments('more than five files', [1, 2, 3, 4, 5, 6].map(n => attachment(`submissions/alice/m1/${n}.pdf`)));
+
+    it('rejects meeting attachments outside the meeting folder', async () => {
+      await assertFails(adminWrite('meetings/m1', 'meeting', meeting('m1', { attachments: [attachment('meetings/m2/1772650800000-minutes.pdf')] })));
+      await assertFails(adminWrite('meetings/m1', 'meeting', meeting('m1', { attachments: [attachment('submissions/alice/m1/a.pdf')] })));
+    });
+
+    it('rejects invalid meetings and assignments, even from admins', async () => {
+      await assertFails(adminWrite('meetings/m2', 'meeting', meeting('m2', { status: 'postponed' })));
+      await assertFails(adminWrite('meetings/m2', 'meeting', meeting('m3')));
+      await assertFails(adminWrite('meetings/m2', 'meeting', meeting('m2', { date: 20260304 })));
+      await assertFails(adminWrite('assignments/bob', 'assignment', { pid: 'alice', committees: [] }));
+      await assertFails(adminWrite('assignments/alice', 'assignment', { pid: 'alice', committees: 'CSA' }));
+    });
+
+    it('only accepts https committee pages without quotes or spaces', async () => {
+      const committee = url => ({
+        id: 'csa', name: 'Commission on Student Affairs', acronym: 'CSA', url, color: '', chairName: '', chairEmail: '', seats: 5, active: true
+      });
+      await assertSucceeds(adminWrite('committees/csa', 'committee', committee('https://governance.vt.edu/BodyDetails/CSA')));
+      await assertSucceeds(adminWrite('committees/csa', 'committee', committee('')));
+      await assertFails(adminWrite('committees/csa', 'committee', committee('https://x.org/" onmouseover="alert(1)')));
+      await assertFails(adminWrite('committees/csa', 'committee', committee('https://x.org/a b')));
+      await assertFails(adminWrite('committees/csa', 'committee', committee('javascript:alert(1)')));
+      await assertFails(adminWrite('committees/csa', 'committee', committee('http://governance.vt.edu/BodyDetails/CSA')));
+    });
+
+    it('keeps revision history append-only', async () => {
+      const revisions = db('bob').collection('submissions/bob_m1/revisions');
+      const ref = await assertSucceeds(revisions.add(submission('bob', 'm1')));
+      await assertFails(ref.set(submission('bob', 'm1', { summary: 'Rewritten.' })));
+      await assertFails(ref.delete());
+    });
+  });
+
+  describe('archived terms', () => {
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async context => {
+        const seed = context.firestore();
+        await seed.doc('terms/2025-fall').set(term('2025-fall', '2025-08-15', '2025-12-31', { archived: true, archivedAt: '2026-01-02T00:00:00.000Z' }));
+        await seed.doc('terms/2026-spring').set(term('2026-spring', '2026-01-01', '2026-05-31'));
+        await seed.doc('settings/terms').set({ archivedThrough: '2025-12-31' });
+        await seed.doc('meetings/m0').set(meeting('m0', { date: '2025-11-05' }));
+        await seed.doc('submissions/bob_m0').set(submission('bob', 'm0', { meetingDate: '2025-11-05' }));
+        await seed.doc('absences/bob_m0').set(request('bob', 'm0', '2025-11-05', { reason: 'Exam', status: 'pending' }));
+      });
+    });
+
+    it("doesn't let admins change meetings of an archived term", async () => {
+      await assertFails(adminWrite('meetings/m0', 'meeting', meeting('m0', { date: '2025-11-05', location: 'Elsewhere' })));
+      await assertFails(adminWrite('meetings/m0', 'meeting', null));
+      await assertFails(adminWrite('meetings/m9', 'meeting', meeting('m9', { date: '2025-12-01' })));
+      await assertFails(adminWrite('meetings/m1', 'meeting', meeting('m1', { date: '2025-12-01' })));
+      await assertSucceeds(adminWrite('meetings/m1', 'meeting', meeting('m1', { location: 'Elsewhere' })));
+    });
+
+    it("doesn't let anyone change submissions of an archived term", async () => {
+      await assertFails(db('bob').doc('submissions/bob_m0').set(submission('bob', 'm0', { meetingDate: '2025-11-05', summary: 'Edited.' })));
+      await assertFails(adminWrite('submissions/bob_m0', 'submission', null));
+      await assertFails(db('alice').doc('submissions/alice_m0').set(submission('alice', 'm0', { meetingDate: '2025-11-05' })));
+      await assertFails(db('bob').collection('submissions/bob_m0/revisions').add(submission('bob', 'm0', { meetingDate: '2025-11-05' })));
+      await assertSucceeds(db('bob').doc('submissions/bob_m0').get());
+      await assertSucceeds(db('alice').doc('submissions/alice_m1').set(submission('alice', 'm1')));
+    });
+
+    it("doesn't let anyone change absences or substitutions of an archived term", async () => {
+      await assertFails(db('bob').doc('absences/bob_m0').set(request('bob', 'm0', '2025-11-05', { reason: 'Exam week', status: 'pending' })));
+      await assertFails(db('admin1').doc('absences/bob_m0').set(request('admin1', 'm0', '2025-11-05', { pid: 'bob', reason: 'Exam', status: 'approved' })));
+      await assertFails(db('bob').doc('absences/bob_m0').delete());
+      await assertFails(db('alice').doc('substitutions/alice_m0').set(request('alice', 'm0', '2025-11-05', { substitutePid: 'bob', status: 'requested' })));
+      await assertSucceeds(db('alice').doc('substitutions/alice_m1').set(request('alice', 'm1', '2026-03-04', { substitutePid: 'bob', status: 'requested' })));
+      await assertSucceeds(db('alice').doc('absences/alice_m1').set(request('alice', 'm1', '2026-03-04', { reason: 'Exam', status: 'pending' })));
+    });
+
+    it("checks the meeting's own date, not just the meetingDate sent with the doc", async () => {
+      await assertFails(db('alice').doc('submissions/alice_m0').set(submission('alice', 'm0', { meetingDate: '2026-03-04' })));
+      await assertFails(db('alice').doc('absences/alice_m0').set(request('alice', 'm0', '2026-03-04', { reason: 'Exam', status: 'pending' })));
+      await assertFails(db('alice').doc('substitutions/alice_m0').set(request('alice', 'm0', '2026-03-04', { substitutePid: 'bob', status: 'requested' })));
+      await assertFails(adminWrite('submissions/alice_m0', 'submission', submission('alice', 'm0', { meetingDate: '2026-03-04' })));
+      await assertSucceeds(db('alice').doc('submissions/alice_m9').set(submission('alice', 'm9', { meetingDate: '2026-03-04' })));
+    });
+
+    it('only archives a term together with the lock date, which never moves back', async () => {
+      const archived = term('2026-spring', '2026-01-01', '2026-05-31', { archived: true, archivedAt: '2026-06-01T00:00:00.000Z' });
+      await assertFails(db('admin1').doc('terms/2026-spring').set(archived));
+      await assertFails(db('admin1').doc('settings/terms').set({ archivedThrough: '2025-06-30' }));
+      await assertFails(db('alice').doc('settings/terms').set({ archivedThrough: '2026-05-31' }));
+
+      const adminDb = db('admin1');
+      const batch = adminDb.batch();
+      batch.set(adminDb.doc('terms/2026-spring'), archived);
+      batch.set(adminDb.doc('settings/terms'), { archivedThrough: '2026-05-31' });
+      await assertSucceeds(batch.commit());
+      await assertFails(db('alice').doc('submissions/alice_m1').set(submission('alice', 'm1')));
+    });
+
+    it("doesn't let a term be created already archived without the lock date", async () => {
+      const archived = term('2026-summer', '2026-06-01', '2026-08-10', { archived: true, archivedAt: '2026-08-11T00:00:00.000Z' });
+      await assertFails(db('admin1').doc('terms/2026-summer').set(archived));
+
+      const adminDb = db('admin1');
+      const batch = adminDb.batch();
+      batch.set(adminDb.doc('terms/2026-summer'), archived);
+      batch.set(adminDb.doc('settings/terms'), { archivedThrough: '2026-08-10' });
+      await assertSucceeds(batch.commit());
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Member management Cloud Functions (functions/index.js), called in-process
+ * against the Auth and Firestore emulators: `npm run test:emulators`.
+ * Needs `npm install` in functions/. Skipped by a plain `npm test`.
+ */
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createRequire } = require('module');
+
+const PROJECT_ID = 'demo-sharedgovernance';
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'functions');
+const requireFromFunctions = createRequire(path.join(FUNCTIONS_DIR, 'index.js'));
+
+function functionsInstalled() {
+  try {
+    requireFromFunctions.resolve('firebase-functions/v2/https');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const NEEDS_EMULATOR = (!process.env.FIRESTORE_EMULATOR_HOST || !process.env.FIREBASE_AUTH_EMULATOR_HOST)
+  ? 'needs the Auth and Firestore emulators (npm run test:emulators)'
+  : !functionsInstalled() && 'needs the functions dependencies (cd functions && npm install)';
+
+function caller(pid) {
+  return pid ? { uid: pid, token: { email: `${pid}@vt.edu` } } : undefined;
+}
+
+describe('member management functions', { skip: NEEDS_EMULATOR }, () => {
+  let admin;
+  let fns;
+  const call = (name, pid, data) => fns[name].run({ data, auth: caller(pid), rawRequest: {} });
+  const userDoc = async pid => (await admin.firestore().doc(`users/${pid}`).get()).data();
+  const auditEntries = async () => (await admin.firestore().collection('auditLog').get()).docs.map(d => d.data());
+
+  before(() => {
+    process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || PROJECT_ID;
+    fns = requireFromFunctions('./index.js');
+    admin = requireFromFunctions('firebase-admin');
+  });
+
+  beforeEach(async () => {
+    const project = process.env.GCLOUD_PROJECT;
+    await fetch(`http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${project}/databases/(default)/documents`, { method: 'DELETE' });
+    await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${project}/accounts`, { method: 'DELETE' });
+    const db = admin.firestore();
+    await db.doc('users/admin1').set({ pid: 'admin1', role: 'admin', disabled: false });
+    await db.doc('users/admin2').set({ pid: 'admin2', role: 'admin', disabled: true });
+    await db.doc('users/alice').set({ pid: 'alice', role: 'senator', disabled: false });
+    await admin.auth().createUser({ email: 'alice@vt.edu', password: 'not-a-real-password' });
+  });
+
+  describe('admin-only checks', () => {
+    const calls = [
+      ['inviteMember', { pid: 'newbie', role: 'senator' }],
+      ['setMemberRole', { pid: 'alice', role: 'admin' }],
+      ['setMemberDisabled', { pid: 'alice', disabled: true }]
+    ];
+
+    calls.forEach(([name, data]) => {
+      it(`${name} rejects signed-out callers, senators and disabled admins`, async () => {
+        await assert.rejects(call(name, null, data), { code: 'unauthenticated' });
+        await assert.rejects(call(name, 'alice', data), { code: 'permission-denied' });
+        await assert.rejects(call(name, 'admin2', data), { code: 'permission-denied' });
+        await assert.rejects(call(name, 'nobody', data), { code: 'permission-denied' });
+        assert.equal((await userDoc('alice')).role, 'senator');
+        assert.equal((await userDoc('alice')).disabled, false);
+        assert.deepEqual(await auditEntries(), []);
+      });
+    });
+
+    it("doesn't let admins change their own role or disable themselves", async () => {
+      await assert.rejects(call('setMemberRole', 'admin1', { pid: 'admin1', role: 'senator' }), { code: 'failed-precondition' });
+      await assert.rejects(call('setMemberDisabled', 'admin1', { pid: 'admin1', disabled: true }), { code: 'failed-precondition' });
+      assert.equal((await userDoc('admin1')).role, 'admin');
+    });
+  });
+
+  describe('inviteMember', () => {
+    it('creates the Auth account, users doc and audit entry', async () => {
+      const member = await call('inviteMember', 'admin1', { pid: 'NewBie@vt.edu', role: 'admin' });
+      assert.equal(member.pid, 'newbie');
+
+      const doc = await userDoc('newbie');
+      assert.deepEqual({ ...doc, invitedAt: undefined }, { pid: 'newbie', role: 'admin', disabled: false, invitedBy: 'admin1', invitedAt: undefined });
+      const authUser = await admin.auth().getUserByEmail('newbie@vt.edu');
+      assert.equal(authUser.disabled, false);
+
+      const [entry, ...rest] = await auditEntries();
+      assert.equal(rest.length, 0);
+      assert.equal(entry.actor, 'admin1');
+      assert.equal(entry.entity, 'member');
+      assert.equal(entry.entityId, 'newbie');
+      assert.equal(entry.action, 'create');
+      assert.equal(entry.before, null);
+      assert.deepEqual(entry.after, doc);
+    });
+
+    it('rejects existing members and bad input', async () => {
+      await assert.rejects(call('inviteMember', 'admin1', { pid: 'alice' }), { code: 'already-exists' });
+      await assert.rejects(call('inviteMember', 'admin1', { pid: '../x' }), { code: 'invalid-argument' });
+      await assert.rejects(call('inviteMember', 'admin1', { pid: 'carol', role: 'owner' }), { code: 'invalid-argument' });
+      assert.deepEqual(await auditEntries(), []);
+    });
+  });
+
+  describe('setMemberRole and setMemberDisabled', () => {
+    it('updates the users doc and logs before and after', async () => {
+      await call('setMemberRole', 'admin1', { pid: 'alice', role: 'admin' });
+      assert.equal((await userDoc('alice')).role, 'admin');
+      const [entry] = await auditEntries();
+      assert.deepEqual(
+        { actor: entry.actor, entityId: entry.entityId, action: entry.action, before: entry.before.role, after: entry.after.role },
+        { actor: 'admin1', entityId: 'alice', action: 'update', before: 'senator', after: 'admin' }
+      );
+    });
+
+    it('disables the Auth account along with the users doc', async () => {
+      await call('setMemberDisabled', 'admin1', { pid: 'alice', disabled: true });
+      assert.equal((await userDoc('alice')).disabled, true);
+      assert.equal((await admin.auth().getUserByEmail('alice@vt.edu')).disabled, true);
+      const [entry] = await auditEntries();
+      assert.equal(entry.before.disabled, false);
+      assert.equal(entry.after.disabled, true);
+
+      await call('setMemberDisabled', 'admin1', { pid: 'alice', disabled: false });
+      assert.equal((await admin.auth().getUserByEmail('alice@vt.edu')).disabled, false);
+      assert.equal((await auditEntries()).length, 2);
+    });
+
+    it('rejects PIDs without a users doc', async () => {
+      await assert.rejects(call('setMemberRole', 'admin1', { pid: 'ghost', role: 'admin' }), { code: 'not-found' });
+      await assert.rejects(call('setMemberDisabled', 'admin1', { pid: 'ghost', disabled: true }), { code: 'not-found' });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * scripts/import-governance-events.js against saved copies of the
+ * governance.vt.edu Upcoming Events feed in test/fixtures/governance-events/.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setCommitteeDirectory } = require('../js/utils.js');
+const { parseEventsFile, buildCommitteeResolver, diffMeetings, meetingChanges } = require('../scripts/import-governance-events.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'governance-events');
+const committees = setCommitteeDirectory(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'committees.json'), 'utf8')));
+const resolveCommittee = buildCommitteeResolver(committees.filter(c => c.active));
+
+function readFixture(name) {
+  return parseEventsFile(fs.readFileSync(path.join(FIXTURES, name), 'utf8'), resolveCommittee);
+}
+
+const EXISTING = [
+  { id: 'm1', committee: 'Commission on Faculty Affairs', name: 'Commission on Faculty Affairs Meeting', date: '2026-03-03', time: '10:30 AM - 12:00 PM', location: 'TBD' },
+  { id: 'm2', committee: 'Campus Development Committee', name: 'Campus Development Committee', date: '2026-03-05', time: '3:30 PM - 4:30 PM', location: '' },
+  { id: 'm3', committee: 'University Curriculum Committee for General Education', name: 'UCCGE Meeting', date: '2026-03-10', time: '2:30 PM - 4:00 PM', location: 'Zoom' },
+  { id: 'm4', committee: 'Commission on Research', name: 'Commission on Research Meeting', date: '2026-03-12', time: '1:00 PM - 2:00 PM', location: '' },
+  { id: 'm5', committee: 'Library Committee', name: 'Library Committee Meeting', date: '2026-02-20', time: '', location: '' }
+];
+
+const EXPECTED = [
+  { committee: 'Commission on Faculty Affairs', date: '2026-03-03', time: '10:30 AM - 12:00 PM', location: 'TBD', cancelled: false },
+  { committee: 'Campus Development Committee', date: '2026-03-05', time: '3:30 PM - 4:30 PM', location: 'Burruss Hall 325, Board Room', cancelled: false },
+  { committee: 'University Curriculum Committee for General Education', date: '2026-03-10', time: '2:30 PM - 4:00 PM', cancelled: true },
+  { committee: 'Transportation and Parking Committee', date: '2026-03-20', time: '9:00 AM - 10:00 AM', location: 'Squires Student Center, Room 219', cancelled: false }
+];
+
+function assertEvents(imported) {
+  assert.equal(imported.length, EXPECTED.length);
+  EXPECTED.forEach((expected, i) => {
+    Object.keys(expected).forEach(key => assert.equal(imported[i][key], expected[key], `event ${i} ${key}`));
+  });
+}
+
+describe('parsing the Upcoming Events feed', () => {
+  it('reads an .ics export (UTC and TZID times, folded lines, escaped commas, cancellations)', () => {
+    const { raw, imported } = readFixture('upcoming-events.ics');
+    assert.equal(raw.length, 5);
+    assertEvents(imported);
+    assert.match(imported[3].title, /parking fee discussion$/);
+  });
+
+  it('reads JSON-LD events from a saved page', () => {
+    const { raw, imported } = readFixture('upcoming-events-jsonld.html');
+    assert.equal(raw.length, 5);
+    assertEvents(imported);
+  });
+
+  it('falls back to the listing markup when the page has no JSON-LD', () => {
+    const { imported } = readFixture('upcoming-events-listing.html');
+    assertEvents(imported);
+  });
+
+  it('skips events of bodies that are not tracked', () => {
+    const { raw, imported } = readFixture('upcoming-events.ics');
+    assert.ok(raw.some(e => /Board of Visitors/.test(e.title)));
+    assert.ok(!imported.some(e => /Board of Visitors/.test(e.title)));
+  });
+});
+
+describe('diffMeetings', () => {
+  const { imported } = readFixture('upcoming-events.ics');
+
+  it('keeps ids of matched meetings, updates changed fields and adds new meetings', () => {
+    const diff = diffMeetings(EXISTING, imported, '2026-03-01');
+    assert.deepEqual(diff.unchanged.map(m => m.id), ['m1']);
+    assert.deepEqual(diff.changed.map(c => [c.id, c.after.location]), [['m2', 'Burruss Hall 325, Board Room']]);
+    assert.deepEqual(diff.added.map(m => [m.id, m.committee, m.date]), [['m6', 'Transportation and Parking Committee', '2026-03-20']]);
+  });
+
+  it('cancels meetings the feed marks cancelled', () => {
+    const diff = diffMeetings(EXISTING, imported, '2026-03-01');
+    assert.deepEqual(diff.cancelled.map(m => m.id), ['m3']);
+    assert.equal(diff.next.find(m => m.id === 'm3').status, 'cancelled');
+  });
+
+  it('only reports meetings missing from the feed unless cancelMissing is set', () => {
+    const diff = diffMeetings(EXISTING, imported, '2026-03-01');
+    assert.deepEqual(diff.missing.map(m => m.id), ['m4']);
+    assert.equal(diff.next.find(m => m.id === 'm4').status, undefined);
+
+    const cancelling = diffMeetings(EXISTING, imported, '2026-03-01', { cancelMissing: true });
+    assert.deepEqual(cancelling.cancelled.map(m => m.id).sort(), ['m3', 'm4']);
+    assert.equal(cancelling.next.find(m => m.id === 'm4').status, 'cancelled');
+  });
+
+  it('leaves past meetings and meetings outside the feed dates alone', () => {
+    const diff = diffMeetings(EXISTING, imported, '2026-03-01', { cancelMissing: true });
+    assert.ok(!diff.missing.some(m => m.id === 'm5'));
+    const later = diffMeetings(EXISTING, imported, '2026-03-15', { cancelMissing: true });
+    assert.ok(!later.missing.some(m => m.id === 'm4'));
+  });
+});
+
+describe('meetingChanges', () => {
+  it('turns a diff into the audit changes written with each meeting', () => {
+    const diff = diffMeetings(EXISTING, readFixture('upcoming-events.ics').imported, '2026-03-01');
+    const changes = meetingChanges(diff);
+    assert.deepEqual(changes.map(c => [c.entityId, c.action]), [['m6', 'create'], ['m2', 'update'], ['m3', 'update']]);
+    assert.ok(changes.every(c => c.entity === 'meeting'));
+    assert.equal(changes[0].before, null);
+    assert.equal(changes[1].before.location, '');
+    assert.equal(changes[1].after.location, 'Burruss Hall 325, Board Room');
+    assert.equal(changes[2].before.status, undefined);
+    assert.equal(changes[2].after.status, 'cancelled');
+  });
+});
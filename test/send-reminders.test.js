@@ -0,0 +1,72 @@
+/**
+ * scripts/send-reminders.js --dry-run against the data in
+ * test/fixtures/reminders/ (today = 2026-03-10).
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'send-reminders.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'reminders');
+
+function readEml(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const [head, ...body] = raw.split('\r\n\r\n');
+  const headers = Object.fromEntries(head.split('\r\n').map(line => {
+    const i = line.indexOf(':');
+    return [line.slice(0, i), line.slice(i + 1).trim()];
+  }));
+  return { headers, text: body.join('\r\n\r\n').replace(/\r\n/g, '\n') };
+}
+
+describe('send-reminders --dry-run', () => {
+  let out;
+  let stdout;
+
+  before(() => {
+    out = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-'));
+    const fixture = name => path.join(FIXTURES, `${name}.json`);
+    stdout = execFileSync(process.execPath, [
+      SCRIPT, '--from-files', '--dry-run', '--today', '2026-03-10',
+      '--meetings', fixture('meetings'), '--assignments', fixture('assignments'), '--terms', fixture('terms'),
+      '--submissions', fixture('submissions'), '--users', fixture('users'),
+      '--site-url', 'https://example.edu/tracker/', '--out', out
+    ], { encoding: 'utf8', env: { ...process.env, MAIL_FROM: 'Tracker <tracker@example.edu>' } });
+  });
+
+  after(() => {
+    fs.rmSync(out, { recursive: true, force: true });
+  });
+
+  it('writes one .eml per planned email and sends nothing', () => {
+    assert.match(stdout, /2026-03-10: 1 reminder\(s\), 1 nudge\(s\)\./);
+    assert.match(stdout, /Dry run\. Nothing was sent\./);
+    assert.deepEqual(fs.readdirSync(out).sort(), ['2026-03-10-nudge-carol.eml', '2026-03-10-reminder-alice.eml']);
+  });
+
+  it('reminds senators of meetings two days out', () => {
+    const { headers, text } = readEml(path.join(out, '2026-03-10-reminder-alice.eml'));
+    assert.equal(headers.From, 'Tracker <tracker@example.edu>');
+    assert.equal(headers.To, 'alice@vt.edu');
+    assert.equal(headers.Subject, 'Reminder: 1 upcoming shared governance meeting');
+    assert.match(text, /^Hi alice,/);
+    assert.match(text, /  - Commission on Faculty Affairs\n {4}.*2026.*, 10:30 AM - 12:00 PM\n {4}Location: Burruss Hall 325/);
+    assert.match(text, /https:\/\/example\.edu\/tracker\/dashboard\.html/);
+  });
+
+  it('nudges senators with a missing report, but not for meetings already reported', () => {
+    const { headers, text } = readEml(path.join(out, '2026-03-10-nudge-carol.eml'));
+    assert.equal(headers.To, 'carol@vt.edu');
+    assert.match(text, /Campus Development Committee/);
+    assert.match(text, /3 days overdue/);
+    assert.ok(!fs.readdirSync(out).some(f => f.includes('nudge-alice')));
+  });
+
+  it('skips cancelled meetings and disabled members', () => {
+    assert.ok(!fs.readdirSync(out).some(f => f.includes('bob')));
+    assert.ok(!fs.readdirSync(out).some(f => f.includes('reminder-carol')));
+  });
+});